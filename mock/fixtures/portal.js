@@ -0,0 +1,528 @@
+/**
+ * Client side of the mock Yodel portal
+ * Reproduces the portal's behaviour closely enough for the bot: cards open
+ * their date picker, adding to cart asks signed-out users to log in, the
+ * vehicle smart-select opens a searchable page and checkout shows an order
+ * confirmation, after a payment page when the scenario asks for one
+ */
+(function () {
+  const state = window.__PORTAL_STATE__;
+  const api = "/buntzen-lake/api";
+  const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  let openProduct = null;
+  let slide = 0;
+  let activeDate = null;
+  let activeSlot = null;
+  let selectedVehicle = null;
+
+  const $ = (selector, root) => (root || document).querySelector(selector);
+  const $$ = (selector, root) =>
+    Array.from((root || document).querySelectorAll(selector));
+
+  const post = async (action, body) => {
+    const response = await fetch(`${api}/${action}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "same-origin",
+      body: JSON.stringify(body || {}),
+    });
+    return response.json();
+  };
+
+  const toast = (message) => {
+    const element = $(".toast");
+    if (!message) {
+      element.hidden = true;
+      return;
+    }
+    $(".toast-text").textContent = message;
+    element.hidden = false;
+  };
+
+  const describeVehicle = (vehicle) =>
+    `${vehicle.make} ${vehicle.model} ${vehicle.licensePlate}`;
+
+  // Pass cards
+
+  const renderCards = () => {
+    $("#passList").innerHTML = state.products
+      .map(
+        (product) => `
+        <div class="gridCard" id="card_${product.id}" data-product="${product.id}">
+          <div class="cardHead">
+            <div class="parkName">${product.name}</div>
+            <div class="price">${product.price}</div>
+          </div>
+          <div class="scheduler" id="scheduler_${product.id}" hidden>
+            <div class="vehicleSlot"></div>
+            <div class="dateMain">
+              <a href="#" class="swiper-button-prev">‹</a>
+              <div class="dateBody"><div class="datelist"></div></div>
+              <a href="#" class="swiper-button-next">›</a>
+            </div>
+            <div class="slotList"></div>
+            <a href="#" id="cardBtn_${product.id}" class="themeBtn btn-disbled button button-round">Add to Cart</a>
+          </div>
+        </div>`
+      )
+      .join("");
+
+    $$(".gridCard").forEach((card) => {
+      card.addEventListener("click", (event) => {
+        // Date and slot buttons re-render on click, so by now the target may
+        // be out of the page; look at the path the event took instead
+        const inScheduler = event
+          .composedPath()
+          .some(
+            (node) => node.classList && node.classList.contains("scheduler")
+          );
+        if (inScheduler) {
+          return;
+        }
+        openCard(Number(card.dataset.product));
+      });
+    });
+    $$(".swiper-button-prev").forEach((button) =>
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        slide = Math.max(0, slide - 1);
+        renderDates();
+      })
+    );
+    $$(".swiper-button-next").forEach((button) =>
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        const last = Math.ceil(state.calendar.length / state.perSlide) - 1;
+        slide = Math.min(last, slide + 1);
+        renderDates();
+      })
+    );
+    $$("[id^=cardBtn_]").forEach((button) =>
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        addToCart();
+      })
+    );
+  };
+
+  const openCard = (productId) => {
+    openProduct = productId;
+    slide = 0;
+    activeDate = null;
+    activeSlot = null;
+    $$(".scheduler").forEach((scheduler) => {
+      scheduler.hidden = scheduler.id !== `scheduler_${productId}`;
+    });
+    renderVehicleSelector();
+    renderDates();
+  };
+
+  // Only the open card shows the date buttons of the current slide
+  const renderDates = () => {
+    $$(".datelist").forEach((list) => {
+      list.innerHTML = "";
+    });
+    if (!openProduct) {
+      return;
+    }
+
+    const start = slide * state.perSlide;
+    const shown = state.calendar.slice(start, start + state.perSlide);
+    const list = $(`#scheduler_${openProduct} .datelist`);
+    list.innerHTML = shown
+      .map((day) => {
+        const [year, month, date] = day.date.split("-").map(Number);
+        const weekday =
+          WEEKDAYS[new Date(Date.UTC(year, month - 1, date)).getUTCDay()];
+        const classes = ["date"];
+        if (day.soldOut) classes.push("soldout");
+        if (day.date === activeDate) classes.push("active");
+        return `<button class="${classes.join(" ")}" data-date="${
+          day.date
+        }" data-remaining="${
+          day.remaining
+        }"><span class="weekday">${weekday}</span> <span class="dayNumber">${date}</span></button>`;
+      })
+      .join("");
+
+    $$("button.date", list).forEach((button) =>
+      button.addEventListener("click", () => {
+        activeDate = button.dataset.date;
+        activeSlot = null;
+        toast(null);
+        renderDates();
+      })
+    );
+    renderSlots();
+  };
+
+  const openProductSlots = () => {
+    const product = state.products.find((entry) => entry.id === openProduct);
+    return product ? product.slots || [] : [];
+  };
+
+  // Half-day passes pick a time slot once a date is chosen
+  const renderSlots = () => {
+    $$(".slotList").forEach((list) => {
+      list.innerHTML = "";
+    });
+    if (!openProduct || !activeDate) {
+      return;
+    }
+
+    const list = $(`#scheduler_${openProduct} .slotList`);
+    list.innerHTML = openProductSlots()
+      .map((slot) => {
+        const classes = ["timeSlot"];
+        if (slot.soldOut) classes.push("soldout");
+        if (slot.start === activeSlot) classes.push("active");
+        return `<button class="${classes.join(" ")}" data-start="${
+          slot.start
+        }"${slot.soldOut ? " disabled" : ""}>${slot.label}</button>`;
+      })
+      .join("");
+
+    $$("button.timeSlot", list).forEach((button) =>
+      button.addEventListener("click", () => {
+        activeSlot = button.dataset.start;
+        toast(null);
+        renderSlots();
+      })
+    );
+  };
+
+  // Vehicle smart-select (signed in only)
+
+  const renderVehicleSelector = () => {
+    $$(".vehicleSlot").forEach((slot) => {
+      slot.innerHTML = "";
+    });
+    if (!state.signedIn || !openProduct) {
+      return;
+    }
+
+    const slot = $(`#scheduler_${openProduct} .vehicleSlot`);
+    slot.innerHTML = `
+      <div id="selectVehicleSmartSelect" class="smartSelectCustom">
+        <a href="#" class="item-link smart-select">
+          <span class="item-label">Vehicle</span>
+          <span class="item-after">${
+            selectedVehicle ? describeVehicle(selectedVehicle) : "Select..."
+          }</span>
+        </a>
+      </div>`;
+    $(".item-link.smart-select", slot).addEventListener("click", (event) => {
+      event.preventDefault();
+      openVehiclePage();
+    });
+  };
+
+  const openVehiclePage = () => {
+    const page = $(".smart-select-page");
+    $('input[type="search"]', page).value = "";
+    $(".addVehicleForm", page).hidden = true;
+    renderVehicleList("");
+    page.hidden = false;
+  };
+
+  const renderVehicleList = (query) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = state.vehicles
+      .map((vehicle, index) => ({ vehicle, index }))
+      .filter(({ vehicle }) =>
+        words.every((word) =>
+          describeVehicle(vehicle).toLowerCase().includes(word)
+        )
+      );
+
+    $(".vehicleList").innerHTML =
+      matches
+        .map(
+          ({ vehicle, index }) => `
+          <li><a href="#" class="item-link item-content" data-index="${index}">
+            <div class="item-inner"><div class="item-title">${describeVehicle(
+              vehicle
+            )}</div></div>
+          </a></li>`
+        )
+        .join("") +
+      `<li><label class="item-content">
+         <input type="radio" name="vehicle" value="new_vehicle" />
+         <div class="item-title">Add a Vehicle</div>
+       </label></li>`;
+
+    $$(".vehicleList a.item-link").forEach((link) =>
+      link.addEventListener("click", (event) => {
+        event.preventDefault();
+        selectVehicle(state.vehicles[Number(link.dataset.index)]);
+      })
+    );
+    $('.vehicleList input[value="new_vehicle"]').addEventListener(
+      "change",
+      () => {
+        $(".addVehicleForm").hidden = false;
+      }
+    );
+  };
+
+  const selectVehicle = (vehicle) => {
+    selectedVehicle = vehicle;
+    $(".smart-select-page").hidden = true;
+    renderVehicleSelector();
+  };
+
+  $('.smart-select-page input[type="search"]').addEventListener(
+    "input",
+    (event) => renderVehicleList(event.target.value)
+  );
+
+  $("#saveVehicle").addEventListener("click", async (event) => {
+    event.preventDefault();
+    const vehicle = {
+      licensePlate: $("#licencePlateTxt").value.trim().toUpperCase(),
+      province: $("#stateSelect select").value,
+      color: $("#colourSelect select").value,
+      make: $("#makeModelSelect select").value,
+      model: $("#vehicleModelTxt").value.trim(),
+    };
+    if (!vehicle.licensePlate || !vehicle.model) {
+      toast("Enter the licence plate and model");
+      return;
+    }
+    const result = await post("vehicles", { vehicle });
+    if (!result.ok) {
+      toast(result.error);
+      return;
+    }
+    state.vehicles = result.vehicles;
+    selectVehicle(vehicle);
+  });
+
+  // Cart and checkout
+
+  const addToCart = async () => {
+    const day = state.calendar.find((entry) => entry.date === activeDate);
+    if (!day) {
+      toast("Please select a date");
+      return;
+    }
+    if (day.soldOut) {
+      toast("This date is sold out");
+      return;
+    }
+    const slots = openProductSlots();
+    if (slots.length > 0 && !slots.some((slot) => slot.start === activeSlot)) {
+      toast("Please select a time slot");
+      return;
+    }
+    if (!state.signedIn) {
+      showLogin();
+      return;
+    }
+    if (!selectedVehicle) {
+      toast("Please select a vehicle");
+      return;
+    }
+
+    const result = await post("cart", {
+      productId: openProduct,
+      date: activeDate,
+      slot: activeSlot,
+      vehicle: selectedVehicle,
+    });
+    if (!result.ok) {
+      toast(result.error);
+      return;
+    }
+    renderCart(result.cart);
+  };
+
+  const renderCart = (cart) => {
+    $(".cartItems").innerHTML = cart
+      .map(
+        (item) => `
+        <li class="cartItem" data-date="${item.date}">
+          <span class="cartPassName">${item.passType}</span>
+          <span class="cartDate">${item.date}</span>
+          <span class="cartSlot">${item.slot || ""}</span>
+          <span class="cartVehicle">${describeVehicle(item.vehicle)}</span>
+          <span class="cartPrice">${item.price}</span>
+        </li>`
+      )
+      .join("");
+    $(".viewCart").hidden = cart.length === 0;
+  };
+
+  $(".viewCart_closeCart .button").addEventListener("click", async (event) => {
+    event.preventDefault();
+    await post("cart/clear");
+    renderCart([]);
+  });
+
+  $("#checkOutButton").addEventListener("click", async (event) => {
+    event.preventDefault();
+    const result = await post("checkout");
+    if (!result.ok) {
+      toast(result.error);
+      return;
+    }
+
+    $(".viewCart").hidden = true;
+    $("#passList").hidden = true;
+    if (result.payment) {
+      $(".paymentAmount").textContent = result.payment.amount;
+      $(".paymentPage").hidden = false;
+      return;
+    }
+    showConfirmation(result.order);
+  });
+
+  // Payment
+
+  const readCard = () => ({
+    number: $('input[name="cardnumber"]').value,
+    expiry: $('input[name="exp-date"]').value,
+    cvc: $('input[name="cvc"]').value,
+    name: $('input[name="ccname"]').value,
+    postalCode: $('input[name="postal"]').value,
+  });
+
+  const pay = async (card, verified) => {
+    const result = await post("pay", { card, verified });
+    const error = $(".paymentError");
+    error.hidden = result.ok;
+    error.textContent = result.ok ? "" : result.error;
+    if (!result.ok) {
+      return;
+    }
+
+    if (result.challenge) {
+      // Stand-in for the card issuer's 3-D Secure page
+      window.__approvePayment = () => {
+        $(".threeDSChallenge").hidden = true;
+        pay(card, true);
+      };
+      $(".threeDSChallenge iframe").srcdoc = `
+        <p>Your bank wants to confirm this payment.</p>
+        <button onclick="parent.__approvePayment()">Approve</button>`;
+      $(".threeDSChallenge").hidden = false;
+      return;
+    }
+
+    $(".paymentPage").hidden = true;
+    showConfirmation(result.order);
+  };
+
+  $("#payButton").addEventListener("click", (event) => {
+    event.preventDefault();
+    pay(readCard(), false);
+  });
+
+  const showConfirmation = (order) => {
+    const confirmation = $(".orderConfirmation");
+    confirmation.innerHTML = `
+      <h2>Thank you! Your booking is confirmed.</h2>
+      <p>Order number: <span class="orderNumber">${order.orderNumber}</span></p>
+      <ul class="orderItems">
+        ${order.items
+          .map(
+            (item) => `
+            <li class="orderItem">
+              <span class="orderPassName">${item.passType}</span>
+              <span class="orderDate">${item.date}</span>
+              <span class="orderSlot">${item.slot || ""}</span>
+              <span class="orderVehicle">${describeVehicle(item.vehicle)}</span>
+              <span class="orderPrice">${item.price}</span>
+            </li>`
+          )
+          .join("")}
+      </ul>
+      <p>Total: <span class="orderTotal">${order.total}</span></p>`;
+    confirmation.hidden = false;
+  };
+
+  // Login
+
+  const showLogin = () => {
+    $("#slideNo1").hidden = false;
+    $("#slideNo2").hidden = true;
+    $("#loginModal").hidden = false;
+  };
+
+  const sendCode = async () => {
+    const result = await post("send-otp", {
+      phone: $("#txtPhonenumber").value,
+    });
+    if (!result.ok) {
+      toast(result.error);
+      return false;
+    }
+    return true;
+  };
+
+  $("#loginNext").addEventListener("click", async (event) => {
+    event.preventDefault();
+    if (await sendCode()) {
+      $("#slideNo1").hidden = true;
+      $("#slideNo2").hidden = false;
+      $$(".otpFocusInput")[0].focus();
+    }
+  });
+
+  $$(".otpFocusInput").forEach((input, index, inputs) =>
+    input.addEventListener("input", () => {
+      if (input.value && inputs[index + 1]) {
+        inputs[index + 1].focus();
+      }
+    })
+  );
+
+  $(".resendCode").addEventListener("click", async () => {
+    $$(".otpFocusInput").forEach((input) => {
+      input.value = "";
+    });
+    await sendCode();
+  });
+
+  $("#otpVerify").addEventListener("click", async (event) => {
+    event.preventDefault();
+    const code = $$(".otpFocusInput")
+      .map((input) => input.value)
+      .join("");
+    const result = await post("verify-otp", { code });
+    if (!result.ok) {
+      toast(result.error);
+      return;
+    }
+
+    // Signed in: the login pages go away and the pass page asks for a vehicle
+    toast(null);
+    $("#loginModal").remove();
+    $(".loginLink").remove();
+    state.signedIn = true;
+    state.vehicles = result.vehicles;
+    activeDate = null;
+    activeSlot = null;
+    renderVehicleSelector();
+    renderDates();
+  });
+
+  $(".loginLink").addEventListener("click", (event) => {
+    event.preventDefault();
+    showLogin();
+  });
+
+  // Information popup
+
+  $("#informationPopup .popup-close").addEventListener("click", (event) => {
+    event.preventDefault();
+    $("#informationPopup").hidden = true;
+  });
+
+  if (state.signedIn) {
+    $("#loginModal").remove();
+    $(".loginLink").remove();
+  }
+  renderCards();
+})();
@@ -0,0 +1,569 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const dates = require("../src/dates");
+const logger = require("../src/logger");
+
+/**
+ * Mock Yodel portal for running the bot offline
+ * Serves a page with the same DOM as the Buntzen Lake portal (info popup,
+ * pass cards, date picker and half-day time slots, login and OTP slides,
+ * vehicle smart-select, cart and payment page), a My Passes page and a
+ * small JSON API behind them. Point the bot at it with
+ * BASE_URL=http://127.0.0.1:47330/buntzen-lake
+ *
+ * The scenario can be changed while the server runs:
+ *   GET  /__mock/state      scenario, sent codes, carts and orders
+ *   POST /__mock/scenario   merge settings into the scenario
+ *   POST /__mock/reset      back to the starting scenario, forget sessions
+ */
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const BASE_PATH = "/buntzen-lake";
+
+const DEFAULT_SCENARIO = {
+  // "all", or dates (ISO or any expression resolveDate accepts) shown as sold out
+  soldOut: [],
+  // Milliseconds to hold every response, to mimic a slow portal
+  slowMs: 0,
+  // "page" (portal returns 500), "cart" or "checkout" (that API call fails)
+  error: "",
+  // Half-day slots shown as sold out: start times ("08:00"), "morning",
+  // "afternoon" or "all"
+  soldOutSlots: [],
+  // Ask for a card at checkout (paid season). Cards ending 0002 are
+  // declined
+  payment: false,
+  // Make every card payment pass a verification (3-D Secure) challenge
+  paymentChallenge: false,
+  // Code the portal accepts on the OTP slide
+  otpCode: "1234",
+  // Also "text" the code to this file, for the bot's file OTP provider
+  otpFile: "",
+  // Days shown in the date picker, and how many per slide
+  days: 14,
+  perSlide: 7,
+  products: [
+    { id: 12196, name: "All Day Pass", price: "$5.00" },
+    {
+      id: 12197,
+      name: "Half Day Pass",
+      price: "$3.00",
+      slots: [
+        { start: "08:00", label: "Morning 8:00 AM - 1:00 PM" },
+        { start: "13:00", label: "Afternoon 1:00 PM - 8:00 PM" },
+      ],
+    },
+  ],
+  // Passes the account already holds, besides orders placed on the mock:
+  // { date, passType, licensePlate }
+  existingPasses: [],
+  // Vehicles already on the account once signed in
+  vehicles: [{ licensePlate: "ABC123", make: "Tesla", model: "Y" }],
+};
+
+/**
+ * Read a JSON request body
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error("Invalid JSON body"));
+      }
+    });
+  });
+
+/**
+ * Read a cookie from a request
+ * @param {Object} req - HTTP request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+const readCookie = (req, name) => {
+  const match = (req.headers.cookie || "").match(
+    new RegExp(`(?:^|;\\s*)${name}=([^;]+)`)
+  );
+  return match ? match[1] : null;
+};
+
+class MockPortal {
+  /**
+   * @param {Object} options - { host, port, scenario }
+   */
+  constructor(options = {}) {
+    this.host = options.host || "127.0.0.1";
+    this.port = options.port === undefined ? 47330 : options.port;
+    this.initialScenario = { ...DEFAULT_SCENARIO, ...options.scenario };
+    this.server = null;
+    this.reset();
+  }
+
+  /**
+   * Forget sessions, carts and orders and restore the starting scenario
+   */
+  reset() {
+    this.scenario = { ...this.initialScenario };
+    this.sessions = new Map();
+    this.sentCodes = [];
+    this.orders = [];
+  }
+
+  /**
+   * URL the bot should use as config.baseUrl
+   * @returns {string} Base URL
+   */
+  get baseUrl() {
+    return `http://${this.host}:${this.port}${BASE_PATH}`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handleRequest(req, res).catch((error) => {
+          this.sendJson(res, 500, { ok: false, error: error.message });
+        });
+      });
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * The dates shown in the picker, with their status
+   * @returns {Array<Object>} { date, soldOut, remaining }
+   */
+  calendar() {
+    const first = dates.today();
+    const soldOut =
+      this.scenario.soldOut === "all"
+        ? null
+        : new Set(
+            (this.scenario.soldOut || []).map((date) => dates.resolveDate(date))
+          );
+
+    return Array.from({ length: this.scenario.days }, (_, offset) => {
+      const date = dates.addDays(first, offset);
+      const isSoldOut = soldOut === null || soldOut.has(date);
+      return { date, soldOut: isSoldOut, remaining: isSoldOut ? 0 : 25 };
+    });
+  }
+
+  /**
+   * The time slots of a product, with their status
+   * @param {Object} product - Product from the scenario
+   * @returns {Array<Object>} { start, label, soldOut }
+   */
+  slotsFor(product) {
+    const soldOut = this.scenario.soldOutSlots;
+    return (product.slots || []).map((slot) => ({
+      ...slot,
+      soldOut:
+        soldOut === "all" ||
+        (soldOut || []).some(
+          (entry) =>
+            entry === slot.start ||
+            entry === (slot.start < "12:00" ? "morning" : "afternoon")
+        ),
+    }));
+  }
+
+  /**
+   * Get (or start) the session of a request
+   * @param {Object} req - HTTP request
+   * @returns {Object} { id, session } where session is null when signed out
+   */
+  sessionFor(req) {
+    const id = readCookie(req, "yodel_session");
+    return { id, session: id ? this.sessions.get(id) || null : null };
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, this.baseUrl);
+
+    if (url.pathname.startsWith("/__mock/")) {
+      return this.handleControl(req, res, url.pathname.slice(8));
+    }
+
+    if (this.scenario.slowMs) {
+      await new Promise((resolve) => setTimeout(resolve, this.scenario.slowMs));
+    }
+
+    if (req.method === "GET" && url.pathname === BASE_PATH) {
+      return this.sendPage(req, res);
+    }
+    if (req.method === "GET" && url.pathname === `${BASE_PATH}/my-passes`) {
+      return this.sendMyPasses(req, res);
+    }
+    if (req.method === "GET" && url.pathname === `${BASE_PATH}/portal.js`) {
+      return this.sendFile(res, "portal.js", "application/javascript");
+    }
+    if (req.method === "GET" && url.pathname === `${BASE_PATH}/portal.css`) {
+      return this.sendFile(res, "portal.css", "text/css");
+    }
+    if (req.method === "POST" && url.pathname.startsWith(`${BASE_PATH}/api/`)) {
+      const body = await readJson(req);
+      return this.handleApi(
+        req,
+        res,
+        url.pathname.slice(BASE_PATH.length + 5),
+        body
+      );
+    }
+
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found");
+  }
+
+  sendPage(req, res) {
+    if (this.scenario.error === "page") {
+      res.writeHead(500, { "Content-Type": "text/html" });
+      res.end("<h1>500 Internal Server Error</h1>");
+      return;
+    }
+
+    const { session } = this.sessionFor(req);
+    const state = {
+      signedIn: Boolean(session),
+      vehicles: session ? session.vehicles : [],
+      products: this.scenario.products.map((product) => ({
+        ...product,
+        slots: this.slotsFor(product),
+      })),
+      calendar: this.calendar(),
+      perSlide: this.scenario.perSlide,
+    };
+
+    const html = fs
+      .readFileSync(path.join(FIXTURES, "portal.html"), "utf8")
+      .replace("{{STATE}}", JSON.stringify(state).replace(/</g, "\\u003c"));
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(html);
+  }
+
+  /**
+   * The passes the account holds: scenario passes, then mock orders
+   * @returns {Array<Object>} { orderNumber, date, passType, licensePlate }
+   */
+  accountPasses() {
+    return [
+      ...(this.scenario.existingPasses || []).map((pass) => ({
+        orderNumber: null,
+        ...pass,
+        date: dates.resolveDate(pass.date),
+      })),
+      ...this.orders.flatMap((order) =>
+        order.items.map((item) => ({
+          orderNumber: order.orderNumber,
+          date: item.date,
+          passType: item.passType,
+          licensePlate: item.vehicle.licensePlate,
+        }))
+      ),
+    ];
+  }
+
+  sendMyPasses(req, res) {
+    const { session } = this.sessionFor(req);
+    const passes = session ? this.accountPasses() : [];
+    const list = !session
+      ? "<p>Sign in to see your passes.</p>"
+      : passes.length === 0
+      ? "<p>You have no passes yet.</p>"
+      : `<ul class="passHistory">${passes
+          .map(
+            (pass) => `
+          <li class="myPassItem" data-date="${pass.date}">
+            <span class="passName">${pass.passType}</span>
+            <span class="myPassDate">${pass.date}</span>
+            <span class="passVehicle">${pass.licensePlate}</span>
+            ${
+              pass.orderNumber
+                ? `<span class="passOrder">Order ${pass.orderNumber}</span>`
+                : ""
+            }
+          </li>`
+          )
+          .join("")}</ul>`;
+
+    const html = fs
+      .readFileSync(path.join(FIXTURES, "my-passes.html"), "utf8")
+      .replace("{{PASSES}}", list);
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(html);
+  }
+
+  sendFile(res, name, type) {
+    res.writeHead(200, { "Content-Type": type });
+    res.end(fs.readFileSync(path.join(FIXTURES, name)));
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  async handleApi(req, res, action, body) {
+    const { id, session } = this.sessionFor(req);
+
+    switch (action) {
+      case "send-otp": {
+        const phone = String(body.phone || "").replace(/\D/g, "");
+        if (phone.length < 10) {
+          return this.sendJson(res, 400, {
+            ok: false,
+            error: "Enter a valid phone number",
+          });
+        }
+        this.sentCodes.push({
+          phone,
+          code: this.scenario.otpCode,
+          at: new Date(),
+        });
+        logger.logInfo(
+          `Mock SMS to ${phone}: Your Yodel verification code is ${this.scenario.otpCode}`
+        );
+        if (this.scenario.otpFile) {
+          fs.mkdirSync(path.dirname(this.scenario.otpFile), {
+            recursive: true,
+          });
+          fs.writeFileSync(
+            this.scenario.otpFile,
+            `Your Yodel verification code is ${this.scenario.otpCode}\n`
+          );
+        }
+        return this.sendJson(res, 200, { ok: true });
+      }
+
+      case "verify-otp": {
+        if (String(body.code) !== String(this.scenario.otpCode)) {
+          return this.sendJson(res, 401, {
+            ok: false,
+            error: "Invalid verification code",
+          });
+        }
+        const sessionId = crypto.randomBytes(12).toString("hex");
+        this.sessions.set(sessionId, {
+          vehicles: this.scenario.vehicles.map((vehicle) => ({ ...vehicle })),
+          cart: [],
+        });
+        return this.sendJson(
+          res,
+          200,
+          { ok: true, vehicles: this.scenario.vehicles },
+          {
+            "Set-Cookie": `yodel_session=${sessionId}; Path=/; HttpOnly; SameSite=Lax`,
+          }
+        );
+      }
+
+      case "vehicles": {
+        if (!session) {
+          return this.sendJson(res, 401, { ok: false, error: "Sign in first" });
+        }
+        session.vehicles.push(body.vehicle);
+        return this.sendJson(res, 200, {
+          ok: true,
+          vehicles: session.vehicles,
+        });
+      }
+
+      case "cart": {
+        if (!session) {
+          return this.sendJson(res, 401, { ok: false, error: "Sign in first" });
+        }
+        if (this.scenario.error === "cart") {
+          return this.sendJson(res, 500, {
+            ok: false,
+            error: "Something went wrong, please try again",
+          });
+        }
+        const day = this.calendar().find((entry) => entry.date === body.date);
+        if (!day || day.soldOut) {
+          return this.sendJson(res, 409, { ok: false, error: "Sold out" });
+        }
+        const product = this.scenario.products.find(
+          (entry) => String(entry.id) === String(body.productId)
+        );
+        const slots = this.slotsFor(product);
+        const slot = slots.find((entry) => entry.start === body.slot);
+        if (slots.length > 0 && (!slot || slot.soldOut)) {
+          return this.sendJson(res, 409, {
+            ok: false,
+            error: slot ? "This time slot is sold out" : "Select a time slot",
+          });
+        }
+        session.cart.push({
+          productId: product.id,
+          passType: product.name,
+          price: product.price,
+          date: body.date,
+          slot: slot ? slot.label : null,
+          vehicle: body.vehicle,
+        });
+        return this.sendJson(res, 200, { ok: true, cart: session.cart });
+      }
+
+      case "cart/clear": {
+        if (session) {
+          session.cart = [];
+        }
+        return this.sendJson(res, 200, { ok: true, cart: [] });
+      }
+
+      case "checkout": {
+        if (!session || session.cart.length === 0) {
+          return this.sendJson(res, 400, { ok: false, error: "Cart is empty" });
+        }
+        if (this.scenario.error === "checkout") {
+          return this.sendJson(res, 500, {
+            ok: false,
+            error: "Payment could not be processed",
+          });
+        }
+        if (this.scenario.payment) {
+          return this.sendJson(res, 200, {
+            ok: true,
+            payment: { amount: this.cartTotal(session.cart) },
+          });
+        }
+        return this.sendJson(res, 200, {
+          ok: true,
+          order: this.placeOrder(id, session),
+        });
+      }
+
+      case "pay": {
+        if (!session || session.cart.length === 0) {
+          return this.sendJson(res, 400, { ok: false, error: "Cart is empty" });
+        }
+        const number = String((body.card || {}).number || "").replace(
+          /\D/g,
+          ""
+        );
+        if (number.length < 12) {
+          return this.sendJson(res, 400, {
+            ok: false,
+            error: "Enter a valid card number",
+          });
+        }
+        if (number.endsWith("0002")) {
+          return this.sendJson(res, 402, {
+            ok: false,
+            error: "Your card was declined",
+          });
+        }
+        if (this.scenario.paymentChallenge && !body.verified) {
+          return this.sendJson(res, 200, { ok: true, challenge: true });
+        }
+        return this.sendJson(res, 200, {
+          ok: true,
+          order: this.placeOrder(
+            id,
+            session,
+            `card ending ${number.slice(-4)}`
+          ),
+        });
+      }
+
+      default:
+        return this.sendJson(res, 404, { ok: false, error: "Unknown action" });
+    }
+  }
+
+  /**
+   * Total price of a cart
+   * @param {Array<Object>} cart - Cart items
+   * @returns {string} e.g. "$8.00"
+   */
+  cartTotal(cart) {
+    return `$${cart
+      .reduce((sum, item) => sum + Number(item.price.replace(/[^\d.]/g, "")), 0)
+      .toFixed(2)}`;
+  }
+
+  /**
+   * Turn a session's cart into an order
+   * @param {string} id - Session id
+   * @param {Object} session - Session with the cart
+   * @param {string|null} paidWith - Card description, for paid orders
+   * @returns {Object} Order
+   */
+  placeOrder(id, session, paidWith = null) {
+    const order = {
+      orderNumber: `BL-${100001 + this.orders.length}`,
+      session: id,
+      items: session.cart,
+      total: this.cartTotal(session.cart),
+      paidWith,
+      placedAt: new Date().toISOString(),
+    };
+    this.orders.push(order);
+    session.cart = [];
+    return order;
+  }
+
+  async handleControl(req, res, action) {
+    if (action === "state" && req.method === "GET") {
+      return this.sendJson(res, 200, {
+        scenario: this.scenario,
+        calendar: this.calendar(),
+        sentCodes: this.sentCodes,
+        sessions: this.sessions.size,
+        orders: this.orders,
+      });
+    }
+    if (action === "scenario" && req.method === "POST") {
+      Object.assign(this.scenario, await readJson(req));
+      return this.sendJson(res, 200, { ok: true, scenario: this.scenario });
+    }
+    if (action === "reset" && req.method === "POST") {
+      this.reset();
+      return this.sendJson(res, 200, { ok: true, scenario: this.scenario });
+    }
+    return this.sendJson(res, 404, { ok: false, error: "Unknown control" });
+  }
+}
+
+module.exports = { MockPortal, DEFAULT_SCENARIO };
+
+// If this file is run directly, start a mock portal with the default scenario
+if (require.main === module) {
+  const portal = new MockPortal({
+    port: parseInt(process.env.MOCK_PORTAL_PORT) || undefined,
+  });
+  portal.start().then((baseUrl) => {
+    logger.logSuccess(`Mock portal running at ${baseUrl}`);
+  });
+  process.on("SIGINT", () => portal.stop().then(() => process.exit(0)));
+}
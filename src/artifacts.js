@@ -0,0 +1,330 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const logger = require("./logger");
+const utils = require("./utils");
+const journal = require("./journal");
+const pkg = require("../package.json");
+
+/**
+ * Run artifact bundles
+ * Everything needed to debug a run is kept in its folder, data/runs/<runId>/:
+ *   journal.jsonl  the run journal (see journal.js)
+ *   screenshots/   step and error screenshots
+ *   dom/           the page's HTML at each failure
+ *   network.har    requests and responses (HAR 1.2)
+ *   console.log    browser console messages and page errors
+ * Bundles are deleted once they are older than ARTIFACTS_MAX_AGE_DAYS, and
+ * the oldest go first while all of them take more than ARTIFACTS_MAX_SIZE_MB.
+ */
+
+// Header values that would let someone reuse the portal login
+const REDACTED_HEADERS = ["cookie", "set-cookie", "authorization"];
+
+/**
+ * Turn Puppeteer's header object into HAR name/value pairs
+ * @param {Object} headers - Header names to values
+ * @returns {Array<Object>} { name, value } pairs, credentials redacted
+ */
+const harHeaders = (headers = {}) =>
+  Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: REDACTED_HEADERS.includes(name.toLowerCase()) ? "[redacted]" : value,
+  }));
+
+/**
+ * Records a page's network traffic and console output for the run bundle
+ * Request bodies are left out: the checkout posts card details.
+ */
+class PageRecorder {
+  /**
+   * @param {Object} page - Puppeteer page to listen to
+   * @param {string} runId - Run whose bundle the logs go into
+   */
+  constructor(page, runId) {
+    this.runId = runId;
+    this.requests = new Map();
+    this.consoleLines = [];
+
+    page.on("request", (request) => {
+      this.requests.set(request, {
+        startedAt: Date.now(),
+        method: request.method(),
+        url: request.url(),
+        headers: request.headers(),
+        response: null,
+        failure: null,
+        finishedAt: null,
+      });
+    });
+    page.on("response", (response) => {
+      const entry = this.requests.get(response.request());
+      if (entry) {
+        entry.respondedAt = Date.now();
+        entry.response = {
+          status: response.status(),
+          statusText: response.statusText(),
+          headers: response.headers(),
+        };
+      }
+    });
+    page.on("requestfinished", (request) => {
+      const entry = this.requests.get(request);
+      if (entry) {
+        entry.finishedAt = Date.now();
+      }
+    });
+    page.on("requestfailed", (request) => {
+      const entry = this.requests.get(request);
+      if (entry) {
+        entry.finishedAt = Date.now();
+        entry.failure = request.failure() ? request.failure().errorText : "";
+      }
+    });
+    page.on("console", (message) => this.log(message.type(), message.text()));
+    page.on("pageerror", (error) => this.log("pageerror", error.message));
+  }
+
+  /**
+   * Add a line to the console log
+   * @param {string} type - Message type (log, warning, error, pageerror)
+   * @param {string} text - Message text
+   */
+  log(type, text) {
+    this.consoleLines.push(`${new Date().toISOString()} [${type}] ${text}`);
+  }
+
+  /**
+   * Build a HAR log of the requests seen so far
+   * @returns {Object} HAR 1.2 document
+   */
+  toHar() {
+    const entries = [...this.requests.values()].map((entry) => {
+      const wait = entry.respondedAt ? entry.respondedAt - entry.startedAt : -1;
+      const receive =
+        entry.respondedAt && entry.finishedAt
+          ? entry.finishedAt - entry.respondedAt
+          : -1;
+      const response = entry.response || {
+        status: 0,
+        statusText: entry.failure || "",
+        headers: {},
+      };
+      const contentType = response.headers["content-type"] || "";
+
+      return {
+        startedDateTime: new Date(entry.startedAt).toISOString(),
+        time: Math.max(wait, 0) + Math.max(receive, 0),
+        request: {
+          method: entry.method,
+          url: entry.url,
+          httpVersion: "HTTP/1.1",
+          cookies: [],
+          headers: harHeaders(entry.headers),
+          queryString: [...new URL(entry.url).searchParams].map(
+            ([name, value]) => ({ name, value })
+          ),
+          headersSize: -1,
+          bodySize: -1,
+        },
+        response: {
+          status: response.status,
+          statusText: response.statusText,
+          httpVersion: "HTTP/1.1",
+          cookies: [],
+          headers: harHeaders(response.headers),
+          content: { size: -1, mimeType: contentType },
+          redirectURL: response.headers.location || "",
+          headersSize: -1,
+          bodySize: -1,
+        },
+        cache: {},
+        timings: { send: 0, wait, receive },
+        ...(entry.failure ? { _failure: entry.failure } : {}),
+      };
+    });
+
+    return {
+      log: {
+        version: "1.2",
+        creator: { name: pkg.name, version: pkg.version },
+        pages: [],
+        entries,
+      },
+    };
+  }
+
+  /**
+   * Write the HAR and console log into the run's bundle
+   * @returns {Array<string>} Files written
+   */
+  save() {
+    const dir = journal.runDir(this.runId);
+    const files = [path.join(dir, "network.har")];
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(files[0], JSON.stringify(this.toHar(), null, 2));
+      if (this.consoleLines.length > 0) {
+        files.push(path.join(dir, "console.log"));
+        fs.writeFileSync(files[1], `${this.consoleLines.join("\n")}\n`);
+      }
+      journal.record("artifacts", { files });
+      return files;
+    } catch (error) {
+      logger.logWarning(`Could not save the network log: ${error.message}`);
+      return [];
+    }
+  }
+}
+
+/**
+ * Start recording a page into the current run's bundle
+ * @param {Object} page - Puppeteer page
+ * @returns {PageRecorder|null} Recorder, or null outside a run
+ */
+const recordPage = (page) => {
+  const run = journal.currentRun();
+  return run ? new PageRecorder(page, run.id) : null;
+};
+
+/**
+ * Save the page's HTML into the current run's bundle
+ * @param {Object} page - Puppeteer page
+ * @param {string} name - Name for the snapshot file
+ * @returns {Promise<string|null>} File path, or null outside a run or if the
+ *   page can't be read
+ */
+const saveDomSnapshot = async (page, name) => {
+  const run = journal.currentRun();
+  if (!run) {
+    return null;
+  }
+
+  try {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const dir = path.join(journal.runDir(run.id), "dom");
+    const filepath = path.join(dir, `${name}_${timestamp}.html`);
+    const html = await page.content();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filepath, html);
+    logger.logInfo(`DOM snapshot saved: ${filepath}`);
+    journal.record("dom_snapshot", { name, path: filepath });
+    return filepath;
+  } catch (error) {
+    logger.logWarning(`Failed to save DOM snapshot: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * List the files in a folder, recursively
+ * @param {string} dir - Folder to walk
+ * @returns {Array<Object>} { path, bytes, modifiedAt } per file
+ */
+const listFiles = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listFiles(file);
+    }
+    const stat = fs.statSync(file);
+    return [{ path: file, bytes: stat.size, modifiedAt: stat.mtimeMs }];
+  });
+
+/**
+ * Describe one run's bundle
+ * @param {string} runId - Run ID, or a unique prefix of one
+ * @returns {Object} { runId, dir, files, bytes, modifiedAt }
+ */
+const bundleInfo = (runId) => {
+  const id = journal.resolveRunId(runId);
+  const dir = journal.runDir(id);
+  const files = listFiles(dir);
+  return {
+    runId: id,
+    dir,
+    files,
+    bytes: files.reduce((sum, file) => sum + file.bytes, 0),
+    modifiedAt: Math.max(
+      fs.statSync(dir).mtimeMs,
+      ...files.map((file) => file.modifiedAt)
+    ),
+  };
+};
+
+/**
+ * List every run's bundle
+ * @returns {Array<Object>} bundleInfo() per run, most recent first
+ */
+const listBundles = () => {
+  if (!fs.existsSync(journal.runsDir())) {
+    return [];
+  }
+  return fs
+    .readdirSync(journal.runsDir(), { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => bundleInfo(entry.name))
+    .sort((a, b) => b.modifiedAt - a.modifiedAt);
+};
+
+/**
+ * Check whether a run is still going in a live process
+ * @param {string} runId - Run ID
+ * @returns {boolean} True if the run has no end and its process is alive
+ */
+const isRunning = (runId) => {
+  const events = journal.readRun(runId);
+  const start = events.find((event) => event.type === "run_start");
+  return (
+    !events.some((event) => event.type === "run_end") &&
+    Boolean(start && start.pid && utils.isAlive(start.pid))
+  );
+};
+
+/**
+ * Delete bundles past the retention policy
+ * Runs still in progress are never deleted.
+ * @param {Object} options - { maxAgeDays, maxSizeMb, dryRun }
+ * @returns {Array<Object>} Deleted bundles, with the reason ("age" or "size")
+ */
+const pruneArtifacts = (options = {}) => {
+  const maxAgeDays = options.maxAgeDays || config.artifactsMaxAgeDays;
+  const maxBytes = (options.maxSizeMb || config.artifactsMaxSizeMb) * 1e6;
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+  const bundles = listBundles().filter((bundle) => !isRunning(bundle.runId));
+  const removed = [];
+  let total = bundles.reduce((sum, bundle) => sum + bundle.bytes, 0);
+
+  // Oldest first, so the size limit drops the oldest runs
+  for (const bundle of bundles.reverse()) {
+    let reason = null;
+    if (bundle.modifiedAt < cutoff) {
+      reason = "age";
+    } else if (total > maxBytes) {
+      reason = "size";
+    } else {
+      continue;
+    }
+
+    if (!options.dryRun) {
+      fs.rmSync(bundle.dir, { recursive: true, force: true });
+    }
+    total -= bundle.bytes;
+    removed.push({ ...bundle, reason });
+  }
+
+  if (removed.length > 0 && !options.dryRun) {
+    logger.logInfo(`Deleted ${removed.length} old run bundle(s)`);
+  }
+  return removed;
+};
+
+module.exports = {
+  PageRecorder,
+  recordPage,
+  saveDomSnapshot,
+  bundleInfo,
+  listBundles,
+  pruneArtifacts,
+};
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { normalizePlate } = require("./profiles");
+
+/**
+ * Booking receipts for the Buntzen Lake parking bot
+ * Every completed checkout is saved as a JSON receipt (order number, pass,
+ * date, plate, amount) next to a PDF of the confirmation page, named after
+ * the order number. The receipts double as the booking ledger that stops a
+ * vehicle getting two passes for the same date.
+ */
+
+/**
+ * Get the directory that holds booking receipts
+ * @returns {string} Bookings directory
+ */
+const bookingsDir = () => path.join(config.dataDir, "bookings");
+
+/**
+ * Build the file path for a receipt
+ * @param {string} orderNumber - Order/confirmation number
+ * @param {string} extension - "json" or "pdf"
+ * @returns {string} Receipt path
+ */
+const receiptPath = (orderNumber, extension) =>
+  path.join(
+    bookingsDir(),
+    `${String(orderNumber).replace(/[^\w-]/g, "_")}.${extension}`
+  );
+
+/**
+ * Save a booking receipt
+ * @param {Object} receipt - Receipt from BuntzenLakeBot.completeCheckout()
+ * @returns {string} Path to the JSON receipt
+ */
+const saveReceipt = (receipt) => {
+  const file = receiptPath(receipt.orderNumber, "json");
+  fs.mkdirSync(bookingsDir(), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(receipt, null, 2)}\n`);
+  return file;
+};
+
+/**
+ * Read the saved receipts, optionally filtered
+ * @param {Object} filters - { profile, from (ISO date), to (ISO date) }
+ * @returns {Array<Object>} Receipts, most recent booking first
+ */
+const readBookings = (filters = {}) => {
+  if (!fs.existsSync(bookingsDir())) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(bookingsDir())
+    .filter((name) => name.endsWith(".json"))
+    .map((name) =>
+      JSON.parse(fs.readFileSync(path.join(bookingsDir(), name), "utf8"))
+    )
+    .filter(
+      (receipt) =>
+        (!filters.profile || receipt.profile === filters.profile) &&
+        (!filters.from || receipt.date >= filters.from) &&
+        (!filters.to || receipt.date <= filters.to)
+    )
+    .sort((a, b) => b.bookedAt.localeCompare(a.bookedAt));
+};
+
+/**
+ * Find the saved bookings for one date and vehicle
+ * @param {Object} query - { date (ISO), plate }
+ * @returns {Array<Object>} Matching receipts, most recent first
+ */
+const findBookings = ({ date, plate }) =>
+  readBookings().filter(
+    (receipt) =>
+      receipt.date === date &&
+      normalizePlate(receipt.plate) === normalizePlate(plate)
+  );
+
+module.exports = {
+  bookingsDir,
+  receiptPath,
+  saveReceipt,
+  readBookings,
+  findBookings,
+};
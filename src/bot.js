@@ -1,18 +1,89 @@
-const puppeteer = require("puppeteer");
+const fs = require("fs");
 const config = require("./config");
 const logger = require("./logger");
 const utils = require("./utils");
+const dates = require("./dates");
+const { defaultProfile, normalizePlate, matchesPlate } = require("./profiles");
+const { createOtpProvider } = require("./otp");
+const session = require("./session");
+const { BookingFlow } = require("./flow");
+const selectors = require("./selectors");
+const dryrun = require("./dryrun");
+const bookings = require("./bookings");
+const payment = require("./payment");
+const { createNotifier, EVENTS } = require("./notify");
+const clock = require("./clock");
+const { launchBrowser } = require("./pool");
+const journal = require("./journal");
+const artifacts = require("./artifacts");
+const {
+  SoldOutError,
+  LoginRequiredError,
+  OtpTimeoutError,
+  SelectorMissingError,
+  NetworkError,
+  PortalChangedError,
+  PaymentDeclinedError,
+  DuplicateBookingError,
+  classifyError,
+  exitCodeFor,
+} = require("./errors");
+
+const slots = require("./slots");
 
 /**
  * Buntzen Lake Parking Pass Booking Bot
  * Automates the process of booking parking passes at Buntzen Lake
  */
 class BuntzenLakeBot {
-  constructor() {
+  /**
+   * @param {Object} profile - Booking profile (phone, vehicles, preferences)
+   * @param {Object} options - { dryRun: stop before the checkout click,
+   *   browserPool: BrowserPool to open a context in instead of launching,
+   *   notifyFailures: false when a retry policy notifies once it gives up,
+   *   stepScreenshots: screenshot after every step (STEP_SCREENSHOTS) }
+   */
+  constructor(profile = defaultProfile(), options = {}) {
+    this.profile = profile;
+    this.vehicle = profile.vehicles[0];
     this.browser = null;
+    this.browserPool = options.browserPool || null;
+    this.context = null;
     this.page = null;
+    // Network and console log for the run bundle, when inside a run
+    this.recorder = null;
     this.isLoggedIn = false;
     this.vehicleAdded = false;
+    this.otpProvider = null;
+    this.otpRequestedAt = null;
+    this.sessionRestored = false;
+    // Yodel product id of the pass card picked in selectPassType, used in
+    // selectors like #scheduler_{productId}
+    this.productId = null;
+    // Pass type being booked; switches to all_day when the profile allows
+    // it and no half-day slot is left
+    this.passType = profile.passType;
+    this.timeSlot = null;
+    this.selectedDate = null;
+    this.receipt = null;
+    this.payment = null;
+    this.notifier = createNotifier(profile.notify);
+    this.myPasses = null;
+    this.addedToCartAt = null;
+    // Set when the checkout button is clicked; from then on a failure may
+    // hide an order that went through, so nothing is retried
+    this.checkoutSubmittedAt = null;
+    this.notifyFailures = options.notifyFailures !== false;
+    this.errorScreenshot = null;
+    this.dryRun = Boolean(options.dryRun);
+    this.stepScreenshots =
+      options.stepScreenshots !== undefined
+        ? options.stepScreenshots
+        : config.stepScreenshots;
+    this.timings = [];
+    this.dryRunResult = null;
+    this.dryRunReport = null;
+    this.dryRunReportFile = null;
   }
 
   /**
@@ -22,23 +93,15 @@ class BuntzenLakeBot {
     try {
       logger.logStep("Initializing bot");
 
-      // Launch browser
-      this.browser = await puppeteer.launch({
-        headless: config.headless,
-        defaultViewport: { width: 1366, height: 768 },
-        args: [
-          "--no-sandbox",
-          "--disable-setuid-sandbox",
-          "--disable-dev-shm-usage",
-          "--disable-accelerated-2d-canvas",
-          "--no-first-run",
-          "--no-zygote",
-          "--disable-gpu",
-        ],
-      });
-
-      // Create new page
-      this.page = await this.browser.newPage();
+      // Launch a browser, or take a context of the pool's shared one
+      if (this.browserPool) {
+        this.context = await this.browserPool.newContext();
+        this.page = await this.context.newPage();
+      } else {
+        this.browser = await launchBrowser();
+        this.page = await this.browser.newPage();
+      }
+      this.recorder = artifacts.recordPage(this.page);
 
       // Set user agent
       await this.page.setUserAgent(
@@ -48,6 +111,15 @@ class BuntzenLakeBot {
       // Set viewport
       await this.page.setViewport({ width: 1366, height: 768 });
 
+      // Reuse the profile's last login, if one was saved
+      const saved = await session.restoreSession(this.page, this.profile.name);
+      if (saved) {
+        this.sessionRestored = true;
+        logger.logInfo(
+          `Restored saved session for ${this.profile.name} (saved ${saved.savedAt})`
+        );
+      }
+
       logger.logSuccess("Bot initialized successfully");
       return true;
     } catch (error) {
@@ -89,112 +161,29 @@ class BuntzenLakeBot {
       logger.logStep("Handling information popup");
 
       // Wait for info popup to appear
-      const popupExists = await utils.elementExists(
-        this.page,
-        config.selectors.infoPopup
-      );
+      const popup = await selectors.find(this.page, "infoPopup");
 
-      if (popupExists) {
+      if (popup) {
         logger.logStep('Info popup found, looking for "Go To Pass(es)" button');
 
         // Take a screenshot of the popup for debugging
         await utils.takeScreenshot(this.page, "info_popup");
 
         // Get all text content in the popup for debugging
-        const popupText = await this.page.$eval(
-          config.selectors.infoPopup,
-          (el) => el.textContent
-        );
+        const popupText = await popup.handle.evaluate((el) => el.textContent);
         logger.logInfo(`Popup content: ${popupText.substring(0, 200)}...`);
 
-        // Try XPath first since it successfully finds the "Go To Pass(es)" button
+        // Walk the button's fallback chain (XPath text, CSS, then any
+        // clickable element mentioning "Go To Pass")
         let buttonClicked = false;
         try {
-          const xpathButton = await this.page.$x(
-            "//a[contains(text(), 'Go To Pass')]"
-          );
-          if (xpathButton.length > 0) {
-            await xpathButton[0].click();
-            buttonClicked = true;
-            logger.logSuccess("Clicked 'Go To Pass(es)' button using XPath");
-          }
+          const match = await selectors.click(this.page, "goToPassesBtn", {
+            timeout: config.delayBetweenActions,
+          });
+          buttonClicked = true;
+          logger.logSuccess(`Clicked "Go To Pass(es)" button (${match.link})`);
         } catch (error) {
-          logger.logWarning(`XPath search failed: ${error.message}`);
-        }
-
-        // Fallback to CSS selectors if XPath didn't work
-        if (!buttonClicked) {
-          const buttonSelectors = [
-            "a.themeBtn.button.popup-close",
-            ".themeBtn.button.popup-close",
-            "a[href='#']",
-            "a.themeBtn.button",
-            ".themeBtn.button",
-            ".popup-close",
-            "a.popup-close",
-          ];
-
-          for (const selector of buttonSelectors) {
-            try {
-              if (await utils.elementExists(this.page, selector)) {
-                // Check if this element has the right text before clicking
-                const element = await this.page.$(selector);
-                const text = await element.evaluate(
-                  (el) => el.textContent || ""
-                );
-
-                if (text.includes("Go To Pass")) {
-                  await utils.clickElement(this.page, selector);
-                  buttonClicked = true;
-                  logger.logSuccess(
-                    `Clicked button using selector: ${selector}`
-                  );
-                  break;
-                } else {
-                  logger.logInfo(
-                    `Selector ${selector} found element with text: "${text}"`
-                  );
-                }
-              }
-            } catch (error) {
-              logger.logWarning(
-                `Selector ${selector} failed: ${error.message}`
-              );
-              continue;
-            }
-          }
-        }
-
-        if (!buttonClicked) {
-          // Try to find any clickable element with "Go To Pass" text
-          const elements = await this.page.$$("a, button, .themeBtn");
-          logger.logInfo(
-            `Found ${elements.length} potential clickable elements`
-          );
-
-          for (const element of elements) {
-            try {
-              const text = await element.evaluate((el) => el.textContent || "");
-              const tagName = await element.evaluate((el) => el.tagName);
-              const className = await element.evaluate((el) => el.className);
-
-              logger.logInfo(`Element: ${tagName}.${className} - "${text}"`);
-
-              // Look for the exact text "Go To Pass(es)" or similar
-              if (
-                text.includes("Go To Pass") ||
-                text.includes("Go To Pass(es)") ||
-                (text.includes("Pass") && text.includes("Go"))
-              ) {
-                await element.click();
-                buttonClicked = true;
-                logger.logSuccess(`Clicked button by text content: "${text}"`);
-                break;
-              }
-            } catch (error) {
-              continue;
-            }
-          }
+          logger.logWarning(error.message);
         }
 
         if (buttonClicked) {
@@ -223,49 +212,64 @@ class BuntzenLakeBot {
    */
   async selectPassType() {
     try {
-      logger.logStep(`Selecting pass type: ${config.passType}`);
+      logger.logStep(`Selecting pass type: ${this.passType}`);
 
       // Wait for pass options to load
       await utils.delay(config.longWaitTime); // Give time for page to load
 
-      // Try to find pass cards by text content
-      const passCards = await this.page.$$(".gridCard, .cardRow .gridCard");
-      let passSelected = false;
-
-      for (const card of passCards) {
-        try {
-          const cardText = await card.evaluate((el) => el.textContent || "");
-          const isAllDay =
-            cardText.includes("All Day Pass") ||
-            cardText.includes("All-day Pass");
-          const isHalfDay =
-            cardText.includes("Half Day Pass") ||
-            cardText.includes("Half-day Pass");
+      const cards = await this.readPassCards();
+      if (cards.length === 0) {
+        throw new SelectorMissingError("No pass cards found", {
+          selector: "passCard",
+        });
+      }
 
-          if (
-            (config.passType === "all_day" && isAllDay) ||
-            (config.passType === "half_day" && isHalfDay)
-          ) {
-            await card.click();
-            passSelected = true;
-            logger.logSuccess(`Selected ${config.passType} pass`);
-            break;
-          }
-        } catch (error) {
-          continue;
-        }
+      // "all_day" matches "All Day Pass", "All-day Pass" and so on
+      const normalize = (text) =>
+        (text || "")
+          .toLowerCase()
+          .replace(/[-_\s]+/g, " ")
+          .trim();
+      const findCard = (passType) =>
+        cards.find((candidate) =>
+          normalize(candidate.name).includes(normalize(passType))
+        );
+      let card = findCard(this.passType);
+
+      // Another pass type is only booked when the profile allows the
+      // all-day fallback
+      if (
+        !card &&
+        this.passType !== "all_day" &&
+        this.profile.allDayFallback &&
+        findCard("all_day")
+      ) {
+        logger.logWarning(
+          `No ${this.passType} pass listed, falling back to an all-day pass`
+        );
+        this.passType = "all_day";
+        card = findCard("all_day");
+      }
+      if (!card) {
+        await utils.takeScreenshot(this.page, "pass_type_missing");
+        throw new SoldOutError(
+          `No ${this.passType} pass listed (passes shown: ${cards
+            .map((candidate) => candidate.name)
+            .join(", ")})`
+        );
       }
 
-      if (!passSelected) {
-        // Fallback: try to click any pass card
-        if (passCards.length > 0) {
-          await passCards[0].click();
-          logger.logWarning(
-            "Could not find specific pass type, selected first available"
-          );
-        } else {
-          throw new Error("No pass cards found");
-        }
+      logger.logSuccess(`Selected ${this.passType} pass`);
+      await card.handle.click();
+
+      // Later scheduler, date and add-to-cart lookups are scoped to this card
+      this.productId = card.productId;
+      if (this.productId) {
+        logger.logInfo(`Pass "${card.name}" has product id ${this.productId}`);
+      } else {
+        logger.logWarning(
+          `No product id found on the "${card.name}" card, lookups won't be scoped to it`
+        );
       }
 
       await utils.delay(config.delayBetweenActions);
@@ -286,539 +290,536 @@ class BuntzenLakeBot {
         "Selecting date from new date picker after vehicle selection"
       );
 
-      // Wait for the new date picker to appear (it's in the scheduler section)
-      await utils.waitForElementVisible(
-        this.page,
-        "#scheduler_12196 .dateMain"
-      );
-
-      // Also wait a bit more for the date content to fully load
-      await utils.delay(config.longWaitTime);
+      // The new date picker lives in the scheduler section
+      const scope = await this.schedulerScope();
+      const date = await this.selectDateInPicker(scope);
+      this.selectedDate = date;
 
-      // Debug: Log the page structure around the new date picker
-      try {
-        const schedulerHTML = await this.page.evaluate(() => {
-          const element = document.querySelector("#scheduler_12196");
-          return element ? element.outerHTML : "Element not found";
-        });
-        logger.logInfo(`Scheduler HTML: ${schedulerHTML.substring(0, 300)}...`);
-      } catch (error) {
-        logger.logWarning(`Could not log scheduler HTML: ${error.message}`);
+      // Half-day passes also need a time slot for the date
+      if (!(await this.selectTimeSlot(scope))) {
+        await this.switchToAllDayPass(date);
       }
 
-      let dateSelected = false;
-
-      if (config.preferredDate) {
-        // Validate date format and handle different formats
-        let preferredDay;
-        if (/^\d{2}\/\d{2}$/.test(config.preferredDate)) {
-          // MM/DD format (e.g., "08/17")
-          preferredDay = config.preferredDate.split("/")[1];
-          logger.logInfo(
-            `Looking for preferred date: ${config.preferredDate} (day: ${preferredDay})`
-          );
-        } else if (/^\d{1,2}$/.test(config.preferredDate)) {
-          // Just day format (e.g., "17")
-          preferredDay = config.preferredDate;
-          logger.logInfo(`Looking for preferred date: day ${preferredDay}`);
-        } else {
-          logger.logWarning(
-            `Invalid date format: ${config.preferredDate}. Expected MM/DD or just day number.`
-          );
-        }
-
-        // Try to find and select the preferred date
-        // Look for date buttons within the scheduler date picker
-        const dateButtons = await this.page.$$(
-          "#scheduler_12196 .dateMain button.date"
-        );
-
-        // If no dates found in scheduler, try alternative selectors
-        if (dateButtons.length === 0) {
-          logger.logWarning(
-            "No dates found in scheduler, trying alternative selectors"
-          );
-          const altDateButtons = await this.page.$$(
-            "#scheduler_12196 button.date"
-          );
-          if (altDateButtons.length > 0) {
-            dateButtons.push(...altDateButtons);
-            logger.logInfo(
-              `Found ${altDateButtons.length} dates using alternative selector`
-            );
-          }
-        }
+      logger.logCompletion("Date selected from new picker");
+      return true;
+    } catch (error) {
+      logger.logError("Failed to select date from new picker", error);
+      throw error;
+    }
+  }
 
-        // If still no dates found, log error and try to continue
-        if (dateButtons.length === 0) {
-          logger.logError(
-            "No date buttons found in scheduler. This might indicate a page structure change."
-          );
-          // Try to take a screenshot for debugging
-          try {
-            await this.page.screenshot({
-              path: `logs/scheduler_date_selection_error_${Date.now()}.png`,
-            });
-            logger.logInfo("Screenshot saved for debugging");
-          } catch (screenshotError) {
-            logger.logWarning(
-              `Could not save screenshot: ${screenshotError.message}`
-            );
-          }
-        }
+  /**
+   * Read the time slots shown for the selected date
+   * @param {string} scope - Selector of the element holding the picker
+   * @returns {Promise<Array<Object>>} Slots with { handle, label, start, active, soldOut }
+   */
+  async readTimeSlots(scope) {
+    let match = null;
+    try {
+      // Slots appear once a date is picked; passes without slots have none
+      match = await selectors.waitFor(this.page, "timeSlot", {
+        scope,
+        timeout: config.longWaitTime,
+      });
+    } catch (error) {
+      return [];
+    }
 
-        // Log available dates for debugging
-        const availableDates = [];
-        for (const button of dateButtons) {
-          const buttonText = await button.evaluate((el) =>
-            el.textContent.trim()
-          );
-          availableDates.push(buttonText);
-        }
-        logger.logInfo(
-          `Available dates in scheduler: ${availableDates.join(", ")}`
-        );
+    const found = [];
+    for (const handle of match.handles) {
+      const details = await handle.evaluate((el) => ({
+        label: (el.textContent || "").replace(/\s+/g, " ").trim(),
+        start: el.getAttribute("data-start"),
+        active: el.classList.contains("active"),
+        soldOut:
+          el.disabled ||
+          el.classList.contains("soldout") ||
+          el.classList.contains("disabled"),
+      }));
+      found.push({
+        handle,
+        ...details,
+        start: details.start || slots.parseSlotStart(details.label),
+      });
+    }
+    return found;
+  }
 
-        // Try to find and select the preferred date
-        if (preferredDay) {
-          logger.logInfo(
-            `Searching for date button with text: "${preferredDay}"`
-          );
+  /**
+   * Pick the best available time slot for the selected date
+   * Tries the profile's slot preference in order, then any other slot
+   * @param {string} scope - Selector of the element holding the picker
+   * @returns {Promise<boolean>} False if the pass has slots but all are sold out
+   */
+  async selectTimeSlot(scope) {
+    const shown = await this.readTimeSlots(scope);
+    if (shown.length === 0) {
+      this.timeSlot = null;
+      return true;
+    }
 
-          // First, check if the preferred date is already active
-          const activeDateButton = await this.page.$(
-            "#scheduler_12196 .dateMain button.date.active"
-          );
+    logger.logInfo(
+      `Time slots: ${shown
+        .map(
+          (slot) =>
+            `${slots.describeSlot(slot)}${slot.soldOut ? " (sold out)" : ""}`
+        )
+        .join(", ")}`
+    );
+
+    const ranked = slots.rankSlots(shown, this.profile.slots);
+    if (ranked.length === 0) {
+      logger.logWarning("Every time slot is sold out for this date");
+      await utils.takeScreenshot(this.page, "no_time_slot");
+      return false;
+    }
 
-          if (activeDateButton) {
-            const activeDateText = await activeDateButton.evaluate((el) =>
-              el.textContent.trim()
-            );
-            logger.logInfo(`Found active date button: "${activeDateText}"`);
-
-            if (activeDateText === preferredDay) {
-              logger.logSuccess(
-                `Preferred date ${preferredDay} is already active/selected`
-              );
-              dateSelected = true;
-            } else {
-              logger.logInfo(
-                `Active date ${activeDateText} doesn't match preferred date ${preferredDay}, will click preferred date`
-              );
-              // Don't set dateSelected to true here - we need to actually click the preferred date
-            }
-          }
+    const [slot] = ranked;
+    const [first] = this.profile.slots;
+    if (first && !slots.matchesPreference(slot, first)) {
+      logger.logWarning(
+        `No ${first} slot available, falling back to ${slots.describeSlot(
+          slot
+        )}`
+      );
+    }
+    if (!slot.active) {
+      try {
+        await slot.handle.click();
+      } catch (error) {
+        await this.page.evaluate((el) => el.click(), slot.handle);
+      }
+      await utils.delay(config.delayBetweenActions);
+    }
 
-          // If not already selected, find and click the preferred date
-          if (!dateSelected) {
-            logger.logInfo(
-              `Searching for date button with text: "${preferredDay}"`
-            );
-            for (const button of dateButtons) {
-              const buttonText = await button.evaluate((el) =>
-                el.textContent.trim()
-              );
-
-              logger.logInfo(
-                `Checking button: "${buttonText}" vs preferred: "${preferredDay}"`
-              );
-
-              if (buttonText === preferredDay) {
-                logger.logInfo(`Found matching date button: "${buttonText}"`);
-                await button.click();
-                dateSelected = true;
-                logger.logSuccess(
-                  `Selected preferred date: ${config.preferredDate} (day: ${preferredDay})`
-                );
-                break;
-              }
-            }
-          }
-        }
+    this.timeSlot = { label: slot.label, start: slot.start };
+    logger.logSuccess(`Selected time slot: ${slots.describeSlot(slot)}`);
+    return true;
+  }
 
-        if (!dateSelected) {
-          logger.logWarning(
-            `Preferred date ${config.preferredDate} not available in scheduler, selecting first available`
-          );
-        }
-      }
+  /**
+   * Book an all-day pass instead when no half-day slot is left
+   * Only when the profile allows it; otherwise the booking fails
+   * @param {string} date - ISO date that had no slot left
+   */
+  async switchToAllDayPass(date) {
+    const label = date ? dates.describeDate(date) : "the selected date";
+    if (!this.profile.allDayFallback || this.passType === "all_day") {
+      throw new SoldOutError(`No time slot available for ${label}`, { date });
+    }
 
-      // If no preferred date or preferred date not found, select first available
-      if (!config.preferredDate || !dateSelected) {
-        logger.logInfo(
-          "No preferred date set or preferred date not found, selecting first available date from scheduler"
-        );
-        // Look for the first available date button in the scheduler
-        let firstAvailableDate = await this.page.$(
-          "#scheduler_12196 .dateMain button.date"
-        );
+    logger.logWarning(
+      `No time slot available for ${label}, falling back to an all-day pass`
+    );
+    this.passType = "all_day";
+    await this.selectPassType();
+
+    const scope = await this.schedulerScope();
+    this.selectedDate = await this.selectDateInPicker(scope);
+    if (!(await this.selectTimeSlot(scope))) {
+      throw new SoldOutError(`No all-day pass available for ${label}`, {
+        date,
+      });
+    }
+  }
 
-        // If no date found in scheduler, try alternative selector
-        if (!firstAvailableDate) {
-          firstAvailableDate = await this.page.$(
-            "#scheduler_12196 button.date"
-          );
-        }
+  /**
+   * CSS selector of the pass card picked in selectPassType
+   * @returns {Promise<string>} Card selector ("" for the whole page)
+   */
+  async cardScope() {
+    const match = await selectors.find(this.page, "selectedCard", {
+      params: { productId: this.productId },
+    });
+    return match && match.selector ? match.selector : "";
+  }
 
-        if (firstAvailableDate) {
-          await firstAvailableDate.click();
-          const dateText = await firstAvailableDate.evaluate((el) =>
-            el.textContent.trim()
-          );
-          logger.logSuccess(
-            `Selected available date from scheduler: ${dateText}`
-          );
-          dateSelected = true;
-        }
-      }
+  /**
+   * CSS selector of the open pass's scheduler section
+   * @returns {Promise<string>} Scheduler selector ("" for the whole page)
+   */
+  async schedulerScope() {
+    const card = await this.cardScope();
+    const match = await selectors.find(this.page, "passScheduler", {
+      scope: card,
+      params: { productId: this.productId },
+    });
+    if (!match || !match.selector) {
+      logger.logWarning(
+        card
+          ? "Scheduler section not found, using the pass card"
+          : "Scheduler section not found, using the whole page"
+      );
+      return card;
+    }
+    return utils.scopeSelector(card, match.selector);
+  }
 
-      await utils.delay(config.delayBetweenActions);
+  /**
+   * Select a date for the booking (original method - now only used for initial date selection)
+   */
+  async selectDate() {
+    try {
+      logger.logStep("Selecting booking date");
 
-      if (!dateSelected) {
-        logger.logWarning(
-          "No date was selected from scheduler, this might cause issues later"
-        );
-        // Take a screenshot for debugging
-        try {
-          await this.page.screenshot({
-            path: `logs/no_scheduler_date_selected_${Date.now()}.png`,
-          });
-          logger.logInfo("Screenshot saved for debugging");
-        } catch (screenshotError) {
-          logger.logWarning(
-            `Could not save screenshot: ${screenshotError.message}`
-          );
-        }
-      }
+      await this.selectDateInPicker("");
 
-      logger.logCompletion("Date selected from new picker");
+      logger.logCompletion("Date selected");
       return true;
     } catch (error) {
-      logger.logError("Failed to select date from new picker", error);
+      logger.logError("Failed to select date", error);
       throw error;
     }
   }
 
   /**
-   * Select a date for the booking (original method - now only used for initial date selection)
+   * Select the best acceptable date in a date picker
+   * Candidates come from the profile's preferred date, fallback dates and
+   * date rules, best first. The picker is slid forward to see every
+   * candidate, and dates marked sold out are skipped. When the profile sets
+   * no dates, the first available date on an allowed day is selected.
+   * @param {string} scope - Selector of the element holding the picker ("" for the page)
+   * @returns {Promise<string>} ISO date that was selected
    */
-  async selectDate() {
-    try {
-      logger.logStep("Selecting booking date");
+  async selectDateInPicker(scope) {
+    await utils.waitForElementVisible(
+      this.page,
+      utils.scopeSelector(scope, config.selectors.dateMain)
+    );
+
+    // Also wait a bit more for the date content to fully load
+    await utils.delay(config.longWaitTime);
+
+    const candidates = dates.buildDateCandidates(this.profile);
+
+    if (candidates.length === 0) {
+      logger.logInfo("No preferred date set, selecting first available date");
+      const buttons = await this.readDateButtons(scope, dates.today());
+      const firstAvailable = buttons.find(
+        (button) =>
+          !button.soldOut && dates.isAllowedDay(this.profile, button.date)
+      );
+      if (!firstAvailable) {
+        throw new SoldOutError("No available dates shown in the date picker");
+      }
+      await this.clickDateButton(firstAvailable);
+      return firstAvailable.date;
+    }
 
-      // Wait for date main container to load
-      await utils.waitForElementVisible(this.page, config.selectors.dateMain);
+    logger.logInfo(
+      `Acceptable dates, best first: ${candidates
+        .map(dates.describeDate)
+        .join(", ")}`
+    );
 
-      // Also wait a bit more for the date content to fully load
-      await utils.delay(config.longWaitTime);
+    const slides = await this.scanDatePicker(
+      scope,
+      candidates.reduce((latest, date) => (date > latest ? date : latest))
+    );
 
-      // Debug: Log the page structure around date selection
-      try {
-        const dateMainHTML = await this.page.evaluate((selector) => {
-          const element = document.querySelector(selector);
-          return element ? element.outerHTML : "Element not found";
-        }, config.selectors.dateMain);
+    for (const candidate of candidates) {
+      const slideIndex = slides.findIndex((slide) =>
+        slide.buttons.some((button) => button.date === candidate)
+      );
+      if (slideIndex === -1) {
         logger.logInfo(
-          `Date main container HTML: ${dateMainHTML.substring(0, 200)}...`
+          `${dates.describeDate(candidate)} is not shown, skipping`
         );
+        continue;
+      }
 
-        // Also log all date-related elements for debugging
-        const allDateElements = await this.page.evaluate(() => {
-          const elements = document.querySelectorAll(
-            ".date, button.date, .dateMain, .dateBody, .datelist"
-          );
-          return Array.from(elements).map((el) => ({
-            tag: el.tagName,
-            class: el.className,
-            text: el.textContent.trim(),
-            id: el.id || "no-id",
-          }));
-        });
+      const button = slides[slideIndex].buttons.find(
+        (b) => b.date === candidate
+      );
+      if (button.soldOut) {
         logger.logInfo(
-          `All date-related elements found: ${JSON.stringify(
-            allDateElements,
-            null,
-            2
-          )}`
+          `${dates.describeDate(candidate)} is sold out, skipping`
         );
-      } catch (error) {
-        logger.logWarning(`Could not log date main HTML: ${error.message}`);
+        continue;
       }
 
-      let dateSelected = false;
+      await this.clickDateButton(
+        await this.revealDateSlide(scope, slides, slideIndex, candidate)
+      );
+      logger.logSuccess(`Selected date: ${dates.describeDate(candidate)}`);
+      return candidate;
+    }
 
-      if (config.preferredDate) {
-        // Validate date format and handle different formats
-        let preferredDay;
-        if (/^\d{2}\/\d{2}$/.test(config.preferredDate)) {
-          // MM/DD format (e.g., "08/17")
-          preferredDay = config.preferredDate.split("/")[1];
-          logger.logInfo(
-            `Looking for preferred date: ${config.preferredDate} (day: ${preferredDay})`
-          );
-        } else if (/^\d{1,2}$/.test(config.preferredDate)) {
-          // Just day format (e.g., "17")
-          preferredDay = config.preferredDate;
-          logger.logInfo(`Looking for preferred date: day ${preferredDay}`);
-        } else {
-          logger.logWarning(
-            `Invalid date format: ${config.preferredDate}. Expected MM/DD or just day number.`
-          );
-        }
+    await utils.takeScreenshot(this.page, "no_acceptable_date");
+    throw new SoldOutError(
+      `None of the acceptable dates are available: ${candidates.join(", ")}`
+    );
+  }
 
-        // Try to find and select the preferred date
-        // Look for date buttons within the dateMain container
-        const dateButtons = await this.page.$$(
-          `${config.selectors.dateMain} ${config.selectors.dateSelector}`
+  /**
+   * Slide a date picker forward until it has shown every date up to `until`
+   * @param {string} scope - Selector of the element holding the picker
+   * @param {string} until - Last ISO date that needs to be seen
+   * @returns {Promise<Array<Object>>} Slides seen, as { from, buttons }
+   */
+  async scanDatePicker(scope, until) {
+    const slides = [];
+    let from = dates.today();
+
+    for (let slide = 0; slide <= config.maxDatePickerSlides; slide++) {
+      const buttons = await this.readDateButtons(scope, from);
+      if (buttons.length === 0) {
+        throw new PortalChangedError(
+          "No date buttons found in the date picker. This might indicate a page structure change."
         );
+      }
 
-        // If no dates found in dateMain, try alternative selectors
-        if (dateButtons.length === 0) {
-          logger.logWarning(
-            "No dates found in dateMain, trying alternative selectors"
-          );
-          const altDateButtons = await this.page.$$(
-            config.selectors.dateSelector
-          );
-          if (altDateButtons.length > 0) {
-            dateButtons.push(...altDateButtons);
-            logger.logInfo(
-              `Found ${altDateButtons.length} dates using alternative selector`
-            );
-          }
-        }
-
-        // If still no dates found, log error and try to continue
-        if (dateButtons.length === 0) {
-          logger.logError(
-            "No date buttons found on the page. This might indicate a page structure change."
-          );
-          // Try to take a screenshot for debugging
-          try {
-            await this.page.screenshot({
-              path: `logs/date_selection_error_${Date.now()}.png`,
-            });
-            logger.logInfo("Screenshot saved for debugging");
-          } catch (screenshotError) {
-            logger.logWarning(
-              `Could not save screenshot: ${screenshotError.message}`
-            );
-          }
-        }
-
-        // Log available dates for debugging
-        const availableDates = [];
-        for (const button of dateButtons) {
-          const buttonText = await button.evaluate((el) =>
-            el.textContent.trim()
-          );
-          availableDates.push(buttonText);
-        }
-        logger.logInfo(`Available dates: ${availableDates.join(", ")}`);
+      logger.logInfo(
+        `Dates shown in picker: ${buttons
+          .map((b) => `${b.date}${b.soldOut ? " (sold out)" : ""}`)
+          .join(", ")}`
+      );
 
-        // Try to find and select the preferred date
-        if (preferredDay) {
-          logger.logInfo(
-            `Searching for date button with text: "${preferredDay}"`
-          );
-          for (const button of dateButtons) {
-            const buttonText = await button.evaluate((el) =>
-              el.textContent.trim()
-            );
-
-            logger.logInfo(
-              `Checking button: "${buttonText}" vs preferred: "${preferredDay}"`
-            );
-
-            if (buttonText === preferredDay) {
-              logger.logInfo(`Found matching date button: "${buttonText}"`);
-              await button.click();
-              dateSelected = true;
-              logger.logSuccess(
-                `Selected preferred date: ${config.preferredDate} (day: ${preferredDay})`
-              );
-              break;
-            }
-          }
-        }
+      // Stop once sliding no longer changes what is shown
+      const labels = buttons.map((button) => button.text).join("|");
+      if (slides.length > 0 && labels === slides[slides.length - 1].labels) {
+        break;
+      }
+      slides.push({ from, labels, buttons });
 
-        if (!dateSelected) {
-          logger.logWarning(
-            `Preferred date ${config.preferredDate} not available, selecting first available`
-          );
-        }
+      const lastShown = buttons[buttons.length - 1].date;
+      if (lastShown >= until || !(await this.slideDatePicker(scope))) {
+        break;
       }
+      from = buttons[0].date;
+    }
 
-      // If no preferred date or preferred date not found, select first available
-      if (!config.preferredDate || !dateSelected) {
-        logger.logInfo(
-          "No preferred date set or preferred date not found, selecting first available date"
-        );
-        // Look for the first available date button
-        let firstAvailableDate = await this.page.$(
-          `${config.selectors.dateMain} ${config.selectors.dateSelector}`
-        );
+    return slides;
+  }
 
-        // If no date found in dateMain, try alternative selector
-        if (!firstAvailableDate) {
-          firstAvailableDate = await this.page.$(config.selectors.dateSelector);
-        }
+  /**
+   * Slide a date picker back to an earlier slide and find a date on it
+   * @param {string} scope - Selector of the element holding the picker
+   * @param {Array<Object>} slides - Slides from scanDatePicker
+   * @param {number} index - Slide holding the date
+   * @param {string} date - ISO date to find
+   * @returns {Promise<Object>} Date button
+   */
+  async revealDateSlide(scope, slides, index, date) {
+    const seen = slides[index].buttons.find((button) => button.date === date);
 
-        if (firstAvailableDate) {
-          await firstAvailableDate.click();
-          const dateText = await firstAvailableDate.evaluate((el) =>
-            el.textContent.trim()
-          );
-          logger.logSuccess(`Selected available date: ${dateText}`);
-          dateSelected = true;
-        }
-      }
+    if (!(await this.rewindDatePicker(scope, slides.length - 1 - index))) {
+      // Fall back to the handle read earlier, it may still be attached
+      return seen;
+    }
 
-      await utils.delay(config.delayBetweenActions);
+    const buttons = await this.readDateButtons(scope, slides[index].from);
+    return buttons.find((button) => button.date === date) || seen;
+  }
 
-      if (!dateSelected) {
-        logger.logWarning(
-          "No date was selected, this might cause issues later"
-        );
-        // Take a screenshot for debugging
-        try {
-          await this.page.screenshot({
-            path: `logs/no_date_selected_${Date.now()}.png`,
-          });
-          logger.logInfo("Screenshot saved for debugging");
-        } catch (screenshotError) {
-          logger.logWarning(
-            `Could not save screenshot: ${screenshotError.message}`
-          );
-        }
+  /**
+   * Slide a date picker back a number of slides
+   * @param {string} scope - Selector of the element holding the picker
+   * @param {number} count - Number of slides to go back
+   * @returns {Promise<boolean>} Whether the picker could be moved back
+   */
+  async rewindDatePicker(scope, count) {
+    for (let slide = 0; slide < count; slide++) {
+      const prevButton = await this.page.$(
+        utils.scopeSelector(scope, config.selectors.datePrevBtn)
+      );
+      if (!prevButton) {
+        return false;
       }
-
-      logger.logCompletion("Date selected");
-      return true;
-    } catch (error) {
-      logger.logError("Failed to select date", error);
-      throw error;
+      await prevButton.click();
+      await utils.delay(config.longWaitTime);
     }
+    return true;
   }
 
   /**
-   * Add the selected pass to cart
+   * Read the date buttons currently shown in a date picker
+   * @param {string} scope - Selector of the element holding the picker
+   * @param {string} from - ISO date the first button can't be before
+   * @returns {Promise<Array<Object>>} Buttons with { handle, text, date, active, soldOut, remaining, price }
    */
-  async addToCart() {
-    try {
-      logger.logStep("Adding pass to cart");
-
-      // Wait for add to cart button
-      await utils.waitForElementVisible(
-        this.page,
-        config.selectors.addToCartBtn
+  async readDateButtons(scope, from) {
+    let handles = await this.page.$$(
+      utils.scopeSelector(
+        scope,
+        utils.scopeSelector(
+          config.selectors.dateMain,
+          config.selectors.dateSelector
+        )
+      )
+    );
+
+    // If no dates found in dateMain, try alternative selector
+    if (handles.length === 0) {
+      handles = await this.page.$$(
+        utils.scopeSelector(scope, config.selectors.dateSelector)
       );
+    }
 
-      // Check if pass is available (not sold out)
-      const soldOutExists = await utils.elementExists(
-        this.page,
+    const buttons = [];
+    for (const handle of handles) {
+      const details = await handle.evaluate(
+        (el, soldOutSelector) => ({
+          text: el.textContent.trim(),
+          attribute:
+            el.getAttribute("data-date") ||
+            el.getAttribute("aria-label") ||
+            el.getAttribute("title") ||
+            "",
+          active: el.classList.contains("active"),
+          soldOut:
+            el.matches(soldOutSelector) ||
+            el.querySelector(soldOutSelector) !== null,
+          // Extra details the portal may put on the button
+          remaining:
+            el.getAttribute("data-remaining") ||
+            el.getAttribute("data-available") ||
+            null,
+          price: el.getAttribute("data-price") || null,
+        }),
         config.selectors.soldOut
       );
-      if (soldOutExists) {
-        throw new Error("Pass is sold out for the selected date");
-      }
+      buttons.push({ handle, ...details });
+    }
 
-      // Click add to cart
-      await utils.clickElement(this.page, config.selectors.addToCartBtn);
-      await utils.delay(config.delayBetweenActions);
+    // Prefer a full date from the markup, otherwise infer it from the day numbers
+    const inferred = dates.datesFromDayNumbers(
+      buttons.map((button) => button.text),
+      from
+    );
+    return buttons.map((button, index) => ({
+      ...button,
+      date: dates.parseDateAttribute(button.attribute) || inferred[index],
+    }));
+  }
 
-      logger.logCompletion("Pass added to cart");
-      return true;
-    } catch (error) {
-      logger.logError("Failed to add to cart", error);
-      throw error;
+  /**
+   * Click a date button unless it is already the active date
+   * @param {Object} button - Button from readDateButtons
+   */
+  async clickDateButton(button) {
+    if (button.active) {
+      logger.logSuccess(`Date ${button.date} is already active/selected`);
+    } else {
+      try {
+        await button.handle.click();
+      } catch (clickError) {
+        // Buttons on other slides are in the DOM but off-screen
+        await this.page.evaluate((el) => el.click(), button.handle);
+      }
+      logger.logSuccess(`Clicked date button: ${button.date}`);
+    }
+    await utils.delay(config.delayBetweenActions);
+  }
+
+  /**
+   * Slide a date picker forward to show later dates
+   * @param {string} scope - Selector of the element holding the picker
+   * @returns {Promise<boolean>} Whether the picker could be moved
+   */
+  async slideDatePicker(scope) {
+    const nextButton = await this.page.$(
+      utils.scopeSelector(scope, config.selectors.dateNextBtn)
+    );
+    if (!nextButton) {
+      logger.logWarning("Date picker has no next button to slide forward");
+      return false;
     }
+
+    logger.logStep("Sliding date picker forward");
+    await nextButton.click();
+    await utils.delay(config.longWaitTime);
+    return true;
   }
 
   /**
-   * Handle the booking page when user is already signed in
+   * Add the selected pass to cart
    */
-  async handleSignedInBooking() {
+  async addToCart() {
     try {
-      logger.logStep("Handling booking page for signed-in user");
+      logger.logStep("Adding pass to cart");
 
-      // Wait for the page to load completely
-      await utils.delay(config.longWaitTime);
+      // Never buy a vehicle a second pass for the same day
+      await this.checkNotBookedAlready();
 
-      // Check if we need to select a vehicle
-      const vehicleSelectExists = await utils.elementExists(
-        this.page,
-        "#selectVehicleSmartSelect"
-      );
+      // Only look for the button on the selected pass's card
+      const lookup = {
+        scope: await this.cardScope(),
+        params: { productId: this.productId },
+      };
 
-      if (vehicleSelectExists) {
-        logger.logStep("Vehicle selection required");
-        await this.handleVehicleSelectionForSignedInUser();
-      }
+      // Wait for add to cart button
+      await selectors.waitFor(this.page, "addToCartBtn", {
+        ...lookup,
+        visible: true,
+      });
 
-      // After vehicle selection, select the date from the new date picker
-      logger.logStep(
-        "Vehicle selected, now selecting date from new date picker"
+      // Check if the selected date is available (other dates may be sold out)
+      const { activeDate, soldOut } = config.selectors;
+      const soldOutExists = await utils.elementExists(
+        this.page,
+        `${activeDate}${soldOut}, ${activeDate} ${soldOut}`
       );
-      await this.selectDateFromNewPicker();
+      if (soldOutExists) {
+        throw new SoldOutError("Pass is sold out for the selected date", {
+          date: this.selectedDate,
+        });
+      }
 
-      // Now try to add to cart
-      await this.addToCart();
+      // Click add to cart
+      const match = await selectors.click(this.page, "addToCartBtn", lookup);
+      this.addedToCartAt = Date.now();
+      if (match.fallback) {
+        logger.logWarning(
+          `Add to cart button found by fallback: ${match.link}`
+        );
+      }
+      await utils.delay(config.delayBetweenActions);
 
-      logger.logCompletion("Signed-in booking handled");
+      logger.logCompletion("Pass added to cart");
       return true;
     } catch (error) {
-      logger.logError("Failed to handle signed-in booking", error);
+      logger.logError("Failed to add to cart", error);
       throw error;
     }
   }
 
   /**
    * Handle vehicle selection for signed-in users
+   * Used when the account's vehicles are listed as <option>s; picks the one
+   * with the profile vehicle's plate, or adds the vehicle when it's missing
    */
   async handleVehicleSelectionForSignedInUser() {
     try {
-      logger.logStep("Handling vehicle selection for signed-in user");
-
-      // Wait for vehicle selector to be visible
-      await utils.waitForElementVisible(this.page, "#selectVehicleSmartSelect");
+      const plate = this.vehicle.licensePlate;
+      logger.logStep(`Selecting vehicle ${plate} for signed-in user`);
 
-      // Click on the vehicle selector to open it
-      await utils.clickElement(this.page, "#selectVehicleSmartSelect");
+      // Wait for the vehicle selector and click it to open it
+      const selector = await selectors.click(this.page, "vehicleSelector");
       await utils.delay(config.longWaitTime);
 
-      // Check if we need to add a new vehicle
-      if (!this.vehicleAdded) {
-        logger.logStep("Adding new vehicle for signed-in user");
-
-        // Look for "Add a Vehicle" option
-        const addVehicleOption = await this.page.$(
-          'option[value="new_vehicle"]'
-        );
-        if (addVehicleOption) {
-          await addVehicleOption.click();
-          await utils.delay(config.longWaitTime);
+      const vehicles = await this.readVehicleOptions(selector.handle);
+      const match = vehicles.find((vehicle) =>
+        matchesPlate(vehicle.text, plate)
+      );
 
-          // Fill vehicle information
-          await this.fillVehicleForm();
-        } else {
-          // Try to select existing vehicle
-          const existingVehicle = await this.page.$('option[value*="__BC"]');
-          if (existingVehicle) {
-            await existingVehicle.click();
-            logger.logSuccess("Selected existing vehicle");
-          }
-        }
+      if (match) {
+        await match.handle.evaluate((option) => {
+          option.selected = true;
+          option.parentElement.dispatchEvent(
+            new Event("change", { bubbles: true })
+          );
+        });
+        logger.logSuccess(`Selected existing vehicle: ${match.text}`);
       } else {
-        // Select existing vehicle
-        const existingVehicle = await this.page.$('option[value*="__BC"]');
-        if (existingVehicle) {
-          await existingVehicle.click();
-          logger.logSuccess("Selected existing vehicle");
-        }
+        logger.logWarning(
+          `No vehicle with plate ${plate} on the account, adding it`
+        );
+        await this.addNewVehicle();
       }
 
       await utils.delay(config.longWaitTime);
+      await this.verifySelectedVehicle();
       logger.logCompletion("Vehicle selection completed for signed-in user");
       return true;
     } catch (error) {
@@ -830,6 +831,30 @@ class BuntzenLakeBot {
     }
   }
 
+  /**
+   * Read the account's vehicles from a vehicle <select>
+   * @param {Object} container - Element handle holding the <select>
+   * @returns {Promise<Array<Object>>} Vehicles with { handle, text }
+   */
+  async readVehicleOptions(container) {
+    let handles = container ? await container.$$("option") : [];
+    if (handles.length === 0) {
+      handles = await this.page.$$("option");
+    }
+
+    const vehicles = [];
+    for (const handle of handles) {
+      const { text, value } = await handle.evaluate((el) => ({
+        text: (el.textContent || "").trim(),
+        value: el.value,
+      }));
+      if (value && value !== "new_vehicle" && text !== "Select...") {
+        vehicles.push({ handle, text });
+      }
+    }
+    return vehicles;
+  }
+
   /**
    * Fill the vehicle form
    */
@@ -844,30 +869,35 @@ class BuntzenLakeBot {
       );
 
       // Fill vehicle information
-      await utils.fillInput(
+      const plateFilled = await utils.fillInput(
         this.page,
         config.selectors.licensePlateInput,
-        config.licensePlate
+        this.vehicle.licensePlate
       );
+      if (!plateFilled) {
+        throw new SelectorMissingError("Could not enter the licence plate", {
+          selector: "licensePlateInput",
+        });
+      }
       await utils.selectOption(
         this.page,
         config.selectors.provinceSelect,
-        config.province
+        this.vehicle.province
       );
       await utils.selectOption(
         this.page,
         config.selectors.colorSelect,
-        config.vehicleColor
+        this.vehicle.color
       );
       await utils.selectOption(
         this.page,
         config.selectors.makeSelect,
-        config.vehicleMake
+        this.vehicle.make
       );
       await utils.fillInput(
         this.page,
         config.selectors.modelInput,
-        config.vehicleModel
+        this.vehicle.model
       );
 
       // Save vehicle
@@ -896,140 +926,47 @@ class BuntzenLakeBot {
       // Take a screenshot of the login form for debugging
       await utils.takeScreenshot(this.page, "login_form");
 
-      // Try multiple selectors for the phone input
-      const phoneInputSelectors = [
-        "#txtPhonenumber",
-        'input[name="number"]',
-        'input[type="number"]',
-        'input[placeholder*="Enter number"]',
-      ];
-
-      let phoneInputFound = false;
-      let phoneInput = null;
-
-      for (const selector of phoneInputSelectors) {
-        try {
-          if (await utils.elementExists(this.page, selector)) {
-            phoneInput = await this.page.$(selector);
-            phoneInputFound = true;
-            logger.logSuccess(`Found phone input with selector: ${selector}`);
-            break;
-          }
-        } catch (error) {
-          logger.logWarning(`Selector ${selector} failed: ${error.message}`);
-          continue;
-        }
-      }
-
-      if (!phoneInputFound) {
-        // Try to find any input field that might be for phone number
-        const allInputs = await this.page.$$("input");
-        logger.logInfo(`Found ${allInputs.length} input fields on the page`);
-
-        for (const input of allInputs) {
-          try {
-            const inputType = await input.evaluate((el) => el.type);
-            const inputId = await input.evaluate((el) => el.id);
-            const inputName = await input.evaluate((el) => el.name);
-            const inputPlaceholder = await input.evaluate(
-              (el) => el.placeholder
-            );
-
-            logger.logInfo(
-              `Input: type=${inputType}, id=${inputId}, name=${inputName}, placeholder=${inputPlaceholder}`
-            );
-
-            if (
-              inputType === "number" ||
-              inputId.includes("phone") ||
-              inputName.includes("number") ||
-              inputPlaceholder.includes("number") ||
-              inputPlaceholder.includes("phone")
-            ) {
-              phoneInput = input;
-              phoneInputFound = true;
-              logger.logSuccess(
-                `Found phone input by attributes: type=${inputType}, id=${inputId}`
-              );
-              break;
-            }
-          } catch (error) {
-            continue;
-          }
-        }
+      const phoneMatch = await selectors.find(this.page, "phoneInput");
+      if (!phoneMatch) {
+        throw new SelectorMissingError(
+          `Could not find phone number input field (tried ${selectors.describeChain(
+            "phoneInput"
+          )})`,
+          { selector: "phoneInput" }
+        );
       }
+      const phoneInput = phoneMatch.handle;
+      logger.logSuccess(`Found phone input (${phoneMatch.link})`);
 
-      if (!phoneInputFound || !phoneInput) {
-        throw new Error("Could not find phone number input field");
-      }
+      // Start listening before the code is sent so a fast SMS isn't missed
+      this.otpProvider = createOtpProvider(this.profile.otp);
+      await this.otpProvider.start();
 
       // Fill phone number
-      logger.logStep(`Filling phone number: ${config.phoneNumber}`);
+      logger.logStep(`Filling phone number: ${this.profile.phoneNumber}`);
       await phoneInput.focus();
-      await phoneInput.type(config.phoneNumber);
+      await phoneInput.type(this.profile.phoneNumber);
       logger.logSuccess("Phone number filled successfully");
 
       // Wait longer for the page to fully load and stabilize
       await utils.delay(config.longWaitTime);
 
-      // Click next button - try multiple selectors
+      // Click next button
       logger.logStep("Clicking Next button");
 
-      // First, let's debug what buttons are actually on the page
-      const allButtons = await this.page.$$("a, button");
-      logger.logInfo(`Found ${allButtons.length} buttons/links on the page`);
-
-      let nextButtonClicked = false;
-      for (let i = 0; i < allButtons.length; i++) {
-        try {
-          const button = allButtons[i];
-          const buttonText = await button.evaluate(
-            (el) => el.textContent || ""
-          );
-          const buttonClass = await button.evaluate((el) => el.className || "");
-          const buttonTag = await button.evaluate((el) => el.tagName || "");
-
-          logger.logInfo(
-            `Button ${i + 1}: ${buttonTag}.${buttonClass} - "${buttonText}"`
-          );
-
-          if (buttonText.toLowerCase().includes("next")) {
-            logger.logSuccess(
-              `Found Next button: ${buttonTag}.${buttonClass} - "${buttonText}"`
-            );
-            await button.click();
-            nextButtonClicked = true;
-            logger.logSuccess(`Clicked Next button directly`);
-            break;
-          }
-        } catch (error) {
-          continue;
-        }
-      }
-
-      if (!nextButtonClicked) {
-        // Try the specific selector from your HTML
-        try {
-          const nextButton = await this.page.$(".cardfooter .themeBtn.button");
-          if (nextButton) {
-            const buttonText = await nextButton.evaluate(
-              (el) => el.textContent || ""
-            );
-            if (buttonText.toLowerCase().includes("next")) {
-              await nextButton.click();
-              nextButtonClicked = true;
-              logger.logSuccess(
-                `Clicked Next button using .cardfooter .themeBtn.button`
-              );
-            }
-          }
-        } catch (error) {
-          logger.logWarning(`Specific selector failed: ${error.message}`);
-        }
-      }
-
-      if (!nextButtonClicked) {
-        throw new Error("Could not find or click Next button");
+      // Codes written before this are old ones; take the time before the
+      // click, as a fast provider can have the new code before it returns
+      this.otpRequestedAt = new Date();
+      try {
+        const match = await selectors.click(this.page, "nextBtn", {
+          timeout: config.delayBetweenActions,
+        });
+        logger.logSuccess(`Clicked Next button (${match.link})`);
+      } catch (error) {
+        throw new SelectorMissingError(
+          `Could not find or click Next button: ${error.message}`,
+          { selector: "nextBtn" }
+        );
       }
 
       await utils.delay(config.delayBetweenActions);
@@ -1043,6 +980,8 @@ class BuntzenLakeBot {
     } catch (error) {
       logger.logError("Failed to handle login", error);
       throw error;
+    } finally {
+      await this.stopOtpProvider();
     }
   }
 
@@ -1057,257 +996,292 @@ class BuntzenLakeBot {
       await utils.delay(config.longWaitTime);
 
       // Take a screenshot for debugging
-      await utils.takeScreenshot(this.page, "otp_form");
-
-      // Try multiple selectors for OTP inputs
-      const otpSelectors = [
-        ".otpFocusInput",
-        'input[type="tel"]',
-        'input[maxlength="1"]',
-        'input[aria-label*="verification"]',
-        'input[aria-label*="Digit"]',
-      ];
-
-      let otpInputs = [];
-      for (const selector of otpSelectors) {
-        try {
-          const inputs = await this.page.$$(selector);
-          if (inputs.length >= 4) {
-            otpInputs = inputs;
-            logger.logSuccess(
-              `Found ${otpInputs.length} OTP inputs with selector: ${selector}`
-            );
-            break;
-          }
-        } catch (error) {
-          continue;
-        }
-      }
+      const screenshot = await utils.takeScreenshot(this.page, "otp_form");
 
+      const otpInputs = await this.findOtpInputs();
       if (otpInputs.length === 0) {
-        // Try to find any inputs that might be OTP fields
-        const allInputs = await this.page.$$("input");
-        logger.logInfo(`Found ${allInputs.length} input fields on the page`);
-
-        for (const input of allInputs) {
-          try {
-            const inputType = await input.evaluate((el) => el.type);
-            const inputMaxLength = await input.evaluate((el) => el.maxLength);
-            const inputAriaLabel = await input.evaluate(
-              (el) => el.getAttribute("aria-label") || ""
-            );
-
-            if (
-              inputMaxLength === 1 ||
-              inputType === "tel" ||
-              inputAriaLabel.includes("Digit") ||
-              inputAriaLabel.includes("verification")
-            ) {
-              otpInputs.push(input);
-            }
-          } catch (error) {
-            continue;
-          }
-        }
-
-        logger.logInfo(
-          `Identified ${otpInputs.length} potential OTP input fields`
-        );
+        throw new SelectorMissingError("Could not find OTP input fields", {
+          selector: "otpInputs",
+        });
       }
 
-      if (otpInputs.length === 0) {
-        throw new Error("Could not find OTP input fields");
-      }
-
-      // IMPORTANT: Wait for user to manually enter the real OTP code
-      logger.logWarning("⚠️  OTP verification code required!");
-      logger.logInfo("📱 Please check your phone for the verification code");
-      logger.logInfo("⌨️  Enter the 4-digit code manually in the browser");
-      logger.logInfo("⏳ Bot will wait for you to complete this step...");
-
-      // Wait for user to manually enter OTP and submit
-      // We'll wait for the page to change (indicating successful verification)
-      const maxWaitTime = 300000; // 5 minutes
-      const checkInterval = 2000; // Check every 2 seconds
-      let waitedTime = 0;
-
-      while (waitedTime < maxWaitTime) {
-        // Check if we're still on the OTP page
-        const otpStillVisible = await this.page.evaluate(() => {
-          return (
-            document.querySelector(".otpFocusInput") !== null ||
-            document.querySelector('input[maxlength="1"]') !== null
-          );
+      if (this.otpProvider && this.otpProvider.automatic) {
+        await this.enterOtpFromProvider();
+      } else if (config.headless) {
+        // Not retryable: every attempt would text the phone another code
+        throw new LoginRequiredError(
+          "The portal wants a verification code, but nobody can type it into a headless browser. Set OTP_PROVIDER, or log in once without --headless to save a session",
+          { retryable: false }
+        );
+      } else {
+        await this.notify(EVENTS.OTP_NEEDED, {
+          message: `The portal texted a verification code to the phone ending ${this.profile.phoneNumber.slice(
+            -4
+          )}. Type it into the browser window within 5 minutes.`,
+          screenshot,
         });
+        // Returns once the OTP form is gone: the user has typed and
+        // submitted the code, so there is nothing left to submit
+        await this.waitForManualOtp();
+      }
 
-        if (!otpStillVisible) {
-          logger.logSuccess("✅ OTP verification appears to be completed");
-          break;
-        }
+      await utils.delay(config.delayBetweenActions);
+      logger.logCompletion("OTP verification completed");
+      return true;
+    } catch (error) {
+      logger.logError("Failed to handle OTP verification", error);
+      throw error;
+    }
+  }
 
-        await utils.delay(checkInterval);
-        waitedTime += checkInterval;
+  /**
+   * Find the OTP input fields
+   * @returns {Promise<Array>} Input element handles
+   */
+  async findOtpInputs() {
+    const match = await selectors.find(this.page, "otpInputs");
+    if (!match) {
+      return [];
+    }
+    logger.logSuccess(
+      `Found ${match.handles.length} OTP inputs (${match.link})`
+    );
+    return match.handles;
+  }
 
-        if (waitedTime % 10000 === 0) {
-          // Log every 10 seconds
-          logger.logInfo(
-            `⏳ Still waiting for OTP verification... (${Math.floor(
-              waitedTime / 1000
-            )}s)`
-          );
-        }
+  /**
+   * Wait for the user to type the OTP code into the browser
+   */
+  async waitForManualOtp() {
+    // IMPORTANT: Wait for user to manually enter the real OTP code
+    logger.logWarning("⚠️  OTP verification code required!");
+    logger.logInfo("📱 Please check your phone for the verification code");
+    logger.logInfo("⌨️  Enter the 4-digit code manually in the browser");
+    logger.logInfo("⏳ Bot will wait for you to complete this step...");
+
+    // Wait for user to manually enter OTP and submit
+    // We'll wait for the page to change (indicating successful verification)
+    const maxWaitTime = 300000; // 5 minutes
+    const checkInterval = 2000; // Check every 2 seconds
+    let waitedTime = 0;
+
+    while (waitedTime < maxWaitTime) {
+      // Check if we're still on the OTP page
+      const otpStillVisible = await this.isOtpPending();
+
+      if (!otpStillVisible) {
+        logger.logSuccess("✅ OTP verification appears to be completed");
+        break;
       }
 
-      if (waitedTime >= maxWaitTime) {
-        logger.logWarning("⚠️  Timeout waiting for OTP verification");
+      await utils.delay(checkInterval);
+      waitedTime += checkInterval;
+
+      if (waitedTime % 10000 === 0) {
+        // Log every 10 seconds
         logger.logInfo(
-          "Please complete the verification manually and the bot will continue"
+          `⏳ Still waiting for OTP verification... (${Math.floor(
+            waitedTime / 1000
+          )}s)`
         );
       }
+    }
 
-      // Submit OTP - try multiple selectors
-      const submitSelectors = [
-        config.selectors.otpSubmitBtn,
-        ".themeBtn.button",
-        'button[type="submit"]',
-        "a.themeBtn.button",
-      ];
+    if (waitedTime >= maxWaitTime) {
+      throw new OtpTimeoutError(
+        `Nobody entered the verification code within ${
+          maxWaitTime / 60000
+        } minutes`
+      );
+    }
+  }
 
-      let otpSubmitted = false;
-      for (const selector of submitSelectors) {
-        try {
-          if (await utils.elementExists(this.page, selector)) {
-            await utils.clickElement(this.page, selector);
-            otpSubmitted = true;
-            logger.logSuccess(`OTP submitted using selector: ${selector}`);
-            break;
-          }
-        } catch (error) {
-          logger.logWarning(
-            `Submit selector ${selector} failed: ${error.message}`
-          );
-          continue;
-        }
+  /**
+   * Get codes from the OTP provider and type them in
+   * If the portal rejects a code, clears the inputs, asks for a new code
+   * with "Resend code" and tries again, up to config.otpMaxAttempts times
+   */
+  async enterOtpFromProvider() {
+    let since = this.otpRequestedAt || new Date();
+
+    for (let attempt = 1; attempt <= config.otpMaxAttempts; attempt++) {
+      logger.logInfo(
+        `📱 Waiting for verification code (attempt ${attempt}/${config.otpMaxAttempts})`
+      );
+      const code = await this.otpProvider.waitForCode({
+        since,
+        timeout: config.otpTimeout,
+      });
+
+      await this.typeOtpCode(code);
+      await this.submitOtp();
+      await utils.delay(config.longWaitTime);
+
+      if (!(await this.isOtpPending())) {
+        logger.logSuccess("✅ Verification code accepted");
+        return true;
       }
 
-      if (!otpSubmitted) {
-        throw new Error("Could not submit OTP");
+      logger.logWarning(`Verification code rejected (attempt ${attempt})`);
+      await utils.takeScreenshot(this.page, `otp_rejected_${attempt}`);
+
+      if (attempt < config.otpMaxAttempts) {
+        since = new Date();
+        await this.requestNewOtp();
       }
+    }
 
-      await utils.delay(config.delayBetweenActions);
-      logger.logCompletion("OTP verification completed");
-      return true;
-    } catch (error) {
-      logger.logError("Failed to handle OTP verification", error);
-      throw error;
+    throw new OtpTimeoutError(
+      `Verification code rejected ${config.otpMaxAttempts} times, giving up`
+    );
+  }
+
+  /**
+   * Type a code into the OTP inputs
+   * Fills one digit per box, or the whole code into a single input
+   * @param {string} code - Verification code
+   */
+  async typeOtpCode(code) {
+    const otpInputs = await this.findOtpInputs();
+    if (otpInputs.length === 0) {
+      throw new SelectorMissingError("Could not find OTP input fields", {
+        selector: "otpInputs",
+      });
+    }
+
+    // Clear anything left over from a previous attempt
+    for (const input of otpInputs) {
+      await input.evaluate((el) => {
+        el.value = "";
+      });
+    }
+
+    if (otpInputs.length === 1) {
+      await otpInputs[0].focus();
+      await otpInputs[0].type(code);
+    } else {
+      const digits = code.split("");
+      for (let i = 0; i < digits.length && i < otpInputs.length; i++) {
+        await otpInputs[i].focus();
+        await otpInputs[i].type(digits[i]);
+        await utils.delay(config.delayBetweenActions);
+      }
     }
+    logger.logSuccess("Verification code entered");
   }
 
   /**
-   * Handle vehicle selection or add new vehicle
+   * Submit the OTP form
    */
-  async handleVehicleSelection() {
+  async submitOtp() {
     try {
-      logger.logStep("Handling vehicle selection");
-
-      // Wait for vehicle selection popup - look for any smart-select-list
-      const vehiclePopupSelector =
-        '.page.smart-select-page[data-name="smart-select-page"]';
-      await utils.waitForElementVisible(this.page, vehiclePopupSelector);
-
-      // Wait for the search input to be visible
-      const searchInputSelector =
-        'input[type="search"][placeholder="Search vehicle"]';
-      await utils.waitForElementVisible(this.page, searchInputSelector);
-
-      // Fill the search input with the vehicle model from config
-      const searchInput = await this.page.$(searchInputSelector);
-      if (searchInput) {
-        // Clear the input first
-        await searchInput.click({ clickCount: 3 }); // Select all text
-        await searchInput.type(config.vehicleModel);
-        logger.logSuccess(
-          `Filled search input with vehicle model: ${config.vehicleModel}`
-        );
+      const match = await selectors.click(this.page, "otpSubmitBtn", {
+        timeout: config.delayBetweenActions,
+      });
+      logger.logSuccess(`OTP submitted (${match.link})`);
+    } catch (error) {
+      throw new SelectorMissingError(`Could not submit OTP: ${error.message}`, {
+        selector: "otpSubmitBtn",
+      });
+    }
+  }
 
-        // Wait a moment for search results to filter
-        await utils.delay(1000);
-      }
+  /**
+   * Check whether the OTP form is still showing
+   * @returns {Promise<boolean>} True while the code hasn't been accepted
+   */
+  async isOtpPending() {
+    return Boolean(await selectors.find(this.page, "otpInputs"));
+  }
 
-      // Look for the vehicle that matches our model
-      const vehicleSelector = `//div[contains(@class, 'item-title') and contains(text(), '${config.vehicleModel}')]`;
+  /**
+   * Ask the portal to send a new code
+   */
+  async requestNewOtp() {
+    try {
+      await selectors.click(this.page, "resendCodeBtn", {
+        timeout: config.delayBetweenActions,
+      });
+    } catch (error) {
+      throw new SelectorMissingError("Could not find the resend code link", {
+        selector: "resendCodeBtn",
+      });
+    }
+    logger.logInfo("Requested a new verification code");
+  }
 
-      // First, let's log all available vehicles for debugging
-      const allVehicles = await this.page.$$(".item-title");
-      if (allVehicles.length > 0) {
-        logger.logStep(`Found ${allVehicles.length} vehicles on the page`);
-        for (let i = 0; i < allVehicles.length; i++) {
-          const vehicleText = await allVehicles[i].evaluate(
-            (el) => el.textContent
-          );
-          logger.logInfo(`Vehicle ${i + 1}: ${vehicleText}`);
-        }
-      }
+  /**
+   * Save the current login so the next run can skip it
+   * A failure here is logged but doesn't stop the booking
+   */
+  async persistSession() {
+    try {
+      await session.saveSession(this.page, this.profile.name);
+      logger.logSuccess(`Session saved for ${this.profile.name}`);
+    } catch (error) {
+      logger.logWarning(`Could not save session: ${error.message}`);
+    }
+  }
 
-      const vehicleElement = await this.page.$x(vehicleSelector);
+  /**
+   * Stop the OTP provider, if one is running
+   */
+  async stopOtpProvider() {
+    if (this.otpProvider) {
+      await this.otpProvider.stop();
+      this.otpProvider = null;
+    }
+  }
 
-      if (vehicleElement.length > 0) {
-        // Click on the matching vehicle
-        await vehicleElement[0].click();
-        logger.logSuccess(
-          `Selected vehicle with model: ${config.vehicleModel}`
-        );
-      } else {
-        // Try to find any vehicle that contains our model name (case insensitive)
-        logger.logStep("Exact match not found, trying flexible search");
-        const flexibleSelector = `//div[contains(@class, 'item-title') and contains(translate(text(), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), '${config.vehicleModel.toLowerCase()}')]`;
-        const flexibleVehicleElement = await this.page.$x(flexibleSelector);
+  /**
+   * Pick the profile's vehicle in the vehicle search popup
+   * Vehicles are matched on licence plate only. If the account doesn't have
+   * the vehicle yet it is added; another vehicle is never picked instead.
+   */
+  async handleVehicleSelection() {
+    try {
+      const plate = this.vehicle.licensePlate;
+      logger.logStep(`Selecting vehicle ${plate}`);
 
-        if (flexibleVehicleElement.length > 0) {
-          await flexibleVehicleElement[0].click();
-          logger.logSuccess(
-            `Selected vehicle using flexible search for model: ${config.vehicleModel}`
-          );
-        } else {
-          // If still no match, try to select the first available vehicle (not "Select..." or "Add a Vehicle")
-          logger.logStep(
-            "No model match found, trying to select first available vehicle"
-          );
-          const availableVehicles = await this.page.$$(".item-title");
-          let selectedVehicle = false;
+      // Wait for vehicle selection popup and its search input
+      const popup = await selectors.waitFor(this.page, "vehiclePopup", {
+        visible: true,
+      });
 
-          for (const vehicle of availableVehicles) {
-            const vehicleText = await vehicle.evaluate((el) => el.textContent);
-            if (
-              vehicleText &&
-              vehicleText !== "Select..." &&
-              vehicleText !== "Add a Vehicle"
-            ) {
-              await vehicle.click();
-              logger.logSuccess(`Selected available vehicle: ${vehicleText}`);
-              selectedVehicle = true;
-              break;
-            }
-          }
+      // Narrow the list down to the plate, then look at the whole list in
+      // case the portal writes the plate differently ("ABC 123")
+      let vehicles = await this.searchVehicles(plate);
+      let match = vehicles.find((vehicle) => matchesPlate(vehicle.text, plate));
+      if (!match) {
+        vehicles = await this.searchVehicles("");
+        match = vehicles.find((vehicle) => matchesPlate(vehicle.text, plate));
+      }
+      logger.logInfo(
+        `Vehicles on the account: ${
+          vehicles.map((vehicle) => vehicle.text).join(", ") || "none"
+        }`
+      );
 
-          if (!selectedVehicle) {
-            throw new Error("No suitable vehicle found for selection");
-          }
+      if (match) {
+        try {
+          await match.handle.click();
+        } catch (error) {
+          await this.page.evaluate((el) => el.click(), match.handle);
         }
+        logger.logSuccess(`Selected vehicle: ${match.text}`);
+      } else {
+        logger.logWarning(
+          `No vehicle with plate ${plate} on the account, adding it`
+        );
+        await this.addNewVehicle();
       }
 
-      // Wait for the popup to close and page to update
-      await utils.delay(config.delayBetweenActions);
-
       // Wait for the vehicle selection popup to disappear
       try {
-        await this.page.waitForSelector(
-          '.page.smart-select-page[data-name="smart-select-page"]',
-          {
-            hidden: true,
-            timeout: 10000,
-          }
-        );
+        await this.page.waitForSelector(popup.selector, {
+          hidden: true,
+          timeout: 10000,
+        });
         logger.logSuccess("Vehicle selection popup closed");
       } catch (error) {
         logger.logWarning(
@@ -1315,9 +1289,8 @@ class BuntzenLakeBot {
         );
       }
 
-      // Wait a bit more for the page to fully update
-      await utils.delay(2000);
-
+      await utils.delay(config.longWaitTime);
+      await this.verifySelectedVehicle();
       logger.logCompletion("Vehicle selection completed");
       return true;
     } catch (error) {
@@ -1327,518 +1300,1496 @@ class BuntzenLakeBot {
   }
 
   /**
-   * Handle the post-login flow where user is redirected back to booking page
+   * Type into the vehicle popup's search box and read the vehicles listed
+   * @param {string} text - Search text ("" to list every vehicle)
+   * @returns {Promise<Array<Object>>} Vehicles with { handle, text }
    */
-  async handlePostLoginFlow() {
-    try {
-      logger.logStep("Handling post-login flow");
+  async searchVehicles(text) {
+    const { handle: searchInput } = await selectors.waitFor(
+      this.page,
+      "vehicleSearchInput",
+      { visible: true }
+    );
+    await searchInput.click({ clickCount: 3 }); // Select all text
+    await searchInput.press("Backspace");
+    if (text) {
+      await searchInput.type(text);
+    }
+    await utils.delay(config.longWaitTime);
+    return this.readVehicleItems();
+  }
 
-      // Wait for the page to load and redirect back to booking page
-      await utils.delay(config.longWaitTime);
+  /**
+   * Read the vehicles listed in the vehicle popup
+   * @returns {Promise<Array<Object>>} Vehicles with { handle, text }
+   */
+  async readVehicleItems() {
+    const match = await selectors.find(this.page, "vehicleItem", {
+      visible: true,
+    });
+    const vehicles = [];
+    for (const handle of match ? match.handles : []) {
+      const text = (await handle.evaluate((el) => el.textContent || ""))
+        .replace(/\s+/g, " ")
+        .trim();
+      if (text && text !== "Select..." && !/^add a vehicle$/i.test(text)) {
+        vehicles.push({ handle, text });
+      }
+    }
+    return vehicles;
+  }
 
-      // Take a screenshot to see what page we're on
-      await utils.takeScreenshot(this.page, "post_login_page");
+  /**
+   * Make sure the vehicle selector shows the profile vehicle's plate
+   * Stops the booking rather than book a pass for another vehicle
+   */
+  async verifySelectedVehicle() {
+    const selector = await selectors.find(this.page, "vehicleSelector");
+    if (!selector) {
+      logger.logWarning("Vehicle selector not found, can't check the vehicle");
+      return;
+    }
 
-      // Check if we're back on the booking page with vehicle selector
-      const vehicleSelectorExists = await utils.elementExists(
-        this.page,
-        "#selectVehicleSmartSelect"
+    const shown = await selector.handle.evaluate((el) => {
+      const select = el.querySelector("select");
+      if (select && select.selectedOptions.length > 0) {
+        return select.selectedOptions[0].textContent;
+      }
+      const after = el.querySelector(".item-after");
+      return (after || el).textContent;
+    });
+    const text = (shown || "").replace(/\s+/g, " ").trim();
+
+    if (!matchesPlate(text, this.vehicle.licensePlate)) {
+      throw new Error(
+        `Vehicle selector shows "${text}", not ${this.vehicle.licensePlate}; not booking for the wrong vehicle`
       );
+    }
+    logger.logSuccess(`Vehicle confirmed: ${text}`);
+  }
 
-      // Also check for alternative selectors
-      const alternativeSelectors = [
-        ".smartSelectCustom",
-        ".item-link.smart-select",
-        "[id*='selectVehicle']",
-      ];
-
-      let foundSelector = false;
-      for (const selector of alternativeSelectors) {
-        const exists = await utils.elementExists(this.page, selector);
-        if (exists) {
-          logger.logInfo(`Found alternative selector: ${selector}`);
-          foundSelector = true;
-          break;
-        }
-      }
+  /**
+   * Choose the profile's vehicle with whichever vehicle picker is showing
+   * @param {boolean} popupOpen - Whether the vehicle search popup is already open
+   */
+  async selectVehicle(popupOpen = false) {
+    // Without a plate there's no way to tell the vehicles apart
+    if (!normalizePlate(this.vehicle.licensePlate)) {
+      throw new Error(
+        `No licence plate set for profile ${this.profile.name} (LICENSE_PLATE or profiles.json)`
+      );
+    }
 
-      if (vehicleSelectorExists || foundSelector) {
-        logger.logStep("Back on booking page, handling vehicle selection");
+    if (popupOpen) {
+      return this.handleVehicleSelection();
+    }
 
-        // Handle vehicle selection from dropdown
-        await this.handleDropdownVehicleSelection();
+    const smartSelectLink = await selectors.find(
+      this.page,
+      "vehicleSmartSelectLink"
+    );
+    if (smartSelectLink) {
+      return this.handleDropdownVehicleSelection();
+    }
 
-        // After vehicle selection, select the date from the new date picker
-        logger.logStep(
-          "Vehicle selected, now selecting date from new date picker"
-        );
-        await this.selectDateFromNewPicker();
+    return this.handleVehicleSelectionForSignedInUser();
+  }
 
-        // Now add to cart
-        await this.addToCart();
+  /**
+   * Handle vehicle selection from dropdown (post-login)
+   * Opens the smart-select popup, then picks the vehicle in it
+   */
+  async handleDropdownVehicleSelection() {
+    logger.logStep("Handling vehicle selection from dropdown");
+    await this.openVehiclePopup();
+    return this.handleVehicleSelection();
+  }
 
-        logger.logCompletion("Post-login flow completed");
-        return true;
+  /**
+   * Open the vehicle smart-select popup
+   */
+  async openVehiclePopup() {
+    logger.logStep("Clicking on smart-select link to open popup");
+    await selectors.click(this.page, "vehicleSmartSelectLink");
+    await utils.delay(config.longWaitTime);
+    await selectors.waitFor(this.page, "vehiclePopup", { visible: true });
+  }
+
+  /**
+   * Add the profile's vehicle to the account
+   * Picks "Add a Vehicle" in the vehicle picker and fills in the form
+   */
+  async addNewVehicle() {
+    try {
+      logger.logStep(`Adding new vehicle ${this.vehicle.licensePlate}`);
+
+      // Click on "Add a Vehicle" option
+      await selectors.click(this.page, "addVehicleBtn");
+      await utils.delay(config.delayBetweenActions);
+
+      await this.fillVehicleForm();
+      logger.logCompletion("New vehicle added");
+      return true;
+    } catch (error) {
+      logger.logError("Failed to add new vehicle", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the vehicles saved on the portal account
+   * Logs in through the portal's sign-in link when there's no saved
+   * session, so the cart is left alone
+   * @returns {Promise<Array<Object>>} { vehicle, profilePlate }
+   */
+  async listAccountVehicles() {
+    try {
+      logger.logStep(`Reading vehicles for profile: ${this.profile.name}`);
+
+      await this.initialize();
+      await this.navigateToPortal();
+      await this.handleInfoPopup();
+      await this.selectPassType();
+
+      if (!(await this.signInEarly())) {
+        throw new PortalChangedError(
+          "The portal has no sign-in link, so the vehicles can't be read without adding a pass to the cart"
+        );
+      }
+      await selectors.waitFor(this.page, "vehicleSelector", {
+        visible: true,
+        timeout: 30000,
+      });
+
+      let vehicles;
+      if (await selectors.find(this.page, "vehicleSmartSelectLink")) {
+        await this.openVehiclePopup();
+        vehicles = await this.searchVehicles("");
       } else {
-        logger.logWarning("Vehicle selector not found on post-login page");
-        logger.logStep("Taking screenshot for debugging");
-        await utils.takeScreenshot(this.page, "no_vehicle_selector_found");
-        throw new Error("Post-login page not loaded properly");
+        const selector = await selectors.click(this.page, "vehicleSelector");
+        vehicles = await this.readVehicleOptions(selector.handle);
       }
+
+      logger.logCompletion(`Found ${vehicles.length} vehicle(s)`);
+      return vehicles.map(({ text }) => {
+        const own = this.profile.vehicles.find((vehicle) =>
+          matchesPlate(text, vehicle.licensePlate)
+        );
+        return { vehicle: text, profilePlate: own ? own.licensePlate : "" };
+      });
     } catch (error) {
-      logger.logError("Failed to handle post-login flow", error);
+      logger.logError("Failed to read account vehicles", error);
+      if (this.page) {
+        await utils.takeScreenshot(this.page, "vehicles_error_state");
+      }
       throw error;
+    } finally {
+      await this.cleanup();
     }
   }
 
   /**
-   * Handle vehicle selection from dropdown (post-login)
+   * Complete the checkout process
    */
-  async handleDropdownVehicleSelection() {
+  async completeCheckout() {
     try {
-      logger.logStep("Handling vehicle selection from dropdown");
+      logger.logStep("Completing checkout");
+
+      // Wait for checkout button and click it
+      await selectors.waitFor(this.page, "checkoutBtn", { visible: true });
+      this.checkoutSubmittedAt = Date.now();
+      await selectors.click(this.page, "checkoutBtn");
+      await utils.delay(config.delayBetweenActions);
 
-      // Click on the smart-select link to open the popup
-      const smartSelectLink = await this.page.$(
-        ".smartSelectCustom .item-link.smart-select"
+      // Paid-season carts go through a payment page first
+      if ((await this.waitForCheckoutResult()) === "payment") {
+        await this.handlePayment();
+      }
+
+      const receipt = await this.recordReceipt();
+      logger.logCompletion("Checkout completed");
+      return receipt;
+    } catch (error) {
+      logger.logError("Failed to complete checkout", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the order confirmation on screen as the booking's receipt
+   * Only a readable confirmation counts as a booking. Also used when a run
+   * finds itself on the confirmation page without having clicked checkout.
+   * @returns {Promise<Object>} Receipt
+   */
+  async recordReceipt() {
+    // The order is placed: nothing from here on may be retried
+    if (!this.checkoutSubmittedAt) {
+      this.checkoutSubmittedAt = Date.now();
+    }
+
+    const confirmation = await this.readConfirmation();
+    const receipt = this.checkConfirmation(confirmation);
+
+    // Take screenshot of final confirmation
+    receipt.screenshot = await utils.takeScreenshot(
+      this.page,
+      "checkout_completed"
+    );
+    receipt.pdf = await this.saveConfirmationPdf(receipt.orderNumber);
+    receipt.file = bookings.saveReceipt(receipt);
+    this.receipt = receipt;
+
+    logger.logSuccess(
+      `Order ${receipt.orderNumber}: ${receipt.passType}, ${receipt.date}, ${receipt.plate}, ${receipt.amount}`
+    );
+    logger.logInfo(`Receipt saved: ${receipt.file}`);
+    await this.notify(EVENTS.BOOKED, { receipt });
+    return receipt;
+  }
+
+  /**
+   * Wait for what the checkout click leads to
+   * @returns {Promise<string>} "confirmation" or "payment"
+   */
+  async waitForCheckoutResult() {
+    const deadline = Date.now() + config.confirmationTimeout;
+    while (Date.now() < deadline) {
+      if (await selectors.find(this.page, "confirmation", { visible: true })) {
+        return "confirmation";
+      }
+      if (await this.findInFrames("paymentForm", { visible: true })) {
+        return "payment";
+      }
+      await utils.delay(250);
+    }
+    await utils.takeScreenshot(this.page, "no_checkout_result");
+    throw new PortalChangedError(
+      "Neither an order confirmation nor a payment page showed up"
+    );
+  }
+
+  /**
+   * Find an element in the page or in any of its frames
+   * Payment providers often put the card fields in their own iframe
+   * @param {string} name - Registry entry name
+   * @param {Object} options - Options for selectors.find
+   * @returns {Promise<Object|null>} Match from selectors.find, plus its frame
+   */
+  async findInFrames(name, options = {}) {
+    for (const frame of this.page.frames()) {
+      const match = await selectors
+        .find(frame, name, options)
+        .catch(() => null);
+      if (match) {
+        return { ...match, frame };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pay for the order on the portal's payment page
+   * Checks the amount against the profile's maximum charge first, then types
+   * in the card from payment.loadCard(). If the card issuer asks for a
+   * verification (3-D Secure), waits for the user to finish it in the browser
+   */
+  async handlePayment() {
+    try {
+      logger.logStep("Paying for the order");
+
+      const amountMatch = await this.findInFrames("paymentAmount");
+      const amount = payment.parseAmount(
+        amountMatch
+          ? await amountMatch.handle.evaluate((el) => el.textContent)
+          : null
+      );
+      payment.checkCharge(amount, this.profile.payment.maxCharge);
+      logger.logInfo(
+        `Amount due: $${amount.toFixed(2)} (maximum $${Number(
+          this.profile.payment.maxCharge
+        ).toFixed(2)})`
       );
-      if (smartSelectLink) {
-        logger.logStep("Clicking on smart-select link to open popup");
-        await smartSelectLink.click();
-        await utils.delay(config.longWaitTime);
 
-        // Wait for the vehicle selection popup to appear
-        const vehiclePopupSelector =
-          '.page.smart-select-page[data-name="smart-select-page"]';
-        await utils.waitForElementVisible(this.page, vehiclePopupSelector);
+      const card = payment.loadCard({
+        file: this.profile.payment.secretsFile,
+      });
+      logger.logInfo(`Paying with the ${payment.describeCard(card)}`);
 
-        // Wait for the search input to be visible
-        const searchInputSelector =
-          'input[type="search"][placeholder="Search vehicle"]';
-        await utils.waitForElementVisible(this.page, searchInputSelector);
+      await this.fillCardField("cardNumberInput", "card number", card.number);
+      await this.fillCardField("cardExpiryInput", "expiry", card.expiry);
+      await this.fillCardField("cardCvcInput", "security code", card.cvc);
+      if (card.name) {
+        await this.fillCardField("cardNameInput", "name", card.name, false);
+      }
+      if (card.postalCode) {
+        await this.fillCardField(
+          "cardPostalInput",
+          "postal code",
+          card.postalCode,
+          false
+        );
+      }
 
-        // Fill the search input with vehicle information from config
-        const searchInput = await this.page.$(searchInputSelector);
-        if (searchInput) {
-          // Clear the input first
-          await searchInput.click({ clickCount: 3 }); // Select all text
+      const payButton = await this.findInFrames("payBtn", { visible: true });
+      if (!payButton) {
+        throw new PortalChangedError("Payment page has no pay button");
+      }
+      await payButton.handle.click();
 
-          // Search using vehicle model and license plate
-          const searchTerm = `${config.vehicleMake} ${config.vehicleModel} ${config.licensePlate}`;
-          await searchInput.type(searchTerm);
-          logger.logSuccess(`Filled search input with: ${searchTerm}`);
+      await this.waitForPaymentResult();
+      this.payment = { amount, card: payment.describeCard(card) };
+      logger.logCompletion("Payment accepted");
+    } catch (error) {
+      // Don't leave card details on screen for the error screenshot
+      await this.clearCardFields();
+      logger.logError("Payment failed", error);
+      throw error;
+    }
+  }
 
-          // Wait a moment for search results to filter
-          await utils.delay(config.longWaitTime);
-        }
+  /**
+   * Type a value into one of the card fields
+   * @param {string} name - Registry entry name
+   * @param {string} label - Field name for error messages
+   * @param {string} value - Value to type (never logged)
+   * @param {boolean} required - Fail when the field isn't there
+   * @returns {Promise<boolean>} Whether the field was filled
+   */
+  async fillCardField(name, label, value, required = true) {
+    const match = await this.findInFrames(name, { visible: true });
+    if (!match) {
+      if (required) {
+        throw new PortalChangedError(`Payment page has no ${label} field`);
+      }
+      return false;
+    }
 
-        // Look for the vehicle that matches our model
-        const vehicleSelector = `//div[contains(@class, 'item-title') and contains(text(), '${config.vehicleModel}')]`;
-
-        // First, let's log all available vehicles for debugging
-        const allVehicles = await this.page.$$(".item-title");
-        if (allVehicles.length > 0) {
-          logger.logStep(`Found ${allVehicles.length} vehicles on the page`);
-          for (let i = 0; i < allVehicles.length; i++) {
-            const vehicleText = await allVehicles[i].evaluate(
-              (el) => el.textContent
-            );
-            logger.logInfo(`Vehicle ${i + 1}: ${vehicleText}`);
-          }
+    await match.handle.click({ clickCount: 3 });
+    await match.handle.press("Backspace");
+    await match.handle.type(value, { delay: 30 });
+    return true;
+  }
+
+  /**
+   * Empty the card fields on the payment page, wherever they are
+   */
+  async clearCardFields() {
+    for (const name of [
+      "cardNumberInput",
+      "cardExpiryInput",
+      "cardCvcInput",
+      "cardNameInput",
+      "cardPostalInput",
+    ]) {
+      const match = await this.findInFrames(name).catch(() => null);
+      if (match) {
+        await match.handle
+          .evaluate((el) => {
+            el.value = "";
+          })
+          .catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Wait for the payment to go through
+   * A verification challenge (an issuer iframe, or a redirect away from the
+   * portal) pauses the run for up to PAYMENT_CHALLENGE_TIMEOUT while the
+   * user completes it in the browser
+   */
+  async waitForPaymentResult() {
+    const portal = new URL(config.baseUrl).origin;
+    let deadline = Date.now() + config.confirmationTimeout;
+    let challenged = false;
+
+    while (Date.now() < deadline) {
+      if (await selectors.find(this.page, "confirmation", { visible: true })) {
+        return;
+      }
+
+      const error = await this.findInFrames("paymentError", { visible: true });
+      const message = error
+        ? (await error.handle.evaluate((el) => el.textContent)).trim()
+        : "";
+      if (message) {
+        throw new PaymentDeclinedError(`Payment declined: ${message}`);
+      }
+
+      if (
+        !challenged &&
+        ((await this.findInFrames("paymentChallenge", { visible: true })) ||
+          new URL(this.page.url()).origin !== portal)
+      ) {
+        challenged = true;
+        if (config.headless) {
+          throw new PaymentDeclinedError(
+            "The card issuer wants to verify this payment, which needs a visible browser. Run again without --headless"
+          );
         }
+        logger.logWarning(
+          "🔐 The card issuer wants to verify this payment. Complete it in the browser window; the bot carries on once the order is confirmed"
+        );
+        deadline = Date.now() + config.paymentChallengeTimeout;
+      }
 
-        const vehicleElement = await this.page.$x(vehicleSelector);
+      await utils.delay(500);
+    }
 
-        if (vehicleElement.length > 0) {
-          // Click on the matching vehicle
-          try {
-            // Wait for the element to be clickable
-            await utils.delay(config.delayBetweenActions);
-
-            // Try to click the element
-            await vehicleElement[0].click();
-            logger.logSuccess(
-              `Selected vehicle with model: ${config.vehicleModel}`
-            );
-          } catch (clickError) {
-            logger.logWarning(
-              `Failed to click vehicle element: ${clickError.message}`
-            );
-            // Try alternative click method
-            try {
-              await this.page.evaluate((el) => el.click(), vehicleElement[0]);
-              logger.logSuccess(
-                `Selected vehicle with model: ${config.vehicleModel} using alternative click method`
-              );
-            } catch (altClickError) {
-              logger.logError(
-                `Alternative click method also failed: ${altClickError.message}`
-              );
-              throw new Error(
-                `Could not click on vehicle element: ${clickError.message}`
-              );
-            }
-          }
-        } else {
-          // Try to find any vehicle that contains our model name (case insensitive)
-          logger.logStep("Exact match not found, trying flexible search");
-          const flexibleSelector = `//div[contains(@class, 'item-title') and contains(translate(text(), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), '${config.vehicleModel.toLowerCase()}')]`;
-          const flexibleVehicleElement = await this.page.$x(flexibleSelector);
-
-          if (flexibleVehicleElement.length > 0) {
-            try {
-              // Wait for the element to be clickable
-              await utils.delay(config.delayBetweenActions);
-
-              // Try to click the element
-              await flexibleVehicleElement[0].click();
-              logger.logSuccess(
-                `Selected vehicle using flexible search for model: ${config.vehicleModel}`
-              );
-            } catch (clickError) {
-              logger.logWarning(
-                `Failed to click flexible vehicle element: ${clickError.message}`
-              );
-              // Try alternative click method
-              try {
-                await this.page.evaluate(
-                  (el) => el.click(),
-                  flexibleVehicleElement[0]
-                );
-                logger.logSuccess(
-                  `Selected vehicle using flexible search for model: ${config.vehicleModel} using alternative click method`
-                );
-              } catch (altClickError) {
-                logger.logError(
-                  `Alternative click method also failed: ${altClickError.message}`
-                );
-                throw new Error(
-                  `Could not click on flexible vehicle element: ${clickError.message}`
-                );
-              }
-            }
-          } else {
-            // If still no match, try to select the first available vehicle (not "Select..." or "Add a Vehicle")
-            logger.logStep(
-              "No model match found, trying to select first available vehicle"
-            );
-            const availableVehicles = await this.page.$$(".item-title");
-            let selectedVehicle = false;
-
-            for (const vehicle of availableVehicles) {
-              const vehicleText = await vehicle.evaluate(
-                (el) => el.textContent
-              );
-              if (
-                vehicleText &&
-                vehicleText !== "Select..." &&
-                vehicleText !== "Add a Vehicle"
-              ) {
-                try {
-                  // Wait for the element to be clickable
-                  await utils.delay(500);
-
-                  // Try to click the element
-                  await vehicle.click();
-                  logger.logSuccess(
-                    `Selected available vehicle: ${vehicleText}`
-                  );
-                  selectedVehicle = true;
-                  break;
-                } catch (clickError) {
-                  logger.logWarning(
-                    `Failed to click available vehicle: ${clickError.message}`
-                  );
-                  // Try alternative click method
-                  try {
-                    await this.page.evaluate((el) => el.click(), vehicle);
-                    logger.logSuccess(
-                      `Selected available vehicle: ${vehicleText} using alternative click method`
-                    );
-                    selectedVehicle = true;
-                    break;
-                  } catch (altClickError) {
-                    logger.logWarning(
-                      `Alternative click method also failed for ${vehicleText}: ${altClickError.message}`
-                    );
-                    // Continue to next vehicle
-                    continue;
-                  }
-                }
-              }
-            }
+    if (challenged) {
+      throw new PaymentDeclinedError(
+        "The payment verification wasn't completed in time"
+      );
+    }
+    throw new PortalChangedError("No order confirmation after paying");
+  }
 
-            if (!selectedVehicle) {
-              throw new Error("No suitable vehicle found for selection");
-            }
-          }
+  /**
+   * Wait for the order confirmation and read what it says
+   * Uses the confirmation's own fields when it has them, otherwise reads
+   * the order number and amounts from its text
+   * @returns {Promise<Object>} { orderNumber, total, items: [{ pass, date, slot, vehicle, price, text }], text }
+   */
+  async readConfirmation() {
+    const match = await selectors.waitFor(this.page, "confirmation", {
+      timeout: config.confirmationTimeout,
+    });
+
+    return match.handle.evaluate((el, s) => {
+      const clean = (text) => (text || "").replace(/\s+/g, " ").trim();
+      const read = (root, selector) => {
+        const node = root.querySelector(selector);
+        return (node && clean(node.textContent)) || null;
+      };
+      const price = (text) => {
+        const found = text.match(/\$\s?\d+(?:\.\d{2})?/);
+        return found ? found[0] : null;
+      };
+
+      const text = clean(el.innerText || el.textContent);
+      const number = text.match(
+        /(?:order|confirmation|booking)\s*(?:number|no\.?|#|id)?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})/i
+      );
+      const total = text.match(/total[^$]*(\$\s?\d+(?:\.\d{2})?)/i);
+
+      const rows = [...el.querySelectorAll(s.orderItem)];
+      const items = (rows.length ? rows : [el]).map((row) => {
+        const rowText = clean(row.innerText || row.textContent);
+        const pass = rowText.match(/(all|half)[ -]day(?: pass)?/i);
+        return {
+          pass: read(row, s.orderPassName) || (pass ? pass[0] : null),
+          date: read(row, s.orderDate),
+          slot: read(row, s.orderSlot),
+          vehicle: read(row, s.orderVehicle),
+          price: read(row, s.orderPrice) || price(rowText),
+          text: rowText,
+        };
+      });
+
+      return {
+        orderNumber: read(el, s.orderNumber) || (number ? number[1] : null),
+        total: read(el, s.orderTotal) || (total ? total[1] : null),
+        items,
+        text,
+      };
+    }, config.selectors);
+  }
+
+  /**
+   * Check the confirmation shows everything a receipt needs
+   * Fails when the order number, pass type, date, plate or amount can't be
+   * found, or the date isn't the one that was picked
+   * @param {Object} confirmation - Result of readConfirmation()
+   * @returns {Object} Receipt
+   */
+  checkConfirmation(confirmation) {
+    const plate = this.vehicle.licensePlate;
+    const item =
+      confirmation.items.find((entry) =>
+        matchesPlate(entry.vehicle || entry.text, plate)
+      ) || null;
+    const date = item
+      ? dates.parseDateAttribute(item.date) ||
+        dates.parseDateAttribute(item.text)
+      : null;
+
+    const missing = [];
+    if (!confirmation.orderNumber) missing.push("order number");
+    if (!item) missing.push(`plate ${plate}`);
+    if (item && !item.pass) missing.push("pass type");
+    if (item && !date) missing.push("date");
+    if (!confirmation.total && !(item && item.price)) missing.push("amount");
+
+    if (missing.length > 0) {
+      throw new PortalChangedError(
+        `Checkout confirmation is missing: ${missing.join(
+          ", "
+        )}. Check the order on the portal before booking again. Page said: "${confirmation.text.slice(
+          0,
+          200
+        )}"`
+      );
+    }
+    if (this.selectedDate && date !== this.selectedDate) {
+      throw new PortalChangedError(
+        `Checkout confirmation is for ${date}, but ${this.selectedDate} was selected`
+      );
+    }
+
+    return {
+      orderNumber: confirmation.orderNumber,
+      profile: this.profile.name,
+      bookedAt: new Date().toISOString(),
+      passType: item.pass,
+      productId: this.productId,
+      date,
+      timeSlot: item.slot || (this.timeSlot && this.timeSlot.label) || null,
+      plate,
+      amount: confirmation.total || item.price,
+      paidWith: this.payment ? this.payment.card : null,
+      url: this.page.url(),
+    };
+  }
+
+  /**
+   * Save the confirmation page as a PDF next to the receipt
+   * Chrome only prints PDFs in headless mode, so this can fail without
+   * affecting the booking
+   * @param {string} orderNumber - Order number the PDF is named after
+   * @returns {Promise<string|null>} PDF path, or null if it couldn't be made
+   */
+  async saveConfirmationPdf(orderNumber) {
+    const file = bookings.receiptPath(orderNumber, "pdf");
+    try {
+      fs.mkdirSync(bookings.bookingsDir(), { recursive: true });
+      await this.page.pdf({ path: file, format: "A4", printBackground: true });
+      return file;
+    } catch (error) {
+      logger.logWarning(`Could not save the receipt PDF: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Take the booking from the current screen through to checkout
+   * Detects each screen (info popup, pass list, login, vehicle, date
+   * picker, cart) and handles it, so steps shown in a different order
+   * don't break the run
+   * @returns {Promise<Array<string>>} Screens visited, in order
+   */
+  async completeBooking() {
+    return new BookingFlow(this).run();
+  }
+
+  /**
+   * Stop the booking if the vehicle already has a pass for the selected date
+   * Checks the saved receipts, then (once signed in) the portal's My Passes
+   * page, so a backup run doesn't book a second pass after the first run
+   * succeeded. Runs before adding to cart and again at the cart, before
+   * checkout. Profiles with allowDuplicates skip the check.
+   * @param {Object} options - { signedIn } to read My Passes without looking
+   *   for signs of a session first
+   */
+  async checkNotBookedAlready({ signedIn = false } = {}) {
+    const date = this.selectedDate;
+    const plate = this.vehicle.licensePlate;
+    if (this.profile.allowDuplicates || !date) {
+      return;
+    }
+
+    const [saved] = bookings.findBookings({ date, plate });
+    if (saved) {
+      throw new DuplicateBookingError(saved, "booking receipts");
+    }
+
+    if (
+      !signedIn &&
+      !this.isLoggedIn &&
+      !(await selectors.find(this.page, "vehicleSelector"))
+    ) {
+      logger.logInfo("My Passes is checked once signed in");
+      return;
+    }
+
+    const existing = (await this.readMyPasses()).find(
+      (pass) => pass.date === date && matchesPlate(pass.text, plate)
+    );
+    if (existing) {
+      throw new DuplicateBookingError({ ...existing, plate }, "My Passes");
+    }
+    logger.logInfo(
+      `No existing pass for ${plate} on ${dates.describeDate(date)}`
+    );
+  }
+
+  /**
+   * Read the passes on the portal's My Passes page
+   * Opens the page in a second tab so the booking in progress is kept, and
+   * reads it once per run. The page comes from MY_PASSES_URL or the
+   * portal's own link. When it can't be read the booking stops: going ahead
+   * could buy a vehicle a second pass for the date.
+   * @returns {Promise<Array<Object>>} Passes with { date, orderNumber, text }
+   */
+  async readMyPasses() {
+    if (this.myPasses) {
+      return this.myPasses;
+    }
+
+    const link = await selectors.find(this.page, "myPassesLink");
+    const href = link ? await link.handle.evaluate((el) => el.href || "") : "";
+    const url = config.myPassesUrl || (href.startsWith("http") ? href : "");
+    if (!url) {
+      journal.record("my_passes_unreadable", { reason: "no link" });
+      throw new PortalChangedError(
+        "No My Passes link on the portal to check for an existing pass. Set MY_PASSES_URL, or use --allow-duplicate to book without the check"
+      );
+    }
+
+    const tab = await this.page.browserContext().newPage();
+    try {
+      await tab.goto(url, { waitUntil: "networkidle2", timeout: 30000 });
+      const match = await selectors
+        .waitFor(tab, "myPassItem", { timeout: config.longWaitTime * 4 })
+        .catch(() => null);
+
+      const passes = [];
+      for (const handle of match ? match.handles : []) {
+        const details = await handle.evaluate((el, s) => {
+          const dateNode = el.querySelector(s.myPassDate);
+          const text = (el.textContent || "").replace(/\s+/g, " ").trim();
+          const order = text.match(/\b(?:order|#)\s*:?\s*([A-Z0-9-]{4,})/i);
+          return {
+            date:
+              el.getAttribute("data-date") ||
+              (dateNode ? dateNode.textContent.trim() : text),
+            orderNumber: order ? order[1] : null,
+            text,
+          };
+        }, config.selectors);
+        passes.push({
+          ...details,
+          date: dates.parseDateAttribute(details.date),
+        });
+      }
+
+      logger.logInfo(`My Passes shows ${passes.length} pass(es)`);
+      this.myPasses = passes;
+      return passes;
+    } catch (error) {
+      const failure = classifyError(error);
+      journal.record("my_passes_unreadable", {
+        url,
+        error: journal.describeError(failure),
+      });
+      // A network blip can be retried; anything else needs a look
+      throw failure instanceof NetworkError
+        ? failure
+        : new PortalChangedError(
+            `Could not read My Passes at ${url}: ${error.message}`,
+            { cause: error }
+          );
+    } finally {
+      await tab.close();
+    }
+  }
+
+  /**
+   * Read the pass cards shown on the pass list
+   * @returns {Promise<Array<Object>>} Cards with { handle, name, productId, price }
+   */
+  async readPassCards() {
+    const handles = await this.page.$$(config.selectors.passCard);
+    const cards = [];
+
+    for (const handle of handles) {
+      const details = await handle.evaluate((el) => {
+        const nameElement = el.querySelector(".parkName");
+        const text = el.textContent || "";
+        // Product IDs appear on ids like cardBtn_12196 / scheduler_12196
+        const withId = [el, ...el.querySelectorAll("[id]")].find((node) =>
+          /_\d+$/.test(node.id || "")
+        );
+        const price = text.match(/\$\s?\d+(?:\.\d{2})?|\bfree\b/i);
+        return {
+          name: (nameElement ? nameElement.textContent : text)
+            .trim()
+            .split("\n")[0]
+            .trim(),
+          productId: withId ? withId.id.match(/_(\d+)$/)[1] : null,
+          price: price ? price[0] : null,
+        };
+      });
+      cards.push({ handle, ...details });
+    }
+
+    return cards;
+  }
+
+  /**
+   * Read which dates are available for each pass type, without logging in
+   * or adding anything to a cart
+   * @param {Object} options - Scrape options
+   * @param {number} options.days - How many days ahead to read
+   * @returns {Promise<Array<Object>>} Passes with { passType, productId, price, dates }
+   */
+  async getAvailability(options = {}) {
+    const until = dates.addDays(
+      dates.today(),
+      (options.days || config.availabilityDays) - 1
+    );
+    const passes = [];
+
+    try {
+      logger.logStep("Reading pass availability");
+
+      await this.initialize();
+      await this.navigateToPortal();
+      await this.handleInfoPopup();
+      await utils.delay(config.longWaitTime);
+
+      const cardCount = (await this.readPassCards()).length;
+      if (cardCount === 0) {
+        throw new SelectorMissingError("No pass cards found", {
+          selector: "passCard",
+        });
+      }
+
+      for (let index = 0; index < cardCount; index++) {
+        // Start from a fresh pass list for every card after the first
+        if (index > 0) {
+          await this.navigateToPortal();
+          await this.handleInfoPopup();
+          await utils.delay(config.longWaitTime);
         }
 
-        // Wait for the popup to close and page to update
+        const card = (await this.readPassCards())[index];
+        if (!card) {
+          logger.logWarning(`Pass card ${index + 1} disappeared, skipping`);
+          continue;
+        }
+
+        logger.logStep(`Reading availability for: ${card.name}`);
+        await card.handle.click();
         await utils.delay(config.delayBetweenActions);
 
-        // Wait for the vehicle selection popup to disappear
+        this.productId = card.productId;
+        const scope = card.productId ? await this.schedulerScope() : "";
+        let shown = [];
         try {
-          await this.page.waitForSelector(
-            '.page.smart-select-page[data-name="smart-select-page"]',
-            {
-              hidden: true,
-              timeout: 10000,
-            }
-          );
-          logger.logSuccess("Vehicle selection popup closed");
+          const slides = await this.scanDatePicker(scope, until);
+          shown = slides
+            .flatMap((slide) => slide.buttons)
+            .filter((button) => button.date && button.date <= until);
         } catch (error) {
           logger.logWarning(
-            "Vehicle selection popup may not have closed properly"
+            `No date picker for ${card.name}: ${error.message}`
           );
         }
 
-        // Wait a bit more for the page to fully update
+        passes.push({
+          passType: card.name,
+          productId: card.productId,
+          price: card.price,
+          dates: shown.map((button) => ({
+            date: button.date,
+            status: button.soldOut ? "sold_out" : "available",
+            remaining: button.remaining,
+            price: button.price || card.price,
+          })),
+        });
+      }
+
+      logger.logCompletion("Pass availability read");
+      return passes;
+    } catch (error) {
+      logger.logError("Failed to read availability", error);
+      if (this.page) {
+        await utils.takeScreenshot(this.page, "availability_error_state");
+      }
+      throw error;
+    } finally {
+      await this.cleanup();
+    }
+  }
+
+  /**
+   * Check the selector registry against the live portal without booking
+   * Walks as far as it can without a verification code: landing page,
+   * pass list, pass page, then the login form from the sign-in link (or the
+   * vehicle selector when a saved session is signed in). Nothing is added
+   * to the cart. Stages it can't reach are reported as skipped.
+   * @returns {Promise<Array<Object>>} { element, stage, status, matched, count }
+   */
+  async checkSelectors() {
+    const results = [];
+    const check = async (stages) => {
+      results.push(
+        ...(await selectors.checkStages(this.page, stages, {
+          params: { productId: this.productId },
+        }))
+      );
+    };
+
+    try {
+      logger.logStep("Checking selectors against the portal");
+
+      await this.initialize();
+      await this.navigateToPortal();
+      await check(["landing"]);
+
+      await this.handleInfoPopup();
+      await utils.delay(config.longWaitTime);
+      await check(["pass_list"]);
+
+      await this.selectPassType();
+      await check(["pass_page"]);
+
+      if (await selectors.find(this.page, "vehicleSelector")) {
+        // Signed in: the pass page asks for a vehicle instead of a login
+        await check(["vehicle"]);
+      } else if (
+        await selectors.find(this.page, "signInLink", { visible: true })
+      ) {
+        // The sign-in link brings up the login form without touching the cart
+        await selectors.click(this.page, "signInLink");
         await utils.delay(config.longWaitTime);
+        await check(["login"]);
+      } else {
+        logger.logWarning("No sign-in link to open the login form with");
+      }
 
-        logger.logCompletion("Vehicle selection from dropdown completed");
-        return true;
+      await utils.takeScreenshot(this.page, "selectors_checked");
+      logger.logCompletion("Selectors checked");
+    } catch (error) {
+      logger.logError("Selector check stopped early", error);
+      if (this.page) {
+        await utils.takeScreenshot(this.page, "selectors_error_state");
+      }
+    } finally {
+      await this.cleanup();
+    }
 
-        for (const option of vehicleOptions) {
-          const optionValue = await option.getAttribute("value");
-          const optionText = await option.evaluate((el) => el.textContent);
+    // Anything not reached is skipped rather than missing
+    const checked = new Set(results.map((result) => result.element));
+    for (const [name, entry] of Object.entries(selectors.REGISTRY)) {
+      if (!checked.has(name)) {
+        results.push({
+          element: name,
+          stage: entry.stage,
+          status: "skipped",
+          matched: "",
+          count: 0,
+        });
+      }
+    }
+    return results;
+  }
 
-          logger.logInfo(
-            `Found vehicle option: ${optionText} (${optionValue})`
-          );
+  /**
+   * Find the best acceptable date that is currently bookable, without
+   * selecting it. The picker is slid back to its first slide afterwards.
+   * @param {string} scope - Selector of the element holding the picker
+   * @returns {Promise<string|null>} ISO date, or null if none is bookable
+   */
+  async findBookableDate(scope) {
+    await utils.waitForElementVisible(
+      this.page,
+      utils.scopeSelector(scope, config.selectors.dateMain)
+    );
+
+    const candidates = dates.buildDateCandidates(this.profile);
+    const until = candidates.length
+      ? candidates.reduce((latest, date) => (date > latest ? date : latest))
+      : dates.today();
+    const slides = await this.scanDatePicker(scope, until);
+    await this.rewindDatePicker(scope, slides.length - 1);
+
+    const shown = slides.flatMap((slide) => slide.buttons);
+    const bookable = (date) =>
+      shown.some((button) => button.date === date && !button.soldOut);
+
+    if (candidates.length === 0) {
+      const first = shown.find(
+        (button) =>
+          !button.soldOut && dates.isAllowedDay(this.profile, button.date)
+      );
+      return first ? first.date : null;
+    }
+    return candidates.find(bookable) || null;
+  }
 
-          // Skip "Select..." and "Add a Vehicle" options
-          if (optionValue && optionValue !== "new_vehicle") {
-            // Check if this vehicle matches our model
-            if (
-              optionText
-                .toLowerCase()
-                .includes(config.vehicleModel.toLowerCase())
-            ) {
-              await option.click();
-              logger.logSuccess(`Selected vehicle: ${optionText}`);
-              selectedVehicle = true;
-              break;
-            }
-          }
-        }
+  /**
+   * Keep one browser session open and poll the date picker until an
+   * acceptable date becomes bookable, then book it straight away
+   * @param {Object} options - Watch options
+   * @param {number} options.interval - Seconds between checks
+   * @param {number} options.jitter - Random seconds added to or taken off each wait
+   * @param {number} options.timeout - Give up after this many minutes (0 for never)
+   * @returns {Promise<boolean>} Whether a pass was booked
+   */
+  async watchForAvailability(options = {}) {
+    const interval = options.interval || config.watchInterval;
+    const jitter =
+      options.jitter !== undefined ? options.jitter : config.watchJitter;
+    const timeout = options.timeout || 0;
+    const deadline = timeout ? Date.now() + timeout * 60000 : Infinity;
+    let checks = 0;
+    let bookingAttempts = 0;
 
-        if (!selectedVehicle) {
-          // If no exact match, try to select any available vehicle
-          logger.logStep(
-            "No exact model match, selecting first available vehicle"
-          );
-          for (const option of vehicleOptions) {
-            const optionValue = await option.getAttribute("value");
-            const optionText = await option.evaluate((el) => el.textContent);
+    try {
+      logger.logStep(
+        `Watching availability for profile: ${this.profile.name} (every ${interval}s ±${jitter}s)`
+      );
+
+      await this.initialize();
+      await this.navigateToPortal();
+      await this.handleInfoPopup();
+      await this.selectPassType();
+      const scope = await this.schedulerScope();
+
+      while (Date.now() < deadline) {
+        checks++;
+        const date = await this.findBookableDate(scope);
 
+        if (date) {
+          bookingAttempts++;
+          logger.logSuccess(
+            `${dates.describeDate(
+              date
+            )} is bookable (check ${checks}), booking now`
+          );
+          try {
+            await this.completeBooking();
+            logger.logSuccess("🎉 Parking pass booked from watch mode!");
+            return true;
+          } catch (error) {
+            logger.logError("Booking attempt from watch mode failed", error);
             if (
-              optionValue &&
-              optionValue !== "new_vehicle" &&
-              optionText !== "Select..."
+              error instanceof DuplicateBookingError ||
+              this.checkoutSubmittedAt ||
+              bookingAttempts >= config.maxRetries
             ) {
-              await option.click();
-              logger.logSuccess(`Selected available vehicle: ${optionText}`);
-              selectedVehicle = true;
-              break;
+              throw error;
             }
           }
+        } else {
+          logger.logInfo(`No acceptable date bookable yet (check ${checks})`);
         }
 
-        if (!selectedVehicle) {
-          throw new Error("No suitable vehicle found in dropdown");
-        }
-
-        // Wait for the selection to take effect
-        await utils.delay(config.longWaitTime);
+        // Wait for the next check, randomised so polls don't line up
+        const wait = Math.max(1, interval + (Math.random() * 2 - 1) * jitter);
+        await utils.delay(Math.min(wait * 1000, deadline - Date.now()));
 
-        logger.logCompletion("Vehicle selection from dropdown completed");
-        return true;
-      } else {
-        throw new Error("Smart-select link not found");
+        // Reload to get fresh availability
+        await this.navigateToPortal();
+        await this.handleInfoPopup();
+        await this.selectPassType();
       }
+
+      logger.logWarning(
+        `Stopped watching after ${timeout} minute(s) and ${checks} check(s), nothing booked`
+      );
+      await this.notify(EVENTS.SOLD_OUT, {
+        message: `Watched for ${timeout} minute(s) (${checks} checks) and no acceptable date came up`,
+      });
+      return false;
     } catch (error) {
-      logger.logError("Failed to handle dropdown vehicle selection", error);
-      throw error;
+      if (error instanceof DuplicateBookingError) {
+        logger.logWarning(`Stopped watching: ${error.message}`);
+        return false;
+      }
+
+      logger.logError("Watch mode failed", error);
+      throw await this.handleFailure(error, "watch_error_state");
+    } finally {
+      await this.cleanup();
     }
   }
 
   /**
-   * Add a new vehicle to the account
+   * Book the moment passes are released
+   * Starts early: launches the browser, signs in (saved session or the
+   * portal's sign-in link), picks the vehicle and opens the date picker.
+   * Then measures the local clock against the portal's Date header and
+   * waits. Just after the release it reloads and books straight away,
+   * retrying for SNIPER_RETRY_FOR seconds while the date isn't out yet.
+   * Every phase is timed and logged.
+   * @param {Object} options - { releaseTime: "HH:MM" Vancouver time,
+   *   warmup: minutes to start before the release }
+   * @returns {Promise<boolean>} False when the vehicle already had a pass
    */
-  async addNewVehicle() {
+  async snipeRelease(options = {}) {
+    const releaseTime = options.releaseTime || config.releaseTime;
+    const warmup = options.warmup || config.sniperWarmup;
+    const release = dates.instantAt(dates.today(), releaseTime);
+
+    // Started well ahead: sleep until the warm-up so the session stays fresh
+    const warmupAt = release - warmup * 60000;
+    if (warmupAt > Date.now()) {
+      logger.logInfo(
+        `Warming up at ${new Date(warmupAt).toLocaleTimeString("en-CA", {
+          timeZone: dates.TIMEZONE,
+        })}, ${warmup} min before the ${releaseTime} release`
+      );
+      await utils.delay(warmupAt - Date.now());
+    }
+
     try {
-      logger.logStep("Adding new vehicle");
+      logger.logStep(
+        `Sniping the ${releaseTime} release for profile: ${this.profile.name}`
+      );
 
-      // Click on "Add a Vehicle" option
-      await utils.clickElement(this.page, config.selectors.addVehicleBtn);
-      await utils.delay(config.delayBetweenActions);
+      await this.timeStep("launch", () => this.initialize());
+      await this.timeStep("portal", () => this.navigateToPortal());
+      await this.timeStep("info_popup", () => this.handleInfoPopup());
+      await this.timeStep("pass_page", () => this.selectPassType());
+      await this.timeStep("sign_in", () => this.signInEarly());
+      await this.timeStep("date_picker", () => this.openDatePicker());
 
-      // Fill vehicle information
-      await utils.fillInput(
-        this.page,
-        config.selectors.licensePlateInput,
-        config.licensePlate
+      const sync = await this.timeStep("clock_sync", () =>
+        clock.measureClockOffset(config.baseUrl)
       );
-      await utils.selectOption(
-        this.page,
-        config.selectors.provinceSelect,
-        config.province
-      );
-      await utils.selectOption(
-        this.page,
-        config.selectors.colorSelect,
-        config.vehicleColor
-      );
-      await utils.selectOption(
-        this.page,
-        config.selectors.makeSelect,
-        config.vehicleMake
-      );
-      await utils.fillInput(
-        this.page,
-        config.selectors.modelInput,
-        config.vehicleModel
+      logger.logInfo(
+        `Local clock is ${Math.abs(sync.offsetMs)} ms ${
+          sync.offsetMs >= 0 ? "behind" : "ahead of"
+        } the portal (±${sync.precisionMs} ms, round trip ${sync.rttMs} ms)`
       );
 
-      // Save vehicle
-      await utils.clickElement(this.page, config.selectors.saveVehicleBtn);
-      await utils.delay(config.delayBetweenActions);
+      // Step screenshots would hold up the reloads; failures still get one
+      this.stepScreenshots = false;
 
-      this.vehicleAdded = true;
-      logger.logCompletion("New vehicle added");
+      // Reload a little after the release, never before it
+      const reloadAt =
+        release + Math.max(config.sniperGuardMs, sync.precisionMs);
+      const portalNow = Date.now() + sync.offsetMs;
+      if (portalNow > reloadAt) {
+        logger.logWarning(
+          `The ${releaseTime} release was ${Math.round(
+            (portalNow - release) / 1000
+          )}s ago, booking now`
+        );
+      } else {
+        logger.logInfo(
+          `Waiting ${Math.round(
+            (reloadAt - portalNow) / 1000
+          )}s for the release (reload at ${releaseTime} +${
+            reloadAt - release
+          } ms portal time)`
+        );
+        const late = await this.timeStep("wait_for_release", () =>
+          clock.waitUntil(reloadAt, sync.offsetMs)
+        );
+        logger.logInfo(`Woke up ${late} ms after the planned reload`);
+      }
+
+      const retryUntil = Date.now() + config.sniperRetryFor * 1000;
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await this.timeStep(`reload_${attempt}`, () => this.reloadPortal());
+          await this.timeStep(`book_${attempt}`, () => this.completeBooking());
+          break;
+        } catch (error) {
+          if (
+            !(classifyError(error) instanceof SoldOutError) ||
+            this.checkoutSubmittedAt ||
+            Date.now() > retryUntil
+          ) {
+            throw error;
+          }
+          journal.record("retry", {
+            step: "book",
+            attempt,
+            error: journal.describeError(error),
+          });
+          logger.logWarning(
+            `Not released yet (${error.message}), retrying (attempt ${attempt})`
+          );
+          await utils.delay(config.longWaitTime);
+        }
+      }
+
+      if (this.addedToCartAt) {
+        logger.logInfo(
+          `Add to cart clicked ${
+            this.addedToCartAt + sync.offsetMs - release
+          } ms after the release`
+        );
+      }
+      logger.logSuccess("🎯 Parking pass booked at release time!");
       return true;
     } catch (error) {
-      logger.logError("Failed to add new vehicle", error);
-      throw error;
+      if (error instanceof DuplicateBookingError) {
+        logger.logWarning(`Nothing booked: ${error.message}`);
+        return false;
+      }
+
+      logger.logError("Release-time booking failed", error);
+      throw await this.handleFailure(error, "snipe_error_state");
+    } finally {
+      for (const timing of this.timings) {
+        logger.logInfo(
+          `⏱️  ${timing.step}: ${timing.ms} ms${
+            timing.status === "failed" ? " (failed)" : ""
+          }`
+        );
+      }
+      await this.cleanup();
     }
   }
 
   /**
-   * Complete the checkout process
+   * Sign in ahead of time, so the login doesn't slow the booking down
+   * With a restored session the open pass already asks for a vehicle;
+   * otherwise the portal's sign-in link is used. Without one, the login
+   * happens after add-to-cart as usual.
+   * @returns {Promise<boolean>} False when there was no sign-in link
    */
-  async completeCheckout() {
-    try {
-      logger.logStep("Completing checkout");
-
-      // Wait for checkout button
-      await utils.waitForElementVisible(
-        this.page,
-        config.selectors.checkoutBtn
+  async signInEarly() {
+    if (await selectors.find(this.page, "vehicleSelector")) {
+      logger.logInfo("Already signed in");
+      return true;
+    }
+    if (!(await selectors.find(this.page, "signInLink", { visible: true }))) {
+      logger.logWarning(
+        "No sign-in link on the portal, the login will happen after add to cart"
       );
+      return false;
+    }
 
-      // Click checkout
-      await utils.clickElement(this.page, config.selectors.checkoutBtn);
-      await utils.delay(config.delayBetweenActions);
+    await selectors.click(this.page, "signInLink");
+    await this.handleLogin();
+    await this.persistSession();
+    return true;
+  }
 
-      // Take screenshot of final confirmation
-      await utils.takeScreenshot(this.page, "checkout_completed");
+  /**
+   * Pick the vehicle, when signed in, and wait for the date picker, so the
+   * page is in the state it will be in after the reload
+   */
+  async openDatePicker() {
+    if (await selectors.find(this.page, "vehicleSelector", { visible: true })) {
+      await this.selectVehicle(false);
+    }
+    await utils.waitForElementVisible(
+      this.page,
+      utils.scopeSelector(
+        await this.schedulerScope(),
+        config.selectors.dateMain
+      )
+    );
+    logger.logSuccess("Date picker is open, ready for the release");
+  }
 
-      logger.logCompletion("Checkout completed");
-      return true;
-    } catch (error) {
-      logger.logError("Failed to complete checkout", error);
-      throw error;
+  /**
+   * Reload the portal as quickly as possible (no screenshot)
+   */
+  async reloadPortal() {
+    await this.page.goto(config.baseUrl, {
+      waitUntil: "domcontentloaded",
+      timeout: 30000,
+    });
+  }
+
+  /**
+   * Deal with an error that ended a run
+   * Takes a screenshot and a DOM snapshot for debugging and sends the
+   * sold-out or failed notification, unless the caller's retry policy
+   * notifies later. A failure after the checkout click is marked not
+   * retryable, so the policy never risks paying twice
+   * @param {Error} error - Error that ended the run
+   * @param {string} screenshotName - Name for the screenshot
+   * @returns {Promise<Error>} The error as one of the bot's error classes
+   */
+  async handleFailure(error, screenshotName) {
+    const failure = classifyError(error);
+    if (this.checkoutSubmittedAt && failure instanceof Error) {
+      failure.retryable = false;
+    }
+    this.errorScreenshot = this.page
+      ? await utils.takeScreenshot(this.page, screenshotName)
+      : null;
+    await this.saveDomSnapshot(error, screenshotName);
+    if (this.notifyFailures) {
+      await this.notifyFailure(failure);
+    }
+    return failure;
+  }
+
+  /**
+   * Save the page's HTML into the run bundle, once per error
+   * A failed step and the run it ends both see the same error
+   * @param {Error} error - Error being handled
+   * @param {string} name - Name for the snapshot
+   */
+  async saveDomSnapshot(error, name) {
+    if (this.page && error && !error.domSnapshot) {
+      const file = await artifacts.saveDomSnapshot(this.page, name);
+      if (file && typeof error === "object") {
+        error.domSnapshot = file;
+      }
     }
   }
 
+  /**
+   * Send the notification for a failed run
+   * @param {Error} error - Error that ended the run
+   */
+  async notifyFailure(error) {
+    await this.notify(
+      error instanceof SoldOutError ? EVENTS.SOLD_OUT : EVENTS.FAILED,
+      { error, screenshot: this.errorScreenshot }
+    );
+  }
+
   /**
    * Main booking process
+   * @returns {Promise<boolean>} False when the vehicle already had a pass for the date
    */
   async bookParkingPass() {
     try {
-      logger.logStep("Starting parking pass booking process");
+      logger.logStep(
+        `Starting parking pass booking process for profile: ${this.profile.name}`
+      );
 
       // Initialize bot
-      await this.initialize();
+      await this.timeStep("initialize", () => this.initialize());
 
       // Navigate to portal
-      await this.navigateToPortal();
+      await this.timeStep("navigate", () => this.navigateToPortal());
 
-      // Handle info popup
-      await this.handleInfoPopup();
+      // From the info popup through pass, date, login, vehicle and checkout
+      await this.completeBooking();
 
-      // Select pass type
-      await this.selectPassType();
+      if (this.dryRun) {
+        logger.logSuccess("Dry run finished, nothing was bought");
+      } else {
+        logger.logSuccess("🎉 Parking pass booking completed successfully!");
+      }
+      return true;
+    } catch (error) {
+      if (error instanceof DuplicateBookingError) {
+        logger.logWarning(`Nothing booked: ${error.message}`);
+        if (this.dryRun) {
+          this.dryRunResult = { ...this.dryRunResult, error: error.message };
+        }
+        return false;
+      }
 
-      // Check if user is already signed in by looking for vehicle selector
-      const vehicleSelectExists = await utils.elementExists(
-        this.page,
-        "#selectVehicleSmartSelect"
-      );
+      logger.logError("Booking process failed", error);
+      const failure = await this.handleFailure(error, "error_state");
 
-      if (vehicleSelectExists) {
-        logger.logStep(
-          "User appears to be signed in, handling signed-in booking"
-        );
-        await this.handleSignedInBooking();
-      } else {
-        logger.logStep("User not signed in, proceeding with login flow");
+      if (this.dryRun) {
+        this.dryRunResult = { ...this.dryRunResult, error: error.message };
+      }
+      throw failure;
+    } finally {
+      if (this.dryRun) {
+        this.dryRunReport = this.buildDryRunReport();
+        this.dryRunReportFile = dryrun.saveDryRunReport(this.dryRunReport);
+        logger.logInfo(`Dry-run report saved: ${this.dryRunReportFile}`);
+      }
 
-        // First select the preferred date before adding to cart
-        logger.logStep("Selecting preferred date before adding to cart");
-        await this.selectDateFromNewPicker();
+      // Clean up
+      await this.cleanup();
+    }
+  }
 
-        // Add to cart (this will trigger login)
-        await this.addToCart();
+  /**
+   * Tell the profile's notification channels about a booking outcome
+   * Dry runs stay quiet; use `notify test` to try the channels
+   * @param {string} event - One of notify.EVENTS
+   * @param {Object} details - { receipt, error, screenshot, message }
+   */
+  async notify(event, details = {}) {
+    if (this.dryRun) {
+      return;
+    }
+    await this.notifier.notify(event, {
+      profile: this.profile.name,
+      ...details,
+    });
+  }
 
-        // Wait for login form to appear
-        await utils.delay(config.longWaitTime);
+  /**
+   * Run one booking step and record how long it took
+   * The page is screenshotted after every step (always in a dry run), and
+   * its HTML is saved when the step fails
+   * @param {string} name - Step name
+   * @param {Function} fn - Step to run
+   * @returns {Promise<any>} What the step returned
+   */
+  async timeStep(name, fn) {
+    const timing = {
+      step: name,
+      startedAt: new Date().toISOString(),
+      ms: 0,
+      status: "ok",
+      screenshot: null,
+    };
+    this.timings.push(timing);
+    const started = Date.now();
+    journal.record("step_start", { step: name });
 
-        // Check if login form is visible
-        const loginFormVisible = await utils.elementExists(
+    try {
+      return await fn();
+    } catch (error) {
+      timing.status = "failed";
+      timing.error = error.message;
+      await this.saveDomSnapshot(error, `failed_${name}`);
+      throw error;
+    } finally {
+      timing.ms = Date.now() - started;
+      if ((this.dryRun || this.stepScreenshots) && this.page) {
+        timing.screenshot = await utils.takeScreenshot(
           this.page,
-          ".signinModel, .modelLogin, #slideNo1"
+          `${this.dryRun ? "dry_run" : "step"}_${
+            this.timings.indexOf(timing) + 1
+          }_${name}`
         );
-        if (loginFormVisible) {
-          logger.logStep("Login form is visible, proceeding with login");
+      }
+      journal.record("step_end", {
+        step: name,
+        ms: timing.ms,
+        status: timing.status,
+        error: timing.error,
+        screenshot: timing.screenshot,
+      });
+    }
+  }
 
-          // Handle login
-          try {
-            await this.handleLogin();
+  /**
+   * Stop a dry run at the cart: record what would have been bought, then
+   * empty the cart so nothing is left reserved
+   */
+  async finishDryRun() {
+    logger.logStep("Dry run: stopping before checkout");
+
+    const cart = await this.readCart();
+    for (const item of cart) {
+      logger.logInfo(
+        `🛒 ${
+          [item.pass, item.date, item.slot, item.vehicle, item.price]
+            .filter(Boolean)
+            .join(" | ") || item.text
+        }`
+      );
+    }
+    const screenshot = await utils.takeScreenshot(this.page, "dry_run_cart");
+    const emptied = await this.emptyCart();
+
+    this.dryRunResult = {
+      cart,
+      cartScreenshot: screenshot,
+      cartEmptied: emptied,
+    };
+    logger.logCompletion("Dry run stopped before checkout");
+  }
 
-            // After login, we need to handle the post-login flow
-            logger.logStep("Login completed, handling post-login flow");
-            await this.handlePostLoginFlow();
-          } catch (error) {
-            logger.logError("Login or vehicle selection failed", error);
-            // Take a screenshot for debugging
-            await utils.takeScreenshot(this.page, "login_failed");
-            throw error;
-          }
-        } else {
-          logger.logWarning("Login form not visible after adding to cart");
-          // Take a screenshot for debugging
-          await utils.takeScreenshot(this.page, "no_login_form");
-          throw new Error("Login form not found after adding to cart");
-        }
-      }
+  /**
+   * Read the items in the cart
+   * @returns {Promise<Array<Object>>} Items with { pass, date, slot, vehicle, price, text }
+   */
+  async readCart() {
+    const match = await selectors.find(this.page, "cartItem");
+    const items = [];
+    for (const handle of match ? match.handles : []) {
+      items.push(
+        await handle.evaluate((el, s) => {
+          const read = (selector) => {
+            const node = el.querySelector(selector);
+            const text = node
+              ? node.textContent.replace(/\s+/g, " ").trim()
+              : "";
+            return text || null;
+          };
+          const text = (el.textContent || "").replace(/\s+/g, " ").trim();
+          const price = text.match(/\$\s?\d+(?:\.\d{2})?/);
+          return {
+            pass: read(s.cartPassName),
+            date: read(s.cartDate),
+            slot: read(s.cartSlot),
+            vehicle: read(s.cartVehicle),
+            price: read(s.cartPrice) || (price ? price[0] : null),
+            text,
+          };
+        }, config.selectors)
+      );
+    }
+    return items;
+  }
 
-      // Complete checkout
-      await this.completeCheckout();
+  /**
+   * Empty the cart with its close button
+   * @returns {Promise<boolean>} Whether the cart is empty afterwards
+   */
+  async emptyCart() {
+    try {
+      await selectors.click(this.page, "cartCloseBtn");
+      await utils.delay(config.longWaitTime);
 
-      logger.logSuccess("🎉 Parking pass booking completed successfully!");
+      const left = await selectors.find(this.page, "cartItem", {
+        visible: true,
+      });
+      if (left) {
+        logger.logWarning(
+          `Cart still shows ${left.handles.length} item(s) after closing it`
+        );
+        return false;
+      }
+      logger.logSuccess("Cart emptied");
       return true;
     } catch (error) {
-      logger.logError("Booking process failed", error);
-
-      // Take screenshot for debugging
-      if (this.page) {
-        await utils.takeScreenshot(this.page, "error_state");
-      }
-
-      throw error;
-    } finally {
-      // Clean up
-      await this.cleanup();
+      logger.logWarning(`Could not empty the cart: ${error.message}`);
+      return false;
     }
   }
 
+  /**
+   * Put together the dry-run report: what would have been bought, the
+   * screenshots and the step timings
+   * @returns {Object} Report
+   */
+  buildDryRunReport() {
+    const result = this.dryRunResult || {};
+    const screenshots = [
+      ...this.timings.map((timing) => timing.screenshot),
+      result.cartScreenshot,
+    ].filter(Boolean);
+
+    return {
+      profile: this.profile.name,
+      startedAt: this.timings.length
+        ? this.timings[0].startedAt
+        : new Date().toISOString(),
+      finishedAt: new Date().toISOString(),
+      outcome: result.cart ? "stopped_before_checkout" : "failed",
+      error: result.error || null,
+      passType: this.passType,
+      productId: this.productId,
+      timeSlot: this.timeSlot,
+      vehicle: this.vehicle.licensePlate,
+      cart: result.cart || [],
+      cartEmptied: Boolean(result.cartEmptied),
+      totalMs: dryrun.totalMs(this.timings),
+      timings: this.timings,
+      screenshots,
+    };
+  }
+
   /**
    * Clean up resources
    */
   async cleanup() {
     try {
+      await this.stopOtpProvider();
+      if (this.recorder) {
+        this.recorder.save();
+        this.recorder = null;
+      }
+      if (this.context) {
+        await this.context.close();
+        logger.logSuccess("Browser context closed");
+      }
       if (this.browser) {
         await this.browser.close();
         logger.logSuccess("Browser closed");
@@ -1855,10 +2806,18 @@ class BuntzenLakeBot {
     const bot = new BuntzenLakeBot();
 
     try {
-      await bot.bookParkingPass();
+      artifacts.pruneArtifacts();
+      await journal.withRun(
+        { kind: "run", profile: bot.profile.name },
+        async (run) => {
+          run.outcome = (await bot.bookParkingPass())
+            ? "booked"
+            : "already_booked";
+        }
+      );
     } catch (error) {
       logger.logError("Bot execution failed", error);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
     }
   }
 }
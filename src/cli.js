@@ -1,8 +1,23 @@
 #!/usr/bin/env node
 
-const { Command } = require("commander");
+const path = require("path");
+const { Command, InvalidArgumentError } = require("commander");
 const { BuntzenLakeBot } = require("./bot");
 const BotScheduler = require("./scheduler");
+const { SchedulerDaemon, sendCommand, isDaemonRunning } = require("./daemon");
+const { getProfile, selectProfiles, findVehicle } = require("./profiles");
+const { bookProfiles, lockProfile, readLock } = require("./pool");
+const { FORMATS, formatRows } = require("./formatters");
+const history = require("./history");
+const bookings = require("./bookings");
+const payment = require("./payment");
+const { createNotifier, EVENTS } = require("./notify");
+const session = require("./session");
+const journal = require("./journal");
+const artifacts = require("./artifacts");
+const { ProfileLockedError, EXIT_CODES, exitCodeFor } = require("./errors");
+const dates = require("./dates");
+const { parseSlotPreference } = require("./slots");
 const logger = require("./logger");
 const config = require("./config");
 
@@ -12,39 +27,793 @@ const program = new Command();
 program
   .name("buntzen-lake-bot")
   .description("Automated bot for booking parking passes at Buntzen Lake")
-  .version("1.0.0");
+  .version("1.0.0")
+  .addHelpText(
+    "after",
+    `\nExit codes:\n  0   booked, or nothing to do\n${Object.entries(EXIT_CODES)
+      .map(([name, code]) => `  ${code}  ${name}`)
+      .join("\n")}\n  1   any other error`
+  );
+
+// Parse an option that must be a whole number, 1 or more
+const positiveInt = (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError("Must be a whole number, 1 or more.");
+  }
+  return number;
+};
+
+// Book a profile's pass for one of its other vehicles
+const useVehicle = (profile, plate) => {
+  const vehicle = findVehicle(profile, plate);
+  profile.vehicles = [
+    vehicle,
+    ...profile.vehicles.filter((candidate) => candidate !== vehicle),
+  ];
+};
+
+// Log how each profile's booking went and return the failures (profiles
+// another run held count too: nothing was booked for them)
+const reportResults = (results) => {
+  for (const { profile, status } of results) {
+    if (status === "booked") {
+      logger.logSuccess(`Bot run completed for profile: ${profile.name}`);
+    } else if (status === "already_booked") {
+      logger.logInfo(`Already booked, skipped profile: ${profile.name}`);
+    } else if (status === "locked") {
+      logger.logWarning(`Another run is booking profile: ${profile.name}`);
+    } else {
+      logger.logError(`Bot run failed for profile: ${profile.name}`);
+    }
+  }
+  return results.filter(
+    (result) => result.status === "failed" || result.status === "locked"
+  );
+};
+
+// Exit after a booking command, with the first failure's exit code
+const exitWithResults = (failures, total) => {
+  if (failures.length === 0) {
+    process.exit(0);
+  }
+  logger.logError(`${failures.length} of ${total} profile(s) failed`);
+  process.exit(exitCodeFor(failures[0].error));
+};
 
 // Command to run the bot once
 program
   .command("run")
   .description("Run the bot once to book a parking pass")
-  .option("-d, --date <date>", "Preferred date (MM/DD format)")
+  .option(
+    "-d, --date <date>",
+    "Preferred date (YYYY-MM-DD, MM/DD, tomorrow, next saturday, +2d)"
+  )
+  .option(
+    "-f, --fallback <dates>",
+    "Fallback dates to try in order (comma-separated)",
+    (value) => value.split(",").map((date) => date.trim())
+  )
   .option("-t, --type <type>", "Pass type (all_day or half_day)")
+  .option(
+    "-v, --vehicle <plate>",
+    "Book for this vehicle from the profile (licence plate)"
+  )
+  .option(
+    "-s, --slot <slots>",
+    "Half-day time slots, best first (morning, afternoon or start times like 13:00, comma-separated)"
+  )
+  .option(
+    "--all-day-fallback",
+    "Book an all-day pass when no half-day slot is left"
+  )
+  .option(
+    "--allow-duplicate",
+    "Book even if the vehicle already has a pass for the date"
+  )
   .option("-h, --headless", "Run in headless mode")
+  .option("-p, --profile <name>", "Book for a named profile")
+  .option("--all-profiles", "Book for every profile")
+  .option(
+    "-c, --concurrency <count>",
+    "Most profiles booked at the same time",
+    positiveInt,
+    config.maxConcurrentBots
+  )
+  .option(
+    "--dry-run",
+    "Go through every step but stop before checkout, then empty the cart"
+  )
+  .option("--no-retry", "Make one attempt, whatever the error")
   .action(async (options) => {
     try {
-      logger.logStep("Starting bot in single-run mode");
+      logger.logStep(
+        options.dryRun
+          ? "Starting bot in dry-run mode (nothing will be bought)"
+          : "Starting bot in single-run mode"
+      );
 
       // Override config with CLI options
-      if (options.date) config.preferredDate = options.date;
-      if (options.type) config.passType = options.type;
+      if (options.headless) config.headless = true;
+
+      const profiles = selectProfiles(options);
+      for (const profile of profiles) {
+        // Override profile preferences with CLI options
+        if (options.date) profile.preferredDate = options.date;
+        if (options.fallback) profile.fallbackDates = options.fallback;
+        if (options.type) profile.passType = options.type;
+        if (options.vehicle) useVehicle(profile, options.vehicle);
+        if (options.slot) profile.slots = parseSlotPreference(options.slot);
+        if (options.allDayFallback) profile.allDayFallback = true;
+        if (options.allowDuplicate) profile.allowDuplicates = true;
+      }
+
+      const results = await bookProfiles(
+        profiles,
+        (bot) => bot.bookParkingPass(),
+        {
+          concurrency: options.concurrency,
+          owner: "run command",
+          botOptions: { dryRun: options.dryRun },
+          maxRetries: options.retry ? config.maxRetries : 1,
+        }
+      );
+      const failures = reportResults(results);
+
+      for (const { bot } of results) {
+        if (options.dryRun && bot && bot.dryRunReport) {
+          const report = bot.dryRunReport;
+          console.log(
+            formatRows(report.cart, [
+              "pass",
+              "date",
+              "slot",
+              "vehicle",
+              "price",
+            ])
+          );
+          console.log(
+            formatRows(report.timings, ["step", "status", "ms", "screenshot"])
+          );
+          logger.logInfo(`Dry-run report: ${bot.dryRunReportFile}`);
+        }
+      }
+
+      if (failures.length === 0) {
+        logger.logSuccess("Bot run completed successfully");
+      }
+      exitWithResults(failures, profiles.length);
+    } catch (error) {
+      logger.logError("Bot run failed", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Command to watch for availability and book as soon as a pass frees up
+program
+  .command("watch")
+  .description(
+    "Keep a browser open, poll availability and book when a date frees up"
+  )
+  .option(
+    "-d, --date <date>",
+    "Preferred date (YYYY-MM-DD, MM/DD, tomorrow, next saturday, +2d)"
+  )
+  .option(
+    "-f, --fallback <dates>",
+    "Fallback dates to try in order (comma-separated)",
+    (value) => value.split(",").map((date) => date.trim())
+  )
+  .option("-t, --type <type>", "Pass type (all_day or half_day)")
+  .option(
+    "-v, --vehicle <plate>",
+    "Book for this vehicle from the profile (licence plate)"
+  )
+  .option(
+    "-s, --slot <slots>",
+    "Half-day time slots, best first (morning, afternoon or start times like 13:00, comma-separated)"
+  )
+  .option(
+    "--all-day-fallback",
+    "Book an all-day pass when no half-day slot is left"
+  )
+  .option(
+    "--allow-duplicate",
+    "Book even if the vehicle already has a pass for the date"
+  )
+  .option("-i, --interval <seconds>", "Seconds between checks", parseInt)
+  .option("-j, --jitter <seconds>", "Random seconds added or removed", parseInt)
+  .option("--timeout <minutes>", "Give up after this many minutes", parseInt)
+  .option("-h, --headless", "Run in headless mode")
+  .option("-p, --profile <name>", "Book for a named profile")
+  .action(async (options) => {
+    try {
+      if (options.headless) config.headless = true;
+
+      const profile = getProfile(options.profile);
+      if (options.date) profile.preferredDate = options.date;
+      if (options.fallback) profile.fallbackDates = options.fallback;
+      if (options.type) profile.passType = options.type;
+      if (options.vehicle) useVehicle(profile, options.vehicle);
+      if (options.slot) profile.slots = parseSlotPreference(options.slot);
+      if (options.allDayFallback) profile.allDayFallback = true;
+      if (options.allowDuplicate) profile.allowDuplicates = true;
+
+      const release = lockProfile(profile.name, "watch command");
+      if (!release) {
+        throw new ProfileLockedError(profile.name, readLock(profile.name));
+      }
+
+      artifacts.pruneArtifacts();
+      const bot = new BuntzenLakeBot(profile);
+      const booked = await journal
+        .withRun({ kind: "watch", profile: profile.name }, async (run) => {
+          const result = await bot.watchForAvailability({
+            interval: options.interval,
+            jitter: options.jitter,
+            timeout: options.timeout,
+          });
+          run.outcome = result ? "booked" : "not_booked";
+          return result;
+        })
+        .finally(release);
+
+      process.exit(booked ? 0 : 1);
+    } catch (error) {
+      logger.logError("Watch failed", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Command to book the moment passes are released
+program
+  .command("snipe")
+  .description(
+    "Warm up before the daily release, then book the moment passes open"
+  )
+  .option(
+    "-a, --at <time>",
+    "Release time (HH:MM, Vancouver time)",
+    config.releaseTime
+  )
+  .option(
+    "--warmup <minutes>",
+    "Minutes before the release to launch the browser and sign in",
+    (value) => parseInt(value),
+    config.sniperWarmup
+  )
+  .option(
+    "-d, --date <date>",
+    "Preferred date (YYYY-MM-DD, MM/DD, tomorrow, next saturday, +2d)"
+  )
+  .option("-t, --type <type>", "Pass type (all_day or half_day)")
+  .option(
+    "-v, --vehicle <plate>",
+    "Book for this vehicle from the profile (licence plate)"
+  )
+  .option(
+    "-s, --slot <slots>",
+    "Half-day time slots, best first (morning, afternoon or start times like 13:00, comma-separated)"
+  )
+  .option(
+    "--allow-duplicate",
+    "Book even if the vehicle already has a pass for the date"
+  )
+  .option("-h, --headless", "Run in headless mode")
+  .option("-p, --profile <name>", "Book for a named profile")
+  .option("--all-profiles", "Snipe for every profile at the same time")
+  .option(
+    "-c, --concurrency <count>",
+    "Most profiles sniping at the same time",
+    positiveInt,
+    config.maxConcurrentBots
+  )
+  .action(async (options) => {
+    try {
+      if (!/^\d{1,2}:\d{2}$/.test(options.at)) {
+        throw new Error(`Release time must be HH:MM, got "${options.at}"`);
+      }
+      if (options.headless) config.headless = true;
+
+      const profiles = selectProfiles(options);
+      for (const profile of profiles) {
+        if (options.date) profile.preferredDate = options.date;
+        if (options.type) profile.passType = options.type;
+        if (options.vehicle) useVehicle(profile, options.vehicle);
+        if (options.slot) profile.slots = parseSlotPreference(options.slot);
+        if (options.allowDuplicate) profile.allowDuplicates = true;
+      }
+      if (profiles.length > options.concurrency) {
+        logger.logWarning(
+          `Only ${options.concurrency} of ${profiles.length} profiles snipe at once, the rest start after the release`
+        );
+      }
+
+      const results = await bookProfiles(
+        profiles,
+        (bot) =>
+          bot.snipeRelease({
+            releaseTime: options.at,
+            warmup: options.warmup,
+          }),
+        {
+          concurrency: options.concurrency,
+          kind: "snipe",
+          owner: "snipe command",
+        }
+      );
+      exitWithResults(reportResults(results), profiles.length);
+    } catch (error) {
+      logger.logError("Release-time booking failed", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Command to read availability without logging in or booking
+program
+  .command("check")
+  .description("Show which dates are available for each pass type")
+  .option("--format <format>", "Output format: table, json or csv", "table")
+  .option("--days <days>", "How many days ahead to read", parseInt)
+  .option("-t, --type <text>", "Only show pass types containing this text")
+  .option("-o, --output <file>", "Write the output to a file")
+  .option("--no-record", "Don't add this check to the availability history")
+  .option("-h, --headless", "Run in headless mode")
+  .action(async (options) => {
+    try {
+      if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+      }
       if (options.headless) config.headless = true;
 
       const bot = new BuntzenLakeBot();
-      await bot.bookParkingPass();
+      let passes = await bot.getAvailability({ days: options.days });
+
+      if (options.record) {
+        const recorded = history.recordAvailability(passes);
+        logger.logInfo(`Recorded ${recorded} entries in the history`);
+      }
+
+      if (options.type) {
+        const filter = options.type.toLowerCase().replace(/_/g, " ");
+        passes = passes.filter((pass) =>
+          pass.passType.toLowerCase().includes(filter)
+        );
+      }
 
-      logger.logSuccess("Bot run completed successfully");
+      const output =
+        options.format === "json"
+          ? JSON.stringify(passes, null, 2)
+          : formatRows(
+              passes.flatMap((pass) =>
+                pass.dates.map((date) => ({
+                  passType: pass.passType,
+                  productId: pass.productId,
+                  ...date,
+                }))
+              ),
+              ["passType", "productId", "date", "status", "remaining", "price"],
+              options.format
+            );
+
+      if (options.output) {
+        require("fs").writeFileSync(options.output, `${output}\n`);
+        logger.logSuccess(`Availability written to ${options.output}`);
+      } else {
+        console.log(output);
+      }
       process.exit(0);
     } catch (error) {
-      logger.logError("Bot run failed", error);
-      process.exit(1);
+      logger.logError("Availability check failed", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Command to report availability trends from the recorded history
+program
+  .command("report")
+  .description(
+    "Show when passes usually sell out and when cancellations appear"
+  )
+  .option("-t, --type <text>", "Only include pass types containing this text")
+  .option("-d, --date <date>", "Only include one visit date")
+  .option("--format <format>", "Output format: table, json or csv", "table")
+  .action(async (options) => {
+    try {
+      if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+      }
+      const records = history.readHistory({
+        passType: options.type && options.type.replace(/_/g, " "),
+        date: options.date && dates.resolveDate(options.date),
+      });
+      if (records.length === 0) {
+        logger.logWarning(
+          `No availability history in ${history.historyFile()} yet, run the check command first`
+        );
+        return;
+      }
+
+      const report = history.buildReport(records);
+      if (options.format === "json") {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+      }
+
+      console.log(
+        formatRows(
+          report.days,
+          [
+            "passType",
+            "date",
+            "checks",
+            "firstSeenAt",
+            "soldOutAt",
+            "cancellations",
+            "lastStatus",
+          ],
+          options.format
+        )
+      );
+      if (options.format === "csv") {
+        return;
+      }
+
+      logger.logInfo(`Checks analysed: ${report.records} record(s)`);
+      logger.logInfo(
+        `New dates usually appear at: ${report.releaseTime || "unknown"}`
+      );
+      logger.logInfo(
+        `Passes usually sell out at: ${report.sellOutTime || "unknown"}${
+          report.sellOutLeadDays !== null
+            ? ` (${report.sellOutLeadDays} day(s) before the visit)`
+            : ""
+        }`
+      );
+      logger.logInfo(
+        `Cancellations usually appear at: ${
+          report.cancellationHours
+            .slice(0, 3)
+            .map(({ hour, count }) => `${hour} (${count})`)
+            .join(", ") || "none seen"
+        }`
+      );
+      report.suggestedSchedule.forEach(({ jobName, cronExpression }) => {
+        logger.logInfo(`Suggested job: ${jobName} [${cronExpression}]`);
+      });
+      if (report.suggestedSchedule.length > 0) {
+        logger.logInfo("Run `schedule --suggested` to schedule these jobs");
+      }
+    } catch (error) {
+      logger.logError("Failed to build report", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Command to list the bookings made, from their saved receipts
+program
+  .command("bookings")
+  .description("List completed bookings from their saved receipts")
+  .option("-p, --profile <name>", "Only show one profile's bookings")
+  .option("--from <date>", "Only show visits on or after this date")
+  .option("--to <date>", "Only show visits on or before this date")
+  .option("--format <format>", "Output format: table, json or csv", "table")
+  .action((options) => {
+    try {
+      const receipts = bookings.readBookings({
+        profile: options.profile,
+        from: options.from && dates.resolveDate(options.from),
+        to: options.to && dates.resolveDate(options.to),
+      });
+      if (receipts.length === 0) {
+        logger.logInfo(`No bookings saved in ${bookings.bookingsDir()}`);
+        return;
+      }
+
+      console.log(
+        formatRows(
+          receipts,
+          [
+            "orderNumber",
+            "profile",
+            "date",
+            "passType",
+            "timeSlot",
+            "plate",
+            "amount",
+            "bookedAt",
+            "pdf",
+          ],
+          options.format
+        )
+      );
+    } catch (error) {
+      logger.logError("Failed to list bookings", error);
+      process.exit(exitCodeFor(error));
     }
   });
 
+// Flatten a journal event into a timeline row
+const timelineRow = (event) => {
+  const error = event.error
+    ? `${event.error.class}: ${event.error.message}`
+    : "";
+  return {
+    elapsed: `+${(event.elapsedMs / 1000).toFixed(3)}s`,
+    type: event.type,
+    what:
+      event.step ||
+      event.message ||
+      event.name ||
+      event.outcome ||
+      [event.kind, event.profile].filter(Boolean).join(" "),
+    ms: event.ms === undefined ? "" : event.ms,
+    detail: [
+      event.link && `${event.link}${event.fallback ? " (fallback)" : ""}`,
+      event.attempt && `attempt ${event.attempt}`,
+      error,
+      event.path || event.screenshot,
+      event.files && event.files.join(" "),
+    ]
+      .filter(Boolean)
+      .join(" "),
+  };
+};
+
+// Command to list past runs or show one run's timeline
+program
+  .command("runs [runId]")
+  .description("List past runs, or show one run's timeline from its journal")
+  .option("-p, --profile <name>", "Only show one profile's runs")
+  .option("-k, --kind <kind>", "Only show runs of a kind (run, snipe, watch)")
+  .option(
+    "-n, --limit <count>",
+    "Show this many runs",
+    (value) => parseInt(value),
+    20
+  )
+  .option("--format <format>", "Output format: table, json or csv", "table")
+  .action((runId, options) => {
+    try {
+      if (runId) {
+        const events = journal.readRun(runId);
+        console.log(
+          options.format === "json"
+            ? JSON.stringify(events, null, 2)
+            : formatRows(
+                events.map(timelineRow),
+                ["elapsed", "type", "what", "ms", "detail"],
+                options.format
+              )
+        );
+        return;
+      }
+
+      const runs = journal.listRuns(options);
+      if (runs.length === 0) {
+        logger.logInfo(`No runs recorded in ${journal.runsDir()}`);
+        return;
+      }
+      console.log(
+        formatRows(
+          runs,
+          [
+            "runId",
+            "kind",
+            "profile",
+            "startedAt",
+            "outcome",
+            "ms",
+            "steps",
+            "retries",
+            "error",
+          ],
+          options.format
+        )
+      );
+    } catch (error) {
+      logger.logError("Failed to read the run journal", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Show a byte count in kB or MB
+const formatBytes = (bytes) =>
+  bytes >= 1e6
+    ? `${(bytes / 1e6).toFixed(1)} MB`
+    : `${Math.ceil(bytes / 1e3)} kB`;
+
+const artifactsCommand = program
+  .command("artifacts")
+  .description(
+    "Find and clean up run bundles (screenshots, DOM snapshots, HAR, journal)"
+  );
+
+artifactsCommand
+  .command("list")
+  .description("List the run bundles and their size")
+  .option("--format <format>", "Output format: table, json or csv", "table")
+  .action((options) => {
+    try {
+      const bundles = artifacts.listBundles();
+      if (bundles.length === 0) {
+        logger.logInfo(`No run bundles in ${journal.runsDir()}`);
+        return;
+      }
+      console.log(
+        formatRows(
+          bundles.map((bundle) => ({
+            runId: bundle.runId,
+            files: bundle.files.length,
+            size: formatBytes(bundle.bytes),
+            modifiedAt: new Date(bundle.modifiedAt).toISOString(),
+          })),
+          ["runId", "files", "size", "modifiedAt"],
+          options.format
+        )
+      );
+      logger.logInfo(
+        `Total: ${formatBytes(
+          bundles.reduce((sum, bundle) => sum + bundle.bytes, 0)
+        )}`
+      );
+    } catch (error) {
+      logger.logError("Failed to list run bundles", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+artifactsCommand
+  .command("open <runId>")
+  .description("Print where a run's bundle is and the files in it")
+  .action((runId) => {
+    try {
+      const bundle = artifacts.bundleInfo(runId);
+      console.log(path.resolve(bundle.dir));
+      console.log(
+        formatRows(
+          bundle.files.map((file) => ({
+            file: path.relative(bundle.dir, file.path),
+            size: formatBytes(file.bytes),
+          })),
+          ["file", "size"]
+        )
+      );
+    } catch (error) {
+      logger.logError("Failed to find the run bundle", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+artifactsCommand
+  .command("prune")
+  .description("Delete run bundles past the retention policy")
+  .option(
+    "--max-age-days <days>",
+    "Delete bundles older than this",
+    (value) => parseInt(value),
+    config.artifactsMaxAgeDays
+  )
+  .option(
+    "--max-size-mb <mb>",
+    "Delete the oldest bundles while all of them take more than this",
+    (value) => parseInt(value),
+    config.artifactsMaxSizeMb
+  )
+  .option("--dry-run", "Show what would be deleted without deleting it")
+  .action((options) => {
+    try {
+      const removed = artifacts.pruneArtifacts(options);
+      if (removed.length === 0) {
+        logger.logInfo("No run bundles to delete");
+        return;
+      }
+      console.log(
+        formatRows(
+          removed.map((bundle) => ({
+            runId: bundle.runId,
+            size: formatBytes(bundle.bytes),
+            reason: bundle.reason,
+          })),
+          ["runId", "size", "reason"]
+        )
+      );
+      logger.logSuccess(
+        `${options.dryRun ? "Would delete" : "Deleted"} ${
+          removed.length
+        } bundle(s), ${formatBytes(
+          removed.reduce((sum, bundle) => sum + bundle.bytes, 0)
+        )}`
+      );
+    } catch (error) {
+      logger.logError("Failed to prune run bundles", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Build the job list requested by the schedule command options
+const jobsFromOptions = (options) => {
+  const { profile, allProfiles } = options;
+  const suffix = allProfiles ? "_all" : profile ? `_${profile}` : "";
+
+  const jobs = baseJobsFromOptions(options).map((job) => ({
+    ...job,
+    jobName: `${job.jobName}${suffix}`,
+    profile,
+    allProfiles,
+  }));
+  jobs.forEach(({ cronExpression }) =>
+    BotScheduler.validateExpression(cronExpression)
+  );
+  return jobs;
+};
+
+const baseJobsFromOptions = (options) => {
+  if (options.default) {
+    return BotScheduler.defaultJobs();
+  }
+  if (options.suggested) {
+    const { suggestedSchedule } = history.buildReport(history.readHistory());
+    if (suggestedSchedule.length === 0) {
+      throw new Error("Not enough availability history to suggest a schedule");
+    }
+    return suggestedSchedule.map(({ jobName, cronExpression }) => ({
+      jobName,
+      cronExpression,
+    }));
+  }
+  if (options.snipe) {
+    if (!/^\d{1,2}:\d{2}$/.test(options.snipe)) {
+      throw new Error(`Release time must be HH:MM, got "${options.snipe}"`);
+    }
+    return [
+      {
+        cronExpression: BotScheduler.snipeExpression(
+          options.snipe,
+          options.warmup
+        ),
+        jobName: "snipe_booking",
+        snipe: options.snipe,
+        warmup: options.warmup,
+      },
+    ];
+  }
+  if (options.daily) {
+    return [
+      {
+        cronExpression: BotScheduler.dailyExpression(options.daily),
+        jobName: "daily_booking",
+      },
+    ];
+  }
+  if (options.interval) {
+    return [
+      {
+        cronExpression: BotScheduler.intervalExpression(
+          parseInt(options.interval)
+        ),
+        jobName: "interval_booking",
+      },
+    ];
+  }
+  if (options.weekly && options.time) {
+    const days = options.weekly.split(",").map((d) => parseInt(d.trim()));
+    return [
+      {
+        cronExpression: BotScheduler.weeklyExpression(days, options.time),
+        jobName: "weekly_booking",
+      },
+    ];
+  }
+  return [];
+};
+
 // Command to start the scheduler
 program
   .command("schedule")
-  .description("Start the bot scheduler")
+  .description(
+    "Start the scheduler daemon, or add jobs to the one already running"
+  )
   .option("-d, --daily <time>", "Run daily at specific time (HH:MM format)")
   .option("-i, --interval <minutes>", "Run every X minutes")
   .option(
@@ -56,26 +825,56 @@ program
     "Time for weekly runs (HH:MM format, required with --weekly)"
   )
   .option("--default", "Start with default schedule (8:00 AM daily)")
+  .option("--suggested", "Schedule the jobs suggested by the report command")
+  .option(
+    "--snipe <time>",
+    "Pre-warm before a daily release (HH:MM) and book the moment it opens"
+  )
+  .option(
+    "--warmup <minutes>",
+    "Minutes before the release to start sniping",
+    (value) => parseInt(value),
+    config.sniperWarmup
+  )
+  .option("-p, --profile <name>", "Book for a named profile")
+  .option("--all-profiles", "Book for every profile")
   .action(async (options) => {
     try {
+      // Fail early on an unknown profile rather than at run time
+      selectProfiles(options);
+      const jobs = jobsFromOptions(options);
+
+      // Hand the jobs to an already running daemon instead of starting another
+      if (await isDaemonRunning()) {
+        if (jobs.length === 0) {
+          logger.logInfo("Scheduler daemon is already running");
+        }
+        for (const job of jobs) {
+          await sendCommand("schedule", job);
+          logger.logSuccess(`Added job to running scheduler: ${job.jobName}`);
+        }
+        process.exit(0);
+      }
+
       logger.logStep("Starting bot scheduler");
 
+      // Take the control port first, so a second scheduler fails before
+      // arming any job
       const scheduler = new BotScheduler();
+      const daemon = new SchedulerDaemon(scheduler);
+      await daemon.start();
 
-      if (options.default) {
-        scheduler.startDefaultScheduler();
-      } else if (options.daily) {
-        scheduler.scheduleDaily(options.daily, "daily_booking");
-      } else if (options.interval) {
-        scheduler.scheduleInterval(
-          parseInt(options.interval),
-          "interval_booking"
-        );
-      } else if (options.weekly && options.time) {
-        const days = options.weekly.split(",").map((d) => parseInt(d.trim()));
-        scheduler.scheduleWeekly(days, options.time, "weekly_booking");
-      } else {
-        // Start default scheduler if no options provided
+      const restored = scheduler.loadJobs();
+      if (jobs.length > 0) {
+        for (const { cronExpression, jobName, ...jobOptions } of jobs) {
+          if (!scheduler.scheduleJob(cronExpression, jobName, jobOptions)) {
+            await daemon.stop();
+            throw new Error(`Could not schedule job: ${jobName}`);
+          }
+        }
+      } else if (restored === null) {
+        // Start the default jobs on first run only; an empty saved list
+        // means the user stopped every job
         scheduler.startDefaultScheduler();
       }
 
@@ -83,56 +882,398 @@ program
       logger.logInfo("Press Ctrl+C to stop the scheduler");
 
       // Keep the process running
-      process.on("SIGINT", () => {
+      process.on("SIGINT", async () => {
         logger.logStep("Stopping scheduler...");
-        scheduler.stopAllJobs();
+        await daemon.stop();
         logger.logSuccess("Scheduler stopped");
         process.exit(0);
       });
     } catch (error) {
       logger.logError("Failed to start scheduler", error);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
     }
   });
 
 // Command to check status
 program
   .command("status")
-  .description("Check the status of scheduled jobs")
+  .description("Check the status of the running scheduler's jobs")
   .action(async () => {
     try {
-      const scheduler = new BotScheduler();
-      const jobs = scheduler.getScheduledJobs();
+      if (!(await isDaemonRunning())) {
+        logger.logInfo("Scheduler daemon is not running");
+        const saved = new BotScheduler().jobsFile;
+        logger.logInfo(`Saved jobs will be restored from ${saved} on start`);
+        return;
+      }
+
+      const { pid, startedAt, jobs } = await sendCommand("status");
+      logger.logInfo(
+        `Scheduler daemon running (pid ${pid}, since ${startedAt})`
+      );
 
       if (jobs.length === 0) {
         logger.logInfo("No scheduled jobs found");
       } else {
         logger.logInfo(`Found ${jobs.length} scheduled job(s):`);
-        jobs.forEach((jobName) => {
-          const status = scheduler.getJobStatus(jobName);
+        jobs.forEach((job) => {
+          const state = job.running
+            ? "Running"
+            : job.paused
+            ? "Paused"
+            : "Scheduled";
+          const lastRun = job.lastRunAt
+            ? `, last run ${job.lastRunAt} (${job.lastResult})`
+            : "";
           logger.logInfo(
-            `  - ${jobName}: ${status.running ? "Running" : "Stopped"}`
+            `  - ${job.name} [${job.cronExpression}]: ${state}${lastRun}`
           );
         });
       }
     } catch (error) {
       logger.logError("Failed to check status", error);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
     }
   });
 
 // Command to stop scheduler
 program
-  .command("stop")
-  .description("Stop all scheduled jobs")
-  .action(async () => {
+  .command("stop [job]")
+  .description(
+    "Remove one job, or shut down the scheduler daemon (saved jobs are kept)"
+  )
+  .action(async (job) => {
     try {
-      const scheduler = new BotScheduler();
-      scheduler.stopAllJobs();
-      logger.logSuccess("All scheduled jobs stopped");
+      const result = await sendCommand("stop", { job });
+      if (job) {
+        logger.logSuccess(`Job removed: ${job}`);
+      } else {
+        logger.logSuccess(
+          `Scheduler daemon stopped (${result.jobs.length} job(s) saved)`
+        );
+      }
     } catch (error) {
       logger.logError("Failed to stop scheduler", error);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Commands to pause and resume jobs
+program
+  .command("pause [job]")
+  .description("Pause one job, or all jobs, in the running scheduler")
+  .action(async (job) => {
+    try {
+      const { jobs } = await sendCommand("pause", { job });
+      logger.logSuccess(`Paused: ${jobs.join(", ") || "no jobs"}`);
+    } catch (error) {
+      logger.logError("Failed to pause jobs", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+program
+  .command("resume [job]")
+  .description("Resume one job, or all jobs, in the running scheduler")
+  .action(async (job) => {
+    try {
+      const { jobs } = await sendCommand("resume", { job });
+      logger.logSuccess(`Resumed: ${jobs.join(", ") || "no jobs"}`);
+    } catch (error) {
+      logger.logError("Failed to resume jobs", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+const sessionCommand = program
+  .command("session")
+  .description("Manage saved logins");
+
+sessionCommand
+  .command("list")
+  .description("List profiles with a saved login")
+  .action(() => {
+    const sessions = session.listSessions();
+    if (sessions.length === 0) {
+      logger.logInfo("No saved sessions");
+      return;
+    }
+    console.log(formatRows(sessions, ["profile", "savedAt", "cookies"]));
+  });
+
+sessionCommand
+  .command("clear")
+  .description("Delete a saved login so the next run logs in again")
+  .option("-p, --profile <name>", "Profile whose session to clear")
+  .option("--all", "Clear every saved session")
+  .action((options) => {
+    try {
+      const names = options.all
+        ? session.listSessions().map((saved) => saved.profile)
+        : [getProfile(options.profile).name];
+
+      for (const name of names) {
+        if (session.clearSession(name)) {
+          logger.logSuccess(`Session cleared: ${name}`);
+        } else {
+          logger.logInfo(`No saved session for ${name}`);
+        }
+      }
+    } catch (error) {
+      logger.logError("Failed to clear session", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+const vehiclesCommand = program
+  .command("vehicles")
+  .description("Manage the vehicles passes are booked for");
+
+vehiclesCommand
+  .command("list")
+  .description(
+    "List the vehicles saved on the portal account and which profile vehicles they are"
+  )
+  .option("-p, --profile <name>", "Profile whose account to read")
+  .option("--format <format>", "Output format: table, json or csv", "table")
+  .option("-h, --headless", "Run in headless mode")
+  .action(async (options) => {
+    try {
+      if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+      }
+      if (options.headless) config.headless = true;
+
+      const profile = getProfile(options.profile);
+      const bot = new BuntzenLakeBot(profile);
+      const vehicles = await bot.listAccountVehicles();
+      console.log(
+        formatRows(vehicles, ["vehicle", "profilePlate"], options.format)
+      );
+
+      const missing = profile.vehicles.filter(
+        (vehicle) =>
+          !vehicles.some((saved) => saved.profilePlate === vehicle.licensePlate)
+      );
+      for (const vehicle of missing) {
+        logger.logInfo(
+          `${vehicle.licensePlate} (${vehicle.make} ${vehicle.model}) isn't on the account yet; it will be added on its first booking`
+        );
+      }
+      process.exit(0);
+    } catch (error) {
+      logger.logError("Failed to list vehicles", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+const selectorsCommand = program
+  .command("selectors")
+  .description("Inspect the portal selectors the bot relies on");
+
+selectorsCommand
+  .command("doctor")
+  .description(
+    "Check each selector against the live portal and report which fallback matched"
+  )
+  .option("-p, --profile <name>", "Profile whose saved session to use")
+  .option("--format <format>", "Output format: table, json or csv", "table")
+  .option("-h, --headless", "Run in headless mode")
+  .action(async (options) => {
+    try {
+      if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+      }
+      if (options.headless) config.headless = true;
+
+      const bot = new BuntzenLakeBot(getProfile(options.profile));
+      const results = await bot.checkSelectors();
+      console.log(
+        formatRows(
+          results,
+          ["element", "stage", "status", "matched", "count"],
+          options.format
+        )
+      );
+
+      const count = (status) =>
+        results.filter((result) => result.status === status).length;
+      if (count("ok") + count("fallback") === 0) {
+        throw new Error("Could not check any selectors");
+      }
+      logger.logInfo(
+        `${count("ok")} ok, ${count("fallback")} on a fallback, ${count(
+          "missing"
+        )} missing, ${count("skipped")} skipped`
+      );
+      process.exit(count("missing") > 0 ? 1 : 0);
+    } catch (error) {
+      logger.logError("Selector check failed", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+const paymentCommand = program
+  .command("payment")
+  .description("Manage the card used when the portal asks for payment");
+
+paymentCommand
+  .command("save-card")
+  .description(
+    "Encrypt a card into the payment secrets file (uses PAYMENT_SECRETS_KEY)"
+  )
+  .option("--file <file>", "Secrets file", config.paymentSecretsFile)
+  .action(async (options) => {
+    try {
+      if (!config.paymentSecretsKey) {
+        throw new Error("Set PAYMENT_SECRETS_KEY first, it encrypts the file");
+      }
+
+      const prompt = require("readline").createInterface({
+        input: process.stdin,
+        output: process.stderr,
+      });
+      const ask = (question) =>
+        new Promise((resolve) => prompt.question(question, resolve));
+      const card = {
+        number: await ask("💳 Card number: "),
+        expiry: await ask("Expiry (MM/YY): "),
+        cvc: await ask("Security code: "),
+        name: await ask("Name on card (optional): "),
+        postalCode: await ask("Postal code (optional): "),
+      };
+      prompt.close();
+
+      const saved = payment.saveCard(
+        card,
+        config.paymentSecretsKey,
+        options.file
+      );
+      logger.logSuccess(
+        `Saved the ${payment.describeCard(saved)} to ${options.file}`
+      );
+      process.exit(0);
+    } catch (error) {
+      logger.logError("Failed to save the card", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+paymentCommand
+  .command("show")
+  .description("Show which card the bot would pay with, without its details")
+  .option("--file <file>", "Secrets file", config.paymentSecretsFile)
+  .action((options) => {
+    try {
+      const card = payment.loadCard({ file: options.file });
+      logger.logInfo(
+        `${payment.describeCard(card)}, expires ${card.expiry} (from ${
+          card.source
+        })`
+      );
+      logger.logInfo(
+        config.maxCharge
+          ? `Maximum charge: $${config.maxCharge.toFixed(2)}`
+          : "No MAX_CHARGE set, so the bot won't pay"
+      );
+    } catch (error) {
+      logger.logError("No usable payment card", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+const notifyCommand = program
+  .command("notify")
+  .description("Manage booking outcome notifications");
+
+notifyCommand
+  .command("test")
+  .description("Send a test notification to a profile's channels")
+  .option("-p, --profile <name>", "Profile whose channels to use")
+  .option(
+    "-e, --event <event>",
+    `Event to send (${Object.values(EVENTS).join(", ")})`,
+    EVENTS.BOOKED
+  )
+  .action(async (options) => {
+    try {
+      const profile = getProfile(options.profile);
+      // Send the test even for events the profile has switched off
+      const notifier = createNotifier({ ...profile.notify, events: [] });
+      if (notifier.channels.length === 0) {
+        throw new Error(
+          `Profile ${profile.name} has no notification channels (set NOTIFY_CHANNELS or notify.channels)`
+        );
+      }
+
+      const results = await notifier.notify(options.event, {
+        profile: profile.name,
+        message: "Test notification from the Buntzen Lake bot",
+      });
+      console.log(formatRows(results, ["channel", "ok", "error"]));
+      process.exit(results.every((result) => result.ok) ? 0 : 1);
+    } catch (error) {
+      logger.logError("Test notification failed", error);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Command to run the mock portal
+program
+  .command("mock-portal")
+  .description("Serve a local copy of the portal for offline runs")
+  .option(
+    "--port <port>",
+    "Port to listen on",
+    (value) => parseInt(value),
+    47330
+  )
+  .option(
+    "--sold-out <dates>",
+    'Dates shown as sold out (comma-separated, or "all")',
+    (value) =>
+      value === "all" ? "all" : value.split(",").map((date) => date.trim())
+  )
+  .option(
+    "--sold-out-slots <slots>",
+    'Half-day slots shown as sold out (start times, morning, afternoon or "all")',
+    (value) =>
+      value === "all" ? "all" : value.split(",").map((slot) => slot.trim())
+  )
+  .option("--slow <ms>", "Delay every response by this many ms", parseInt)
+  .option("--error <stage>", "Fail the page, cart or checkout")
+  .option("--otp-code <code>", "Verification code the portal accepts")
+  .option("--otp-file <file>", "Also write each code sent to this file")
+  .option("--payment", "Ask for a card at checkout, like the paid season")
+  .option(
+    "--payment-challenge",
+    "Make every card payment go through a verification challenge"
+  )
+  .action(async (options) => {
+    try {
+      const { MockPortal } = require("../mock/server");
+      const scenario = {};
+      if (options.soldOut) scenario.soldOut = options.soldOut;
+      if (options.soldOutSlots) scenario.soldOutSlots = options.soldOutSlots;
+      if (options.slow) scenario.slowMs = options.slow;
+      if (options.error) scenario.error = options.error;
+      if (options.otpCode) scenario.otpCode = options.otpCode;
+      if (options.otpFile) scenario.otpFile = options.otpFile;
+      if (options.payment) scenario.payment = true;
+      if (options.paymentChallenge) scenario.paymentChallenge = true;
+
+      const portal = new MockPortal({ port: options.port, scenario });
+      const baseUrl = await portal.start();
+      logger.logSuccess(`Mock portal running at ${baseUrl}`);
+      logger.logInfo(`Point the bot at it with BASE_URL=${baseUrl}`);
+
+      process.on("SIGINT", async () => {
+        await portal.stop();
+        process.exit(0);
+      });
+    } catch (error) {
+      logger.logError("Failed to start mock portal", error);
+      process.exit(exitCodeFor(error));
     }
   });
 
@@ -140,7 +1281,8 @@ program
 program
   .command("test-config")
   .description("Test the bot configuration")
-  .action(async () => {
+  .option("-p, --profile <name>", "Profile to show")
+  .action(async (options) => {
     try {
       logger.logStep("Testing bot configuration");
 
@@ -164,28 +1306,41 @@ program
       }
 
       // Display current configuration
-      logger.logInfo("Current configuration:");
+      const profile = getProfile(options.profile);
+      logger.logInfo(`Current configuration (profile: ${profile.name}):`);
       logger.logInfo(
-        `  Phone Number: ${config.phoneNumber ? "✓ Set" : "✗ Missing"}`
+        `  Phone Number: ${profile.phoneNumber ? "✓ Set" : "✗ Missing"}`
       );
       logger.logInfo(
         `  Verification Code: ${
           config.verificationCode ? "✓ Set" : "✗ Missing"
         }`
       );
+      profile.vehicles.forEach((vehicle, index) => {
+        logger.logInfo(
+          `  Vehicle ${index + 1}: ${vehicle.licensePlate || "✗ No plate"} (${
+            vehicle.province
+          }, ${vehicle.color} ${vehicle.make} ${vehicle.model})`
+        );
+      });
+      logger.logInfo(`  Pass Type: ${profile.passType}`);
+      logger.logInfo(`  Preferred Date: ${profile.preferredDate || "Not set"}`);
+      logger.logInfo(
+        `  Fallback Dates: ${profile.fallbackDates.join(", ") || "None"}`
+      );
       logger.logInfo(
-        `  License Plate: ${config.licensePlate ? "✓ Set" : "✗ Missing"}`
-      );
-      logger.logInfo(`  Province: ${config.province}`);
-      logger.logInfo(`  Vehicle Color: ${config.vehicleColor}`);
-      logger.logInfo(`  Vehicle Make: ${config.vehicleMake}`);
-      logger.logInfo(`  Vehicle Model: ${config.vehicleModel}`);
-      logger.logInfo(`  Pass Type: ${config.passType}`);
-      logger.logInfo(`  Preferred Date: ${config.preferredDate || "Not set"}`);
+        `  Allowed Days: ${
+          [].concat(profile.dateRules.allowedDays).join(", ") || "Any"
+        }${
+          profile.dateRules.withinDays
+            ? ` (any within ${profile.dateRules.withinDays} days)`
+            : ""
+        }`
+      );
       logger.logInfo(`  Headless Mode: ${config.headless ? "Yes" : "No"}`);
     } catch (error) {
       logger.logError("Configuration test failed", error);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
     }
   });
 
@@ -199,7 +1354,6 @@ program
 
       // Create logs directory
       const fs = require("fs");
-      const path = require("path");
 
       if (!fs.existsSync("logs")) {
         fs.mkdirSync("logs");
@@ -230,7 +1384,7 @@ program
       logger.logInfo("4. Run: npm run schedule to start the scheduler");
     } catch (error) {
       logger.logError("Initialization failed", error);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
     }
   });
 
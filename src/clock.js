@@ -0,0 +1,100 @@
+const http = require("http");
+const https = require("https");
+const logger = require("./logger");
+const utils = require("./utils");
+
+/**
+ * Clock sync against the portal for release-time booking
+ * The portal's HTTP Date header only has whole seconds, so one response
+ * says the server clock was somewhere in [Date, Date + 1s) while the request
+ * was in flight. Sampling repeatedly across a second boundary and
+ * intersecting those windows narrows the offset down to about the spacing
+ * between samples plus the round trip.
+ */
+
+/**
+ * Read the portal's Date header once
+ * @param {string} url - Portal URL
+ * @returns {Promise<Object>} { sentAt, receivedAt, serverSecond } (ms timestamps)
+ */
+const sampleDate = (url) =>
+  new Promise((resolve, reject) => {
+    const client = url.startsWith("https:") ? https : http;
+    const sentAt = Date.now();
+    const req = client.request(
+      url,
+      { method: "HEAD", timeout: 10000 },
+      (res) => {
+        const receivedAt = Date.now();
+        res.resume();
+        const header = res.headers.date;
+        if (!header) {
+          reject(new Error(`${url} sent no Date header`));
+          return;
+        }
+        resolve({ sentAt, receivedAt, serverSecond: Date.parse(header) });
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("Clock sync timed out")));
+    req.on("error", reject);
+    req.end();
+  });
+
+/**
+ * Measure how far the local clock is behind the portal's
+ * @param {string} url - Portal URL
+ * @param {Object} options - { samples, spacingMs }
+ * @returns {Promise<Object>} { offsetMs, precisionMs, rttMs, samples }
+ *   where portal time ≈ Date.now() + offsetMs, give or take precisionMs
+ */
+const measureClockOffset = async (url, options = {}) => {
+  const count = options.samples || 12;
+  // Not a divisor of 1000, so samples land at different points in the second
+  const spacing = options.spacingMs || 110;
+
+  let low = -Infinity;
+  let high = Infinity;
+  const rtts = [];
+
+  for (let index = 0; index < count; index++) {
+    const sample = await sampleDate(url);
+    rtts.push(sample.receivedAt - sample.sentAt);
+    // The server read its clock between sentAt and receivedAt
+    low = Math.max(low, sample.serverSecond - sample.receivedAt);
+    high = Math.min(high, sample.serverSecond + 1000 - sample.sentAt);
+    await utils.delay(spacing);
+  }
+
+  if (low > high) {
+    // Samples disagree (the server clock jumped); fall back to the middle
+    logger.logWarning("Clock samples disagree, the offset is approximate");
+    [low, high] = [high, low];
+  }
+
+  return {
+    offsetMs: Math.round((low + high) / 2),
+    precisionMs: Math.ceil((high - low) / 2),
+    rttMs: Math.round(rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length),
+    samples: count,
+  };
+};
+
+/**
+ * Wait until the portal's clock reaches a time
+ * Sleeps coarsely, then spins for the last few milliseconds
+ * @param {number} target - Portal time to wait for (ms timestamp)
+ * @param {number} offsetMs - Result of measureClockOffset()
+ * @returns {Promise<number>} How late the wait ended, in ms
+ */
+const waitUntil = async (target, offsetMs) => {
+  const localTarget = target - offsetMs;
+  while (localTarget - Date.now() > 50) {
+    await utils.delay(Math.min(localTarget - Date.now() - 40, 60000));
+  }
+  while (Date.now() < localTarget) {
+    // Busy-wait the last stretch; timers can be tens of ms late
+  }
+  return Date.now() - localTarget;
+};
+
+module.exports = { sampleDate, measureClockOffset, waitUntil };
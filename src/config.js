@@ -1,20 +1,9 @@
 const path = require("path");
 require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
 
-// Debug: Log what's being read from environment
-console.log("🔍 Environment variables:");
-console.log("PHONE_NUMBER:", process.env.PHONE_NUMBER);
-console.log("VERIFICATION_CODE:", process.env.VERIFICATION_CODE);
-console.log("LICENSE_PLATE:", process.env.LICENSE_PLATE);
-console.log("PREFERRED_DATE:", process.env.PREFERRED_DATE);
-console.log("DELAY_BETWEEN_ACTIONS:", process.env.DELAY_BETWEEN_ACTIONS);
-console.log("LONG_WAIT_TIME:", process.env.LONG_WAIT_TIME);
-console.log("Current working directory:", process.cwd());
-console.log("Env file path:", path.resolve(__dirname, "../.env"));
-
 const config = {
   // User credentials
-  phoneNumber: "6043679066", // Hardcoded for testing
+  phoneNumber: process.env.PHONE_NUMBER || "",
   verificationCode: "", // Will be entered manually when OTP arrives
 
   // Vehicle information
@@ -26,12 +15,56 @@ const config = {
 
   // Booking preferences
   passType: process.env.PASS_TYPE || "all_day", // 'all_day' or 'half_day'
+  // Half-day slots, best first: morning, afternoon or start times (13:00)
+  slotPreference: process.env.SLOT_PREFERENCE || "",
+  // Book an all-day pass when no half-day slot is left
+  allDayFallback: process.env.ALL_DAY_FALLBACK === "true",
   preferredDate: process.env.PREFERRED_DATE || "17",
+  fallbackDates: (process.env.FALLBACK_DATES || "")
+    .split(",")
+    .map((date) => date.trim())
+    .filter(Boolean),
+  dateRules: {
+    allowedDays: process.env.ALLOWED_DAYS || "",
+    withinDays: parseInt(process.env.DATE_WINDOW_DAYS) || 0,
+  },
 
   // Bot settings
   headless: process.env.HEADLESS === "true",
   delayBetweenActions: parseInt(process.env.DELAY_BETWEEN_ACTIONS) || 100,
   longWaitTime: parseInt(process.env.LONG_WAIT_TIME) || 500,
+  watchInterval: parseInt(process.env.WATCH_INTERVAL) || 60,
+  watchJitter: parseInt(process.env.WATCH_JITTER) || 15,
+  availabilityDays: parseInt(process.env.AVAILABILITY_DAYS) || 14,
+  maxDatePickerSlides: parseInt(process.env.MAX_DATE_PICKER_SLIDES) || 8,
+  flowMaxSteps: parseInt(process.env.FLOW_MAX_STEPS) || 25,
+  flowMaxVisits: parseInt(process.env.FLOW_MAX_VISITS) || 3,
+
+  // Most bots booking at once when several profiles run together
+  maxConcurrentBots: parseInt(process.env.MAX_CONCURRENT_BOTS) || 3,
+
+  // Release-time sniping: when passes go on sale (Vancouver time), how many
+  // minutes early to warm up, how long after the release to reload, and how
+  // long to keep retrying if the date isn't out yet
+  releaseTime: process.env.RELEASE_TIME || "08:00",
+  sniperWarmup: parseInt(process.env.SNIPER_WARMUP) || 5,
+  sniperGuardMs: parseInt(process.env.SNIPER_GUARD_MS) || 150,
+  sniperRetryFor: parseInt(process.env.SNIPER_RETRY_FOR) || 60,
+  confirmationTimeout: parseInt(process.env.CONFIRMATION_TIMEOUT) || 30000,
+
+  // Book a vehicle a second pass for a date it already has one for
+  allowDuplicateBookings: process.env.ALLOW_DUPLICATE_BOOKINGS === "true",
+  // The portal's "My Passes" page (found from its link when empty)
+  myPassesUrl: process.env.MY_PASSES_URL || "",
+
+  // Paid-season checkout: the card comes from CARD_* variables or the
+  // encrypted secrets file, and nothing over MAX_CHARGE is ever paid
+  maxCharge: parseFloat(process.env.MAX_CHARGE) || 0,
+  paymentSecretsFile:
+    process.env.PAYMENT_SECRETS_FILE || path.join("data", "payment.enc"),
+  paymentSecretsKey: process.env.PAYMENT_SECRETS_KEY || "",
+  paymentChallengeTimeout:
+    parseInt(process.env.PAYMENT_CHALLENGE_TIMEOUT) || 300000,
 
   // Logging
   logLevel: process.env.LOG_LEVEL || "info",
@@ -40,8 +73,78 @@ const config = {
   maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
   retryDelay: parseInt(process.env.RETRY_DELAY) || 5000,
 
-  // URLs
-  baseUrl: "https://yodelportal.com/buntzen-lake",
+  // Named booking profiles (see profiles.example.json)
+  profilesFile: process.env.PROFILES_FILE || "profiles.json",
+
+  // Local data (persisted scheduler jobs, etc.)
+  dataDir: process.env.DATA_DIR || "data",
+
+  // Run artifact bundles (data/runs/<runId>): a screenshot after every step,
+  // and how long and how much of them to keep
+  stepScreenshots: process.env.STEP_SCREENSHOTS !== "false",
+  artifactsMaxAgeDays: parseInt(process.env.ARTIFACTS_MAX_AGE_DAYS) || 14,
+  artifactsMaxSizeMb: parseInt(process.env.ARTIFACTS_MAX_SIZE_MB) || 500,
+
+  // Scheduler daemon control channel (localhost only)
+  daemonHost: process.env.DAEMON_HOST || "127.0.0.1",
+  daemonPort: parseInt(process.env.DAEMON_PORT) || 47321,
+
+  // Verification code (OTP) delivery: manual, file, http, imap or stdin
+  otpProvider: process.env.OTP_PROVIDER || "manual",
+  otpTimeout: parseInt(process.env.OTP_TIMEOUT) || 300000,
+  otpMaxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 3,
+  otpLength: parseInt(process.env.OTP_LENGTH) || 4,
+  otpFile: process.env.OTP_FILE || path.join("data", "otp-code.txt"),
+  otpHttpHost: process.env.OTP_HTTP_HOST || "127.0.0.1",
+  otpHttpPort: parseInt(process.env.OTP_HTTP_PORT) || 47322,
+  otpHttpToken: process.env.OTP_HTTP_TOKEN || "",
+  imap: {
+    host: process.env.IMAP_HOST || "",
+    port: parseInt(process.env.IMAP_PORT) || 993,
+    secure: process.env.IMAP_SECURE !== "false",
+    user: process.env.IMAP_USER || "",
+    password: process.env.IMAP_PASSWORD || "",
+    mailbox: process.env.IMAP_MAILBOX || "INBOX",
+    from: process.env.IMAP_FROM || "",
+    pollInterval: parseInt(process.env.IMAP_POLL_INTERVAL) || 5000,
+  },
+
+  // Booking outcome notifications: channels are email, webhook, push and
+  // desktop (comma-separated); profiles can pick their own
+  notifyChannels: (process.env.NOTIFY_CHANNELS || "")
+    .split(",")
+    .map((channel) => channel.trim())
+    .filter(Boolean),
+  notifyEvents: (process.env.NOTIFY_EVENTS || "")
+    .split(",")
+    .map((event) => event.trim())
+    .filter(Boolean),
+  notifyTimeout: parseInt(process.env.NOTIFY_TIMEOUT) || 15000,
+  notify: {
+    email: {
+      host: process.env.SMTP_HOST || "",
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER || "",
+      password: process.env.SMTP_PASSWORD || "",
+      from: process.env.NOTIFY_EMAIL_FROM || "",
+      to: process.env.NOTIFY_EMAIL_TO || "",
+    },
+    webhook: {
+      url: process.env.NOTIFY_WEBHOOK_URL || "",
+      format: process.env.NOTIFY_WEBHOOK_FORMAT || "slack",
+    },
+    push: {
+      service: process.env.NOTIFY_PUSH_SERVICE || "ntfy",
+      url: process.env.NOTIFY_PUSH_URL || "https://ntfy.sh",
+      topic: process.env.NOTIFY_PUSH_TOPIC || "",
+      token: process.env.NOTIFY_PUSH_TOKEN || "",
+    },
+    desktop: {},
+  },
+
+  // URLs (BASE_URL can point at the mock portal, see mock/server.js)
+  baseUrl: process.env.BASE_URL || "https://yodelportal.com/buntzen-lake",
 
   // Selectors for automation
   selectors: {
@@ -51,6 +154,7 @@ const config = {
       ".themeBtn.button.popup-close, .themeBtn.button, a[href='#']",
 
     // Pass selection
+    passCard: ".gridCard, .cardRow .gridCard",
     allDayPass: '.gridCard:has(.parkName:contains("All Day Pass"))',
     halfDayPass: '.gridCard:has(.parkName:contains("Half Day Pass"))',
 
@@ -60,11 +164,21 @@ const config = {
     dateMain: ".dateMain",
     dateSlide: ".dateBody",
     dateList: ".datelist",
+    dateNextBtn:
+      ".dateMain .swiper-button-next, .dateMain .next, .dateMain .nextDate",
+    datePrevBtn:
+      ".dateMain .swiper-button-prev, .dateMain .prev, .dateMain .prevDate",
+
+    // Half-day time slots
+    timeSlot: ".timeSlot, .slotList button",
+    activeSlot: ".timeSlot.active, .slotList button.active",
 
     // Add to cart
-    addToCartBtn: ".themeBtn.btn-disbled.button.button-round, #cardBtn_12196",
+    addToCartBtn: ".themeBtn.btn-disbled.button.button-round",
 
     // Login form
+    signInLink: ".loginLink, a[href*='login'], a[href*='signin']",
+    loginForm: ".signinModel, .modelLogin, #slideNo1",
     phoneInput: "#txtPhonenumber",
     countrySelect: "#loginPhonenumber select",
     nextBtn: ".themeBtn.button",
@@ -74,6 +188,7 @@ const config = {
     otpSubmitBtn: ".themeBtn.btn-disbled.button",
 
     // Vehicle selection
+    vehicleSelector: "#selectVehicleSmartSelect",
     vehicleSelect: '.page.smart-select-page[data-name="smart-select-page"]',
     vehicleSearchInput: 'input[type="search"][placeholder="Search vehicle"]',
     addVehicleBtn: 'input[value="new_vehicle"]',
@@ -86,9 +201,47 @@ const config = {
     modelInput: "#vehicleModelTxt",
     saveVehicleBtn: ".themeBtn.button.button-round",
 
+    // Cart items
+    cartItem: ".cartItem, .viewCart .cartItems li",
+    cartPassName: ".cartPassName",
+    cartDate: ".cartDate",
+    cartSlot: ".cartSlot",
+    cartVehicle: ".cartVehicle",
+    cartPrice: ".cartPrice",
+
     // Checkout
     checkoutBtn: "#checkOutButton",
     cartCloseBtn: ".viewCart_closeCart .theme-outline-yellow.button",
+    confirmation: ".orderConfirmation, .order-confirmation, .thankYouPage",
+
+    // Order confirmation details
+    orderNumber: ".orderNumber, .confirmationNumber",
+    orderItem: ".orderItem",
+    orderPassName: ".orderPassName",
+    orderDate: ".orderDate",
+    orderSlot: ".orderSlot",
+    orderVehicle: ".orderVehicle",
+    orderPrice: ".orderPrice",
+    orderTotal: ".orderTotal",
+
+    // My Passes page
+    myPassesLink: 'a[href*="my-passes"], a[href*="mypasses"], .myPassesLink',
+    myPassItem: ".myPassItem, .myPasses .passItem",
+    myPassDate: ".myPassDate, .passDate",
+
+    // Payment page (paid season)
+    paymentForm: "#paymentForm, .paymentPage form, form.payment",
+    paymentAmount: ".paymentAmount, .amountDue",
+    cardNumberInput:
+      'input[autocomplete="cc-number"], input[name="cardnumber"]',
+    cardExpiryInput: 'input[autocomplete="cc-exp"], input[name="exp-date"]',
+    cardCvcInput: 'input[autocomplete="cc-csc"], input[name="cvc"]',
+    cardNameInput: 'input[autocomplete="cc-name"], input[name="ccname"]',
+    cardPostalInput: 'input[autocomplete="postal-code"], input[name="postal"]',
+    payBtn: "#payButton, .paymentPage .themeBtn.button",
+    paymentError: ".paymentError, .card-error",
+    paymentChallenge:
+      '.threeDSChallenge, iframe[name*="challenge"], iframe[src*="3ds"], iframe[src*="acs"]',
 
     // Status indicators
     soldOut: ".soldout",
@@ -0,0 +1,324 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const cron = require("node-cron");
+const logger = require("./logger");
+const config = require("./config");
+
+/**
+ * Control channel for a long-running scheduler process
+ * The scheduler listens on a localhost HTTP port so that the `status`,
+ * `stop`, `pause` and `resume` CLI commands can reach the jobs it runs.
+ * Every request must carry the token the daemon writes to a private file
+ * in the data directory, so a web page open in a local browser (which can
+ * reach localhost too) can't stop or reschedule jobs.
+ */
+
+/**
+ * Get the file the daemon's token is kept in
+ * @returns {string} Token file path
+ */
+const tokenPath = () => path.join(config.dataDir, "daemon.token");
+
+/**
+ * Read the running daemon's token
+ * @returns {string|null} Token, or null when no daemon has written one
+ */
+const readToken = () => {
+  try {
+    return fs.readFileSync(tokenPath(), "utf8").trim();
+  } catch (error) {
+    return null;
+  }
+};
+
+class SchedulerDaemon {
+  /**
+   * @param {Object} scheduler - BotScheduler instance to control
+   * @param {Object} options - Daemon options
+   * @param {string} options.host - Host to listen on
+   * @param {number} options.port - Port to listen on
+   */
+  constructor(scheduler, options = {}) {
+    this.scheduler = scheduler;
+    this.host = options.host || config.daemonHost;
+    this.port = options.port || config.daemonPort;
+    this.server = null;
+    this.startedAt = null;
+    this.token = null;
+  }
+
+  /**
+   * Make a new token and save it where only this user can read it
+   */
+  writeToken() {
+    this.token = crypto.randomBytes(32).toString("hex");
+    fs.mkdirSync(config.dataDir, { recursive: true, mode: 0o700 });
+    fs.rmSync(tokenPath(), { force: true });
+    fs.writeFileSync(tokenPath(), `${this.token}\n`, { mode: 0o600 });
+  }
+
+  /**
+   * Check a request's token
+   * @param {Object} req - HTTP request
+   * @returns {boolean} True if it carries the daemon's token
+   */
+  isAuthorized(req) {
+    const match = /^Bearer (\S+)$/.exec(req.headers.authorization || "");
+    if (!match || !this.token) {
+      return false;
+    }
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(this.token);
+    return (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    );
+  }
+
+  /**
+   * Start listening for control commands
+   * @returns {Promise<boolean>} Promise that resolves once listening
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) =>
+        this.handleRequest(req, res)
+      );
+
+      this.server.once("error", (error) => {
+        if (error.code === "EADDRINUSE") {
+          reject(
+            new Error(
+              `Port ${this.port} is in use, is another scheduler already running?`
+            )
+          );
+        } else {
+          reject(error);
+        }
+      });
+
+      this.server.listen(this.port, this.host, () => {
+        this.startedAt = new Date().toISOString();
+        this.writeToken();
+        logger.logSuccess(
+          `Scheduler daemon listening on http://${this.host}:${this.port}`
+        );
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Stop the scheduler and close the control channel
+   * @returns {Promise<void>} Promise that resolves once closed
+   */
+  stop() {
+    this.scheduler.shutdown();
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => {
+        if (readToken() === this.token) {
+          fs.rmSync(tokenPath(), { force: true });
+        }
+        logger.logSuccess("Scheduler daemon stopped");
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Handle an incoming control request
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  handleRequest(req, res) {
+    if (!this.isAuthorized(req)) {
+      req.resume();
+      res.writeHead(401, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({ ok: false, error: "Missing or wrong daemon token" })
+      );
+      return;
+    }
+
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+
+    req.on("end", async () => {
+      const command = req.url.replace(/^\//, "");
+      let status = 200;
+      let result;
+
+      try {
+        const args = body ? JSON.parse(body) : {};
+        result = await this.handleCommand(command, args);
+      } catch (error) {
+        status = 400;
+        result = { ok: false, error: error.message };
+      }
+
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(result));
+
+      // Exit only after the client has its answer
+      if (command === "stop" && result.ok && result.shutdown) {
+        await this.stop();
+        process.exit(0);
+      }
+    });
+  }
+
+  /**
+   * Run a control command against the scheduler
+   * @param {string} command - Command name
+   * @param {Object} args - Command arguments
+   * @returns {Promise<Object>} Command result
+   */
+  async handleCommand(command, args) {
+    const { scheduler } = this;
+
+    switch (command) {
+      case "status":
+        return {
+          ok: true,
+          pid: process.pid,
+          startedAt: this.startedAt,
+          jobs: scheduler.getScheduledJobs().map((name) => ({
+            name,
+            ...scheduler.getJobStatus(name),
+          })),
+        };
+
+      case "schedule":
+        if (!args.cronExpression || !args.jobName) {
+          throw new Error("schedule requires cronExpression and jobName");
+        }
+        if (!cron.validate(args.cronExpression)) {
+          throw new Error(`Invalid cron expression: ${args.cronExpression}`);
+        }
+        if (
+          !scheduler.scheduleJob(args.cronExpression, args.jobName, {
+            profile: args.profile,
+            allProfiles: args.allProfiles,
+            snipe: args.snipe,
+            warmup: args.warmup,
+          })
+        ) {
+          throw new Error(`Could not schedule job: ${args.jobName}`);
+        }
+        return { ok: true, job: args.jobName };
+
+      case "pause":
+      case "resume": {
+        const jobs = args.job ? [args.job] : scheduler.getScheduledJobs();
+        const changed = jobs.filter((name) =>
+          command === "pause"
+            ? scheduler.pauseJob(name)
+            : scheduler.resumeJob(name)
+        );
+        if (args.job && changed.length === 0) {
+          throw new Error(`Job not found: ${args.job}`);
+        }
+        return { ok: true, jobs: changed };
+      }
+
+      case "stop":
+        if (args.job) {
+          if (!scheduler.stopJob(args.job)) {
+            throw new Error(`Job not found: ${args.job}`);
+          }
+          return { ok: true, jobs: [args.job] };
+        }
+        return {
+          ok: true,
+          shutdown: true,
+          jobs: scheduler.getScheduledJobs(),
+        };
+
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+  }
+}
+
+/**
+ * Send a command to a running scheduler daemon
+ * @param {string} command - Command name (status, schedule, pause, resume, stop)
+ * @param {Object} args - Command arguments
+ * @param {Object} options - Connection options (host, port, timeout, token;
+ *   the token defaults to the one in the data directory)
+ * @returns {Promise<Object>} Promise that resolves with the daemon's reply
+ */
+const sendCommand = (command, args = {}, options = {}) =>
+  new Promise((resolve, reject) => {
+    const payload = JSON.stringify(args);
+    const req = http.request(
+      {
+        host: options.host || config.daemonHost,
+        port: options.port || config.daemonPort,
+        path: `/${command}`,
+        method: "POST",
+        timeout: options.timeout || 5000,
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+          Authorization: `Bearer ${options.token || readToken()}`,
+        },
+      },
+      (res) => {
+        let body = "";
+        res.on("data", (chunk) => {
+          body += chunk;
+        });
+        res.on("end", () => {
+          try {
+            const result = JSON.parse(body);
+            if (result.ok === false) {
+              reject(new Error(result.error));
+            } else {
+              resolve(result);
+            }
+          } catch (error) {
+            reject(new Error(`Invalid reply from scheduler daemon: ${body}`));
+          }
+        });
+      }
+    );
+
+    req.on("timeout", () => {
+      req.destroy(new Error("Timed out waiting for scheduler daemon"));
+    });
+
+    req.on("error", (error) => {
+      if (error.code === "ECONNREFUSED") {
+        reject(new Error("Scheduler daemon is not running"));
+      } else {
+        reject(error);
+      }
+    });
+
+    req.end(payload);
+  });
+
+/**
+ * Check whether a scheduler daemon is reachable
+ * @param {Object} options - Connection options (host, port)
+ * @returns {Promise<boolean>} Promise that resolves with reachability
+ */
+const isDaemonRunning = async (options = {}) => {
+  try {
+    await sendCommand("status", {}, { ...options, timeout: 2000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = { SchedulerDaemon, sendCommand, isDaemonRunning, tokenPath };
@@ -0,0 +1,438 @@
+/**
+ * Calendar date helpers for the Buntzen Lake parking bot
+ * Dates are handled as ISO strings (YYYY-MM-DD) and "today" is always
+ * resolved in Buntzen Lake's own timezone
+ */
+
+const TIMEZONE = "America/Vancouver";
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Build an ISO date from its parts
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} ISO date
+ */
+const toIsoDate = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Split an ISO date into its parts
+ * @param {string} isoDate - ISO date
+ * @returns {Object} { year, month, day }
+ */
+const parseIsoDate = (isoDate) => {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return { year, month, day };
+};
+
+/**
+ * Check that the parts form a real calendar date (no 02/30)
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean} Whether the date exists
+ */
+const isValidDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+};
+
+/**
+ * Get today's date in Vancouver
+ * @param {Date} now - Current instant
+ * @returns {string} ISO date
+ */
+const today = (now = new Date()) => {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(now);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return toIsoDate(get("year"), get("month"), get("day"));
+};
+
+/**
+ * Get the time of day in Vancouver
+ * @param {Date} now - Instant
+ * @returns {string} Time in HH:MM format (24-hour)
+ */
+const timeOfDay = (now = new Date()) =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone: TIMEZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(now);
+
+/**
+ * Get the instant a Vancouver wall-clock time happens
+ * @param {string} isoDate - ISO date
+ * @param {string} time - Time in HH:MM or HH:MM:SS format (24-hour)
+ * @returns {number} Timestamp in ms
+ */
+const instantAt = (isoDate, time) => {
+  const { year, month, day } = parseIsoDate(isoDate);
+  const [hour, minute, second = 0] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // How far Vancouver is behind UTC at a given instant
+  const zoneOffset = (instant) => {
+    const parts = new Intl.DateTimeFormat("en-CA", {
+      timeZone: TIMEZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(new Date(instant));
+    const get = (type) =>
+      Number(parts.find((part) => part.type === type).value);
+    return (
+      Date.UTC(
+        get("year"),
+        get("month") - 1,
+        get("day"),
+        get("hour"),
+        get("minute"),
+        get("second")
+      ) - instant
+    );
+  };
+
+  // Correct twice so times just after a DST change land right
+  const first = wallClock - zoneOffset(wallClock);
+  return wallClock - zoneOffset(first);
+};
+
+/**
+ * Count the days from one date to another
+ * @param {string} from - ISO date
+ * @param {string} to - ISO date
+ * @returns {number} Days (negative if `to` is earlier)
+ */
+const daysBetween = (from, to) => {
+  const a = parseIsoDate(from);
+  const b = parseIsoDate(to);
+  return Math.round(
+    (Date.UTC(b.year, b.month - 1, b.day) -
+      Date.UTC(a.year, a.month - 1, a.day)) /
+      86400000
+  );
+};
+
+/**
+ * Add a number of days to a date
+ * @param {string} isoDate - ISO date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} ISO date
+ */
+const addDays = (isoDate, days) => {
+  const { year, month, day } = parseIsoDate(isoDate);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return toIsoDate(
+    date.getUTCFullYear(),
+    date.getUTCMonth() + 1,
+    date.getUTCDate()
+  );
+};
+
+/**
+ * Get the day of the week of a date
+ * @param {string} isoDate - ISO date
+ * @returns {number} Day of week (0-6, where 0 is Sunday)
+ */
+const dayOfWeek = (isoDate) => {
+  const { year, month, day } = parseIsoDate(isoDate);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Resolve a date expression to a calendar date
+ * Supported forms:
+ *   2026-08-17              ISO date
+ *   08/17                   month/day, this year or next if already past
+ *                           (02/29: the next leap year)
+ *   17                      day of month, this month or next if already past
+ *   today, tomorrow
+ *   saturday                the coming Saturday (today if it is Saturday)
+ *   next saturday           the Saturday after today
+ *   +2d, +1w                days or weeks from today
+ * @param {string} expression - Date expression
+ * @param {Date} now - Current instant
+ * @returns {string} ISO date
+ */
+const resolveDate = (expression, now = new Date()) => {
+  const text = String(expression).trim().toLowerCase();
+  const base = today(now);
+  const { year, month } = parseIsoDate(base);
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    const [, y, m, d] = match.map(Number);
+    if (!isValidDate(y, m, d)) {
+      throw new Error(`Invalid date: ${expression}`);
+    }
+    return toIsoDate(y, m, d);
+  }
+
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})$/))) {
+    const [, m, d] = match.map(Number);
+    // Walk forward year by year until the date exists and isn't past
+    // (02/29 can be up to eight years away)
+    for (let y = year; y <= year + 8; y++) {
+      if (isValidDate(y, m, d) && toIsoDate(y, m, d) >= base) {
+        return toIsoDate(y, m, d);
+      }
+    }
+    throw new Error(`Invalid date: ${expression}`);
+  }
+
+  if ((match = text.match(/^(\d{1,2})$/))) {
+    const d = Number(match[1]);
+    // Walk forward month by month until the day exists and isn't past
+    for (let offset = 0; offset < 12; offset++) {
+      const y = year + Math.floor((month - 1 + offset) / 12);
+      const m = ((month - 1 + offset) % 12) + 1;
+      if (isValidDate(y, m, d) && toIsoDate(y, m, d) >= base) {
+        return toIsoDate(y, m, d);
+      }
+    }
+    throw new Error(`Invalid day of month: ${expression}`);
+  }
+
+  if (text === "today") {
+    return base;
+  }
+
+  if (text === "tomorrow") {
+    return addDays(base, 1);
+  }
+
+  if ((match = text.match(/^\+(\d+)\s*([dw])$/))) {
+    const amount = Number(match[1]) * (match[2] === "w" ? 7 : 1);
+    return addDays(base, amount);
+  }
+
+  if ((match = text.match(/^(next\s+)?([a-z]+)$/))) {
+    const weekday = WEEKDAYS.indexOf(match[2]);
+    if (weekday !== -1) {
+      let ahead = (weekday - dayOfWeek(base) + 7) % 7;
+      if (match[1] && ahead === 0) {
+        ahead = 7;
+      }
+      return addDays(base, ahead);
+    }
+  }
+
+  throw new Error(
+    `Unrecognised date "${expression}". Use YYYY-MM-DD, MM/DD, DD, today, tomorrow, a weekday, "next <weekday>" or +Nd`
+  );
+};
+
+/**
+ * Turn day names into day-of-week numbers
+ * Accepts full weekday names (or their plural), names cut short to three
+ * letters or more ("sat", "tues"), "weekend" and "weekday"
+ * @param {Array<string>|string} days - Day names (array or comma-separated)
+ * @returns {Array<number>} Days of week (0-6, where 0 is Sunday)
+ */
+const parseWeekdays = (days) => {
+  const names = Array.isArray(days) ? days : String(days || "").split(",");
+  const result = new Set();
+
+  for (const raw of names) {
+    const name = String(raw).trim().toLowerCase();
+    if (!name) {
+      continue;
+    }
+    if (name === "weekend" || name === "weekends") {
+      result.add(0).add(6);
+      continue;
+    }
+    if (name === "weekday" || name === "weekdays") {
+      [1, 2, 3, 4, 5].forEach((day) => result.add(day));
+      continue;
+    }
+    const index = WEEKDAYS.findIndex(
+      (weekday) =>
+        name === `${weekday}s` || (name.length >= 3 && weekday.startsWith(name))
+    );
+    if (index === -1) {
+      throw new Error(`Unknown day name: ${raw}`);
+    }
+    result.add(index);
+  }
+
+  return Array.from(result).sort();
+};
+
+/**
+ * Check a date against a profile's `allowedDays` rule
+ * @param {Object} preferences - { dateRules }
+ * @param {string|null} isoDate - ISO date, null when it isn't known
+ * @returns {boolean} True if the date is on an allowed day (or any day is)
+ */
+const isAllowedDay = (preferences, isoDate) => {
+  const allowedDays = parseWeekdays((preferences.dateRules || {}).allowedDays);
+  return (
+    allowedDays.length === 0 ||
+    Boolean(isoDate && allowedDays.includes(dayOfWeek(isoDate)))
+  );
+};
+
+/**
+ * Build the ranked list of dates a profile is willing to book
+ * Order: the preferred date, then the fallback dates as listed, then every
+ * date in the next `withinDays` days. Dates on a day not in `allowedDays`,
+ * past dates and duplicates are dropped.
+ * @param {Object} preferences - { preferredDate, fallbackDates, dateRules }
+ * @param {Date} now - Current instant
+ * @returns {Array<string>} ISO dates, best first; empty only when the
+ *   profile sets no dates at all
+ * @throws {Error} When dates were set but every one of them was dropped
+ */
+const buildDateCandidates = (preferences, now = new Date()) => {
+  const { preferredDate, fallbackDates = [], dateRules = {} } = preferences;
+  const base = today(now);
+  const allowedDays = parseWeekdays(dateRules.allowedDays);
+  const candidates = [];
+
+  const expressions = [preferredDate, ...fallbackDates].filter(Boolean);
+  for (const expression of expressions) {
+    candidates.push(resolveDate(expression, now));
+  }
+
+  for (let offset = 0; offset < (dateRules.withinDays || 0); offset++) {
+    candidates.push(addDays(base, offset));
+  }
+
+  const acceptable = candidates.filter(
+    (date, index) =>
+      date >= base &&
+      candidates.indexOf(date) === index &&
+      isAllowedDay(preferences, date)
+  );
+
+  // Booking "any date" here would ignore what the profile asked for
+  if (candidates.length > 0 && acceptable.length === 0) {
+    throw new Error(
+      `No acceptable date left in ${candidates.join(
+        ", "
+      )}: dates must be ${base} or later${
+        allowedDays.length > 0
+          ? ` and on a ${allowedDays.map((day) => WEEKDAYS[day]).join("/")}`
+          : ""
+      }`
+    );
+  }
+  return acceptable;
+};
+
+/**
+ * Work out the calendar dates of a run of date picker buttons that only
+ * show a day number. The picker lists consecutive upcoming days, so the
+ * first button is the first matching day on or after `from`, and the month
+ * rolls over whenever the day number goes down.
+ * @param {Array<string>} labels - Button texts, in display order
+ * @param {string} from - ISO date the first button can't be before
+ * @returns {Array<string|null>} ISO dates (null where no day number was found)
+ */
+const datesFromDayNumbers = (labels, from) => {
+  const result = [];
+  let previous = null;
+
+  for (const label of labels) {
+    const match = String(label).match(/(\d{1,2})\s*$/);
+    if (!match) {
+      result.push(null);
+      continue;
+    }
+
+    const day = Number(match[1]);
+    let candidate = previous ? addDays(previous, 1) : from;
+    for (let i = 0; i < 62 && parseIsoDate(candidate).day !== day; i++) {
+      candidate = addDays(candidate, 1);
+    }
+
+    result.push(candidate);
+    previous = candidate;
+  }
+
+  return result;
+};
+
+/**
+ * Read a full date from a date button attribute (data-date, aria-label...)
+ * @param {string} value - Attribute value
+ * @returns {string|null} ISO date, or null if it doesn't hold a full date
+ */
+const parseDateAttribute = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const iso = value.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return toIsoDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  // Labels like "Saturday, August 17, 2026"
+  const parsed = new Date(`${value} 12:00 UTC`);
+  if (!isNaN(parsed) && /\d{4}/.test(value)) {
+    return toIsoDate(
+      parsed.getUTCFullYear(),
+      parsed.getUTCMonth() + 1,
+      parsed.getUTCDate()
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Format a date for log messages
+ * @param {string} isoDate - ISO date
+ * @returns {string} e.g. "Sat 2026-08-17"
+ */
+const describeDate = (isoDate) =>
+  `${WEEKDAYS[dayOfWeek(isoDate)]
+    .slice(0, 3)
+    .replace(/^./, (c) => c.toUpperCase())} ${isoDate}`;
+
+module.exports = {
+  TIMEZONE,
+  WEEKDAYS,
+  today,
+  timeOfDay,
+  instantAt,
+  addDays,
+  daysBetween,
+  dayOfWeek,
+  resolveDate,
+  parseWeekdays,
+  isAllowedDay,
+  buildDateCandidates,
+  datesFromDayNumbers,
+  parseDateAttribute,
+  describeDate,
+};
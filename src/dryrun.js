@@ -0,0 +1,39 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+/**
+ * Dry-run reports for the Buntzen Lake parking bot
+ * A dry run goes through every booking step up to the checkout click,
+ * then saves what it would have bought (the cart), the screenshots it took
+ * and how long each step took, one JSON file per run
+ */
+
+/**
+ * Get the directory that holds dry-run reports
+ * @returns {string} Reports directory
+ */
+const dryRunsDir = () => path.join(config.dataDir, "dry-runs");
+
+/**
+ * Save a dry-run report
+ * @param {Object} report - Report from BuntzenLakeBot.buildDryRunReport()
+ * @returns {string} Path to the report file
+ */
+const saveDryRunReport = (report) => {
+  const stamp = report.startedAt.replace(/[:.]/g, "-");
+  const file = path.join(dryRunsDir(), `${stamp}_${report.profile}.json`);
+  fs.mkdirSync(dryRunsDir(), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(report, null, 2)}\n`);
+  return file;
+};
+
+/**
+ * Total time of the steps in a report
+ * @param {Array<Object>} timings - Step timings ({ ms })
+ * @returns {number} Milliseconds
+ */
+const totalMs = (timings) =>
+  timings.reduce((sum, timing) => sum + (timing.ms || 0), 0);
+
+module.exports = { dryRunsDir, saveDryRunReport, totalMs };
@@ -0,0 +1,170 @@
+/**
+ * Error types for the Buntzen Lake parking bot
+ * Each kind of failure has its own class, so the retry policy can decide
+ * what to do about it and the CLI can exit with a code scripts can check.
+ * Errors thrown by Puppeteer or Node (timeouts, net::ERR_*) are mapped onto
+ * these classes by classifyError().
+ */
+
+/**
+ * Base class for the bot's errors
+ */
+class BotError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} details - Extra fields kept on the error (e.g. { date });
+   *   `retryable: false` makes the retry policy give up on it
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Nothing left to book: the date or time slot is sold out
+ * details: { date } when a single date sold out
+ */
+class SoldOutError extends BotError {}
+
+/**
+ * The portal wants a login the bot can't complete
+ */
+class LoginRequiredError extends BotError {}
+
+/**
+ * No usable verification code arrived in time
+ */
+class OtpTimeoutError extends BotError {}
+
+/**
+ * An element the bot needs didn't show up (slow page or changed markup)
+ * details: { selector } with the registry name, when known
+ */
+class SelectorMissingError extends BotError {}
+
+/**
+ * The portal couldn't be reached or stopped responding
+ */
+class NetworkError extends BotError {}
+
+/**
+ * The portal showed something the bot doesn't understand
+ */
+class PortalChangedError extends BotError {}
+
+/**
+ * The payment didn't go through, or the bot refused to pay it
+ * details: { amount, maxCharge } when the charge was checked
+ */
+class PaymentDeclinedError extends BotError {}
+
+/**
+ * Another run is already booking for the profile
+ * details: { profileName, lock } with the other run's lock, when known
+ */
+class ProfileLockedError extends BotError {
+  /**
+   * @param {string} profileName - Profile name
+   * @param {Object} lock - Lock held by the other run ({ pid, owner })
+   */
+  constructor(profileName, lock) {
+    super(
+      `Profile ${profileName} is already being booked${
+        lock ? ` by ${lock.owner} (pid ${lock.pid})` : ""
+      }`,
+      { profileName, lock }
+    );
+  }
+}
+
+/**
+ * The vehicle already has a pass for the date being booked
+ * details: { booking, source } with the existing booking and where it was found
+ */
+class DuplicateBookingError extends BotError {
+  /**
+   * @param {Object} booking - Existing booking ({ date, plate, orderNumber })
+   * @param {string} source - Where it was found
+   */
+  constructor(booking, source) {
+    super(
+      `${booking.plate} already has a pass for ${booking.date} (${source}${
+        booking.orderNumber ? `, order ${booking.orderNumber}` : ""
+      })`,
+      { booking, source }
+    );
+  }
+}
+
+/**
+ * Exit codes per error class; anything else exits with 1
+ */
+const EXIT_CODES = {
+  SoldOutError: 10,
+  LoginRequiredError: 11,
+  OtpTimeoutError: 12,
+  SelectorMissingError: 13,
+  NetworkError: 14,
+  PortalChangedError: 15,
+  PaymentDeclinedError: 16,
+  ProfileLockedError: 17,
+  DuplicateBookingError: 18,
+};
+
+/**
+ * Turn any error into one of the bot's error classes where possible
+ * @param {Error} error - Error thrown by a step
+ * @returns {Error} A BotError, or the original error if it can't be told apart
+ */
+const classifyError = (error) => {
+  if (!error || error instanceof BotError) {
+    return error;
+  }
+
+  const message = error.message || "";
+  const details = { cause: error };
+  if (
+    /net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|socket hang up|Navigation timeout/i.test(
+      message
+    )
+  ) {
+    return new NetworkError(message, details);
+  }
+  if (error.name === "TimeoutError") {
+    return new SelectorMissingError(message, details);
+  }
+  if (
+    /sold out|not available|no available|no time slot available/i.test(message)
+  ) {
+    return new SoldOutError(message, details);
+  }
+  return error;
+};
+
+/**
+ * Get the process exit code for an error
+ * @param {Error} error - Error that ended the run
+ * @returns {number} Exit code
+ */
+const exitCodeFor = (error) => {
+  const classified = classifyError(error);
+  return (classified && EXIT_CODES[classified.name]) || 1;
+};
+
+module.exports = {
+  BotError,
+  SoldOutError,
+  LoginRequiredError,
+  OtpTimeoutError,
+  SelectorMissingError,
+  NetworkError,
+  PortalChangedError,
+  PaymentDeclinedError,
+  ProfileLockedError,
+  DuplicateBookingError,
+  EXIT_CODES,
+  classifyError,
+  exitCodeFor,
+};
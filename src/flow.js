@@ -0,0 +1,273 @@
+const config = require("./config");
+const logger = require("./logger");
+const utils = require("./utils");
+const session = require("./session");
+const {
+  LoginRequiredError,
+  PortalChangedError,
+  DuplicateBookingError,
+} = require("./errors");
+
+/**
+ * Booking state machine for the Buntzen Lake parking bot
+ * Instead of assuming the portal always shows its steps in the same order,
+ * each step looks at which screen is showing, runs the handler for it and
+ * looks again, until the booking is checked out
+ */
+
+const SCREENS = {
+  INFO_POPUP: "info_popup",
+  PASS_LIST: "pass_list",
+  LOGIN: "login",
+  OTP: "otp",
+  VEHICLE_SELECT: "vehicle_select",
+  DATE_PICKER: "date_picker",
+  CART: "cart",
+  CONFIRMATION: "confirmation",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Elements that identify each screen
+ * When several are visible at once (the cart slides in over the pass page)
+ * pickScreen decides which one is in front
+ */
+const MARKERS = {
+  confirmation: config.selectors.confirmation,
+  otp: config.selectors.otpInputs,
+  login: `${config.selectors.phoneInput}, ${config.selectors.loginForm}`,
+  vehiclePopup: config.selectors.vehicleSelect,
+  vehicleSelector: config.selectors.vehicleSelector,
+  cart: config.selectors.checkoutBtn,
+  infoPopup: config.selectors.infoPopup,
+  datePicker: config.selectors.dateMain,
+  passList: config.selectors.passCard,
+};
+
+/**
+ * Check which screen markers are visible on the page
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<Object>} Marker name -> visible
+ */
+const detectMarkers = (page) =>
+  page.evaluate((markers) => {
+    const isVisible = (el) => {
+      const style = window.getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      return (
+        style.display !== "none" &&
+        style.visibility !== "hidden" &&
+        rect.width > 0 &&
+        rect.height > 0
+      );
+    };
+
+    const visible = {};
+    for (const [name, selector] of Object.entries(markers)) {
+      visible[name] = Array.from(document.querySelectorAll(selector)).some(
+        isVisible
+      );
+    }
+    return visible;
+  }, MARKERS);
+
+/**
+ * Decide which screen is showing from the visible markers
+ * @param {Object} visible - Result of detectMarkers
+ * @param {Object} state - Flow state ({ vehicleSelected })
+ * @returns {string} One of SCREENS
+ */
+const pickScreen = (visible, state = {}) => {
+  if (visible.confirmation) {
+    return SCREENS.CONFIRMATION;
+  }
+  if (visible.otp) {
+    return SCREENS.OTP;
+  }
+  if (visible.login) {
+    return SCREENS.LOGIN;
+  }
+  if (visible.vehiclePopup) {
+    return SCREENS.VEHICLE_SELECT;
+  }
+  if (visible.cart) {
+    return SCREENS.CART;
+  }
+  if (visible.infoPopup) {
+    return SCREENS.INFO_POPUP;
+  }
+  // Signed in: the pass page asks for a vehicle before the date
+  if (visible.vehicleSelector && !state.vehicleSelected) {
+    return SCREENS.VEHICLE_SELECT;
+  }
+  if (visible.datePicker) {
+    return SCREENS.DATE_PICKER;
+  }
+  if (visible.passList) {
+    return SCREENS.PASS_LIST;
+  }
+  return SCREENS.UNKNOWN;
+};
+
+/**
+ * Drives a BuntzenLakeBot from whatever screen it is on to a checked-out
+ * booking
+ */
+class BookingFlow {
+  /**
+   * @param {Object} bot - BuntzenLakeBot with an open page
+   * @param {Object} options - { maxSteps, maxVisits }
+   */
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.maxSteps = options.maxSteps || config.flowMaxSteps;
+    this.maxVisits = options.maxVisits || config.flowMaxVisits;
+    this.state = {
+      vehicleSelected: false,
+      checkedOut: false,
+    };
+    this.visible = {};
+    this.visits = new Map();
+    this.history = [];
+  }
+
+  /**
+   * Work out which screen the page is on
+   * @returns {Promise<string>} One of SCREENS
+   */
+  async detectScreen() {
+    this.visible = await detectMarkers(this.bot.page);
+    return pickScreen(this.visible, this.state);
+  }
+
+  /**
+   * Run handlers until the booking is checked out
+   * @returns {Promise<Array<string>>} Screens visited, in order
+   */
+  async run() {
+    for (let step = 1; step <= this.maxSteps; step++) {
+      const screen = await this.detectScreen();
+      this.history.push(screen);
+
+      const visits = (this.visits.get(screen) || 0) + 1;
+      this.visits.set(screen, visits);
+      logger.logStep(`Booking flow step ${step}: ${screen} screen`);
+
+      // The same screen coming back again and again means a handler isn't
+      // getting anywhere
+      if (visits > this.maxVisits) {
+        await utils.takeScreenshot(this.bot.page, `flow_loop_${screen}`);
+        // Login screens that keep coming back mean the login isn't sticking
+        const StuckError = [SCREENS.LOGIN, SCREENS.OTP].includes(screen)
+          ? LoginRequiredError
+          : PortalChangedError;
+        throw new StuckError(
+          `Booking flow stuck on the ${screen} screen (${this.history.join(
+            " → "
+          )})`
+        );
+      }
+
+      const done = await this.bot.timeStep(screen, () => this.handle(screen));
+      if (done) {
+        logger.logCompletion(`Booking flow: ${this.history.join(" → ")}`);
+        return this.history;
+      }
+    }
+
+    await utils.takeScreenshot(this.bot.page, "flow_too_many_steps");
+    throw new PortalChangedError(
+      `Booking flow did not finish after ${
+        this.maxSteps
+      } steps (${this.history.join(" → ")})`
+    );
+  }
+
+  /**
+   * Run the handler for a screen
+   * @param {string} screen - One of SCREENS
+   * @returns {Promise<boolean>} True when the booking is finished
+   */
+  async handle(screen) {
+    const { bot } = this;
+
+    switch (screen) {
+      case SCREENS.INFO_POPUP:
+        await bot.handleInfoPopup();
+        return false;
+
+      case SCREENS.PASS_LIST:
+        await bot.selectPassType();
+        return false;
+
+      case SCREENS.LOGIN:
+        if (bot.sessionRestored) {
+          logger.logWarning(
+            `Saved session for ${bot.profile.name} has expired, logging in again`
+          );
+          session.clearSession(bot.profile.name);
+          bot.sessionRestored = false;
+        }
+        await bot.handleLogin();
+        await bot.persistSession();
+        // The portal reloads the pass page after login
+        this.state.vehicleSelected = false;
+        return false;
+
+      case SCREENS.OTP:
+        await bot.handleOTPVerification();
+        this.state.vehicleSelected = false;
+        return false;
+
+      case SCREENS.VEHICLE_SELECT:
+        await bot.selectVehicle(this.visible.vehiclePopup);
+        this.state.vehicleSelected = true;
+        return false;
+
+      case SCREENS.DATE_PICKER:
+        await bot.selectDateFromNewPicker();
+        await bot.addToCart();
+        await utils.delay(config.longWaitTime);
+        return false;
+
+      case SCREENS.CART:
+        await bot.persistSession();
+        // The pass may have gone into the cart before login, when My Passes
+        // couldn't be read yet; a cart is only checked out signed in
+        try {
+          await bot.checkNotBookedAlready({ signedIn: true });
+        } catch (error) {
+          if (error instanceof DuplicateBookingError) {
+            await bot.emptyCart();
+          }
+          throw error;
+        }
+        if (bot.dryRun) {
+          // Everything up to here was real; stop before paying
+          await bot.finishDryRun();
+          return true;
+        }
+        await bot.completeCheckout();
+        this.state.checkedOut = true;
+        return true;
+
+      case SCREENS.CONFIRMATION:
+        logger.logSuccess("Booking confirmation is showing");
+        // Landed here without our checkout click: still keep the receipt,
+        // so the booking is in the ledger
+        if (!this.state.checkedOut) {
+          await bot.recordReceipt();
+          this.state.checkedOut = true;
+        }
+        return true;
+
+      default:
+        // Probably still loading
+        await utils.takeScreenshot(bot.page, "flow_unknown_screen");
+        await utils.delay(config.longWaitTime);
+        return false;
+    }
+  }
+}
+
+module.exports = { SCREENS, detectMarkers, pickScreen, BookingFlow };
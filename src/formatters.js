@@ -0,0 +1,77 @@
+/**
+ * Output formatters for CLI reports (table, JSON, CSV)
+ */
+
+const FORMATS = ["table", "json", "csv"];
+
+/**
+ * Turn a cell value into display text
+ * @param {any} value - Cell value
+ * @returns {string} Text
+ */
+const cellText = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+/**
+ * Format rows as a plain-text table
+ * @param {Array<Object>} rows - Rows to print
+ * @param {Array<string>} columns - Keys to print, in order
+ * @returns {string} Table text
+ */
+const formatTable = (rows, columns) => {
+  const widths = columns.map((column) =>
+    Math.max(column.length, ...rows.map((row) => cellText(row[column]).length))
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, index) => cellText(cell).padEnd(widths[index]))
+      .join("  ")
+      .trimEnd();
+
+  return [
+    line(columns),
+    line(widths.map((width) => "-".repeat(width))),
+    ...rows.map((row) => line(columns.map((column) => row[column]))),
+  ].join("\n");
+};
+
+/**
+ * Format rows as CSV (RFC 4180 quoting)
+ * @param {Array<Object>} rows - Rows to print
+ * @param {Array<string>} columns - Keys to print, in order
+ * @returns {string} CSV text
+ */
+const formatCsv = (rows, columns) => {
+  const quote = (value) => {
+    const text = cellText(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => quote(row[column])).join(",")),
+  ].join("\n");
+};
+
+/**
+ * Format rows in the requested output format
+ * @param {Array<Object>} rows - Rows to print
+ * @param {Array<string>} columns - Keys to print, in order
+ * @param {string} format - table, json or csv
+ * @returns {string} Formatted output
+ */
+const formatRows = (rows, columns, format = "table") => {
+  switch (format) {
+    case "json":
+      return JSON.stringify(rows, null, 2);
+    case "csv":
+      return formatCsv(rows, columns);
+    case "table":
+      return formatTable(rows, columns);
+    default:
+      throw new Error(
+        `Unknown format: ${format} (expected ${FORMATS.join(", ")})`
+      );
+  }
+};
+
+module.exports = { FORMATS, formatTable, formatCsv, formatRows };
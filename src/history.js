@@ -0,0 +1,249 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const dates = require("./dates");
+
+/**
+ * Availability history for the Buntzen Lake parking bot
+ * Every availability check appends one JSON line per pass type and date,
+ * so later reports can show when passes sell out and when cancellations
+ * free them up again
+ */
+
+/**
+ * Get the path of the history file
+ * @returns {string} Path to the JSON-lines history file
+ */
+const historyFile = () => path.join(config.dataDir, "availability.jsonl");
+
+/**
+ * Append the result of an availability check to the history
+ * @param {Array<Object>} passes - Result of BuntzenLakeBot.getAvailability()
+ * @param {Date} checkedAt - When the check ran
+ * @param {string} file - History file
+ * @returns {number} Number of records written
+ */
+const recordAvailability = (
+  passes,
+  checkedAt = new Date(),
+  file = historyFile()
+) => {
+  const lines = [];
+  for (const pass of passes) {
+    for (const entry of pass.dates) {
+      lines.push(
+        JSON.stringify({
+          checkedAt: checkedAt.toISOString(),
+          passType: pass.passType,
+          productId: pass.productId,
+          date: entry.date,
+          status: entry.status,
+          remaining: entry.remaining,
+        })
+      );
+    }
+  }
+
+  if (lines.length > 0) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${lines.join("\n")}\n`);
+  }
+  return lines.length;
+};
+
+/**
+ * Read history records, optionally filtered
+ * @param {Object} filters - { passType (substring), date (ISO) }
+ * @param {string} file - History file
+ * @returns {Array<Object>} Records, oldest first
+ */
+const readHistory = (filters = {}, file = historyFile()) => {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const passType = filters.passType && filters.passType.toLowerCase();
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line))
+    .filter(
+      (record) =>
+        (!passType || record.passType.toLowerCase().includes(passType)) &&
+        (!filters.date || record.date === filters.date)
+    )
+    .sort((a, b) => a.checkedAt.localeCompare(b.checkedAt));
+};
+
+/**
+ * Follow the status of each pass type and date through the history
+ * @param {Array<Object>} records - History records, oldest first
+ * @returns {Array<Object>} One summary per pass type and date
+ */
+const summariseDays = (records) => {
+  const firstCheck = records.length ? records[0].checkedAt : null;
+  const days = new Map();
+
+  for (const record of records) {
+    const key = `${record.passType}|${record.date}`;
+    if (!days.has(key)) {
+      days.set(key, {
+        passType: record.passType,
+        date: record.date,
+        checks: 0,
+        // Dates already listed on the very first check weren't seen being released
+        firstSeenAt: record.checkedAt === firstCheck ? null : record.checkedAt,
+        soldOutAt: null,
+        cancellations: [],
+        lastStatus: null,
+      });
+    }
+
+    const day = days.get(key);
+    if (day.lastStatus === "available" && record.status === "sold_out") {
+      day.soldOutAt = day.soldOutAt || record.checkedAt;
+    }
+    if (day.lastStatus === "sold_out" && record.status === "available") {
+      day.cancellations.push(record.checkedAt);
+    }
+    day.checks++;
+    day.lastStatus = record.status;
+  }
+
+  return Array.from(days.values());
+};
+
+// How long before the usual sell-out time the backup run goes
+const SELL_OUT_MARGIN_MINUTES = 30;
+
+/**
+ * Format minutes after midnight as a time of day
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time in HH:MM format
+ */
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(
+    minutes % 60
+  ).padStart(2, "0")}`;
+
+/**
+ * Median time of day (Vancouver) of a list of instants
+ * @param {Array<string>} instants - ISO timestamps
+ * @returns {string|null} Time in HH:MM format
+ */
+const medianTimeOfDay = (instants) => {
+  if (instants.length === 0) {
+    return null;
+  }
+  const minutes = instants
+    .map((instant) => {
+      const [hour, minute] = dates.timeOfDay(new Date(instant)).split(":");
+      return Number(hour) * 60 + Number(minute);
+    })
+    .sort((a, b) => a - b);
+  return formatMinutes(minutes[Math.floor(minutes.length / 2)]);
+};
+
+/**
+ * Move a time of day earlier, stopping at midnight
+ * @param {string} time - Time in HH:MM format
+ * @param {number} minutes - Minutes to move it back
+ * @returns {string} Time in HH:MM format
+ */
+const minutesBefore = (time, minutes) => {
+  const [hour, minute] = time.split(":").map(Number);
+  return formatMinutes(Math.max(hour * 60 + minute - minutes, 0));
+};
+
+/**
+ * Build a daily cron expression for a time of day
+ * @param {string} time - Time in HH:MM format
+ * @returns {string} Cron expression
+ */
+const dailyCron = (time) => {
+  const [hour, minute] = time.split(":");
+  return `${minute} ${hour} * * *`;
+};
+
+/**
+ * Build a trend report from the history
+ * @param {Array<Object>} records - History records, oldest first
+ * @returns {Object} { days, releaseTime, sellOutTime, sellOutLeadDays, cancellationHours, suggestedSchedule }
+ */
+const buildReport = (records) => {
+  const days = summariseDays(records);
+
+  const released = days.filter((day) => day.firstSeenAt);
+  const soldOut = days.filter((day) => day.soldOutAt);
+
+  const leadDays = soldOut
+    .map((day) =>
+      dates.daysBetween(dates.today(new Date(day.soldOutAt)), day.date)
+    )
+    .sort((a, b) => a - b);
+
+  const hours = new Map();
+  for (const day of days) {
+    for (const instant of day.cancellations) {
+      const hour = dates.timeOfDay(new Date(instant)).slice(0, 2);
+      hours.set(hour, (hours.get(hour) || 0) + 1);
+    }
+  }
+  const cancellationHours = Array.from(hours.entries())
+    .map(([hour, count]) => ({ hour: `${hour}:00`, count }))
+    .sort((a, b) => b.count - a.count);
+
+  const releaseTime = medianTimeOfDay(released.map((day) => day.firstSeenAt));
+  const sellOutTime = medianTimeOfDay(soldOut.map((day) => day.soldOutAt));
+
+  // Book at release, with a backup run SELL_OUT_MARGIN_MINUTES before
+  // passes usually run out (skipped when that's no later than the release)
+  const backupTime =
+    sellOutTime && minutesBefore(sellOutTime, SELL_OUT_MARGIN_MINUTES);
+  const suggestedSchedule = [];
+  if (releaseTime) {
+    suggestedSchedule.push({
+      jobName: "release_booking",
+      time: releaseTime,
+      cronExpression: dailyCron(releaseTime),
+    });
+  }
+  if (backupTime && (!releaseTime || backupTime > releaseTime)) {
+    suggestedSchedule.push({
+      jobName: "before_sell_out_booking",
+      time: backupTime,
+      cronExpression: dailyCron(backupTime),
+    });
+  }
+  for (const { hour } of cancellationHours.slice(0, 2)) {
+    suggestedSchedule.push({
+      jobName: `cancellation_booking_${hour.slice(0, 2)}`,
+      time: hour,
+      cronExpression: `*/10 ${hour.slice(0, 2)} * * *`,
+    });
+  }
+
+  return {
+    records: records.length,
+    days: days.map((day) => ({
+      ...day,
+      cancellations: day.cancellations.length,
+    })),
+    releaseTime,
+    sellOutTime,
+    sellOutLeadDays: leadDays.length
+      ? leadDays[Math.floor(leadDays.length / 2)]
+      : null,
+    cancellationHours,
+    suggestedSchedule,
+  };
+};
+
+module.exports = {
+  historyFile,
+  recordAvailability,
+  readHistory,
+  summariseDays,
+  buildReport,
+};
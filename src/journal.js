@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("./config");
+
+/**
+ * Run journal for the Buntzen Lake parking bot
+ * Every booking run gets a run ID and writes structured events (steps and
+ * their durations, selectors chosen, retries, screenshots, warnings, errors
+ * and the outcome) to data/runs/<runId>/journal.jsonl, one JSON object per
+ * line. The current run is tracked with AsyncLocalStorage, so bots running
+ * side by side each write to their own journal and code that logs doesn't
+ * need to be handed a run ID.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Get the directory that holds one folder per run
+ * @returns {string} Runs directory
+ */
+const runsDir = () => path.join(config.dataDir, "runs");
+
+/**
+ * Get a run's folder, which holds its journal and other artifacts
+ * @param {string} runId - Run ID
+ * @returns {string} Run directory
+ */
+const runDir = (runId) => path.join(runsDir(), runId);
+
+/**
+ * Build the journal path for a run
+ * @param {string} runId - Run ID
+ * @returns {string} Journal file path
+ */
+const journalPath = (runId) => path.join(runDir(runId), "journal.jsonl");
+
+/**
+ * Make a run ID that sorts by start time, e.g. 20261019-080002-3fa1
+ * @param {Date} now - Start time
+ * @returns {string} Run ID
+ */
+const newRunId = (now = new Date()) =>
+  `${now
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace("T", "-")
+    .slice(0, 15)}-${crypto.randomBytes(2).toString("hex")}`;
+
+/**
+ * Describe an error for the journal
+ * @param {Error} error - Error to describe
+ * @returns {Object|null} { class, message }
+ */
+const describeError = (error) =>
+  error
+    ? {
+        class: error.name || (error.constructor && error.constructor.name),
+        message: error.message,
+      }
+    : null;
+
+/**
+ * Get the run the calling code belongs to
+ * @returns {Object|null} { id, file, startedAt, ... }, or null outside a run
+ */
+const currentRun = () => storage.getStore() || null;
+
+/**
+ * Append an event to the current run's journal
+ * Does nothing outside a run, and never throws: the journal mustn't stop
+ * a booking
+ * @param {string} type - Event type (step, step_end, selector, retry, ...)
+ * @param {Object} data - Event fields
+ */
+const record = (type, data = {}) => {
+  const run = currentRun();
+  if (!run) {
+    return;
+  }
+
+  const now = Date.now();
+  if (type === "screenshot" && data.path) {
+    run.lastScreenshot = data.path;
+  }
+  try {
+    fs.appendFileSync(
+      run.file,
+      `${JSON.stringify({
+        at: new Date(now).toISOString(),
+        runId: run.id,
+        type,
+        elapsedMs: now - run.startedAt,
+        ...data,
+      })}\n`
+    );
+  } catch (error) {
+    // Out of disk or a removed folder: carry on without the journal
+  }
+};
+
+/**
+ * Run a function as a journaled run
+ * The function can set `run.outcome` (e.g. "booked", "already_booked") and
+ * `run.error` for a failure it handled itself; otherwise the outcome is
+ * "success", or "failed" when the function throws.
+ * @param {Object} meta - Run details: { kind, profile, ... }
+ * @param {Function} fn - async (run) => result
+ * @returns {Promise<any>} The function's result
+ */
+const withRun = (meta, fn) => {
+  const startedAt = Date.now();
+  const id = newRunId(new Date(startedAt));
+  const run = {
+    id,
+    file: journalPath(id),
+    startedAt,
+    lastStepAt: startedAt,
+    lastScreenshot: null,
+    selectors: {},
+    outcome: null,
+    error: null,
+  };
+  fs.mkdirSync(path.dirname(run.file), { recursive: true });
+
+  const end = (outcome, error) =>
+    record("run_end", {
+      outcome,
+      ms: Date.now() - startedAt,
+      error: describeError(error),
+      screenshot: error ? run.lastScreenshot : null,
+    });
+
+  return storage.run(run, async () => {
+    record("run_start", { pid: process.pid, ...meta });
+    try {
+      const result = await fn(run);
+      end(run.outcome || "success", run.error);
+      return result;
+    } catch (error) {
+      end(run.outcome || "failed", error);
+      throw error;
+    }
+  });
+};
+
+/**
+ * Note a step that started (from logger.logStep)
+ * @param {string} message - Step description
+ */
+const stepStarted = (message) => {
+  const run = currentRun();
+  if (run) {
+    run.lastStepAt = Date.now();
+    record("step", { message });
+  }
+};
+
+/**
+ * Note a step that finished (from logger.logCompletion)
+ * @param {string} message - Completion message
+ */
+const stepCompleted = (message) => {
+  const run = currentRun();
+  if (run) {
+    record("step_completed", { message, ms: Date.now() - run.lastStepAt });
+  }
+};
+
+/**
+ * Note which link of a selector's fallback chain matched
+ * Only a first match or a change is recorded, so polling doesn't flood
+ * the journal
+ * @param {Object} match - Result of selectors.find()
+ */
+const selectorMatched = (match) => {
+  const run = currentRun();
+  if (run && run.selectors[match.name] !== match.link) {
+    run.selectors[match.name] = match.link;
+    record("selector", {
+      name: match.name,
+      link: match.link,
+      fallback: match.fallback,
+    });
+  }
+};
+
+/**
+ * Find the run a run ID or prefix refers to
+ * @param {string} runId - Run ID, or a unique prefix of one
+ * @returns {string} Full run ID
+ */
+const resolveRunId = (runId) => {
+  const matches = fs.existsSync(runsDir())
+    ? fs.readdirSync(runsDir()).filter((name) => name.startsWith(runId))
+    : [];
+  if (matches.length === 0) {
+    throw new Error(`No run ${runId} in ${runsDir()}`);
+  }
+  if (matches.length > 1 && !matches.includes(runId)) {
+    throw new Error(`${runId} matches ${matches.length} runs, give more of it`);
+  }
+
+  return matches.includes(runId) ? runId : matches[0];
+};
+
+/**
+ * Read one run's events
+ * @param {string} runId - Run ID, or a unique prefix of one
+ * @returns {Array<Object>} Events in the order they happened
+ */
+const readRun = (runId) => {
+  const file = journalPath(resolveRunId(runId));
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+};
+
+/**
+ * Summarize the saved runs
+ * @param {Object} filters - { profile, kind, limit }
+ * @returns {Array<Object>} { runId, kind, profile, startedAt, outcome, ms,
+ *   steps, retries, error }, most recent first
+ */
+const listRuns = (filters = {}) => {
+  if (!fs.existsSync(runsDir())) {
+    return [];
+  }
+
+  const runs = fs
+    .readdirSync(runsDir())
+    .map((runId) => {
+      const events = readRun(runId);
+      const start = events.find((event) => event.type === "run_start") || {};
+      const end = events.find((event) => event.type === "run_end");
+      return {
+        runId,
+        kind: start.kind || null,
+        profile: start.profile || null,
+        startedAt: start.at || null,
+        // A run with no end is still going, or its process died
+        outcome: end ? end.outcome : "unfinished",
+        ms: end ? end.ms : null,
+        steps: events.filter((event) => event.type === "step_end").length,
+        retries: events.filter((event) => event.type === "retry").length,
+        error:
+          end && end.error ? `${end.error.class}: ${end.error.message}` : "",
+      };
+    })
+    .filter(
+      (run) =>
+        (!filters.profile || run.profile === filters.profile) &&
+        (!filters.kind || run.kind === filters.kind)
+    )
+    .sort((a, b) =>
+      `${b.startedAt}${b.runId}`.localeCompare(`${a.startedAt}${a.runId}`)
+    );
+
+  return filters.limit ? runs.slice(0, filters.limit) : runs;
+};
+
+module.exports = {
+  runsDir,
+  runDir,
+  journalPath,
+  newRunId,
+  describeError,
+  currentRun,
+  record,
+  withRun,
+  stepStarted,
+  stepCompleted,
+  selectorMatched,
+  resolveRunId,
+  readRun,
+  listRuns,
+};
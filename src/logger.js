@@ -1,5 +1,6 @@
 const winston = require("winston");
 const config = require("./config");
+const journal = require("./journal");
 
 // Create custom format
 const customFormat = winston.format.combine(
@@ -45,9 +46,11 @@ logger.logSuccess = (message) => {
 
 logger.logWarning = (message) => {
   logger.warn(`⚠️ ${message}`);
+  journal.record("warning", { message });
 };
 
 logger.logError = (message, error = null) => {
+  journal.record("error", { message, error: journal.describeError(error) });
   if (error) {
     logger.error(`${message}: ${error.message}`, error);
   } else {
@@ -55,12 +58,15 @@ logger.logError = (message, error = null) => {
   }
 };
 
+// Steps and completions also go to the run journal
 logger.logStep = (step, details = "") => {
   logger.info(`🔄 ${step}${details ? ` - ${details}` : ""}`);
+  journal.stepStarted(details ? `${step} - ${details}` : step);
 };
 
 logger.logCompletion = (step) => {
   logger.info(`✅ Completed: ${step}`);
+  journal.stepCompleted(step);
 };
 
 logger.logInfo = (message) => {
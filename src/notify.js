@@ -0,0 +1,499 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const { execFile } = require("child_process");
+const logger = require("./logger");
+const config = require("./config");
+
+/**
+ * Booking outcome notifications
+ * Each profile picks the channels it is told through (notify.channels) and
+ * the events it cares about (notify.events):
+ *
+ *   email    SMTP email, with the receipt PDF or error screenshot attached
+ *   webhook  Slack, Discord or Microsoft Teams incoming webhook, or plain JSON
+ *   push     ntfy or Gotify push notification
+ *   desktop  notification on the machine running the bot
+ *
+ * A channel given by name takes its settings from the NOTIFY_* / SMTP_*
+ * environment variables; an object ({ "type": "webhook", "url": ... })
+ * overrides them. A channel that fails to send is logged and skipped, it
+ * never fails the booking.
+ */
+
+const EVENTS = {
+  BOOKED: "booked",
+  SOLD_OUT: "sold_out",
+  OTP_NEEDED: "otp_needed",
+  FAILED: "failed",
+};
+
+const TITLES = {
+  booked: "✅ Parking pass booked",
+  sold_out: "🚫 Sold out",
+  otp_needed: "📱 Verification code needed",
+  failed: "❌ Booking failed",
+};
+
+/**
+ * Send an HTTP request
+ * @param {string} url - Request URL
+ * @param {Object} options - { method, headers, body }
+ * @returns {Promise<string>} Response body, for 2xx responses
+ */
+const request = (url, options = {}) =>
+  new Promise((resolve, reject) => {
+    const client = url.startsWith("https:") ? https : http;
+    const req = client.request(
+      url,
+      {
+        method: options.method || "POST",
+        headers: options.headers || {},
+        timeout: config.notifyTimeout,
+      },
+      (res) => {
+        let body = "";
+        res.on("data", (chunk) => {
+          body += chunk;
+        });
+        res.on("end", () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(body);
+          } else {
+            reject(
+              new Error(`HTTP ${res.statusCode}: ${body.slice(0, 200).trim()}`)
+            );
+          }
+        });
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("Request timed out")));
+    req.on("error", reject);
+    if (options.body) {
+      req.write(options.body);
+    }
+    req.end();
+  });
+
+/**
+ * Build the message for an event
+ * @param {string} event - One of EVENTS
+ * @param {Object} details - { profile, receipt, error, screenshot, message }
+ * @returns {Object} { event, title, text, fields: [[label, value]], attachment }
+ */
+const buildMessage = (event, details = {}) => {
+  const fields = [["Profile", details.profile]];
+  let text = details.message || "";
+  let attachment = details.screenshot || null;
+
+  if (details.receipt) {
+    const { receipt } = details;
+    fields.push(
+      ["Order", receipt.orderNumber],
+      ["Pass", receipt.passType],
+      ["Date", receipt.date],
+      ["Time slot", receipt.timeSlot],
+      ["Plate", receipt.plate],
+      ["Amount", receipt.amount]
+    );
+    attachment = receipt.pdf || receipt.screenshot || attachment;
+  }
+  if (details.error) {
+    text = text || details.error.message;
+  }
+
+  return {
+    event,
+    title: TITLES[event] || event,
+    text,
+    fields: fields.filter(([, value]) => value),
+    attachment: attachment && fs.existsSync(attachment) ? attachment : null,
+  };
+};
+
+/**
+ * Render a message as plain text
+ * @param {Object} message - Result of buildMessage()
+ * @returns {string} Text with one "Label: value" line per field
+ */
+const messageText = (message) =>
+  [
+    message.text,
+    ...message.fields.map(([label, value]) => `${label}: ${value}`),
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+/**
+ * Base class for notification channels
+ */
+class NotifyChannel {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Name used in log messages
+   * @returns {string} Channel name
+   */
+  get label() {
+    return this.options.type;
+  }
+
+  /**
+   * Send one message
+   * Channels take the result of buildMessage()
+   */
+  async send() {
+    throw new Error(`${this.constructor.name} can't send messages`);
+  }
+}
+
+/**
+ * Sends email over SMTP, with the attachment attached
+ */
+class EmailChannel extends NotifyChannel {
+  async send(message) {
+    const { host, port, secure, user, password, from, to } = this.options;
+    if (!host || !to) {
+      throw new Error("SMTP_HOST and NOTIFY_EMAIL_TO must be set for email");
+    }
+
+    const nodemailer = require("nodemailer");
+    const transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+    });
+    await transport.sendMail({
+      from: from || user,
+      to,
+      subject: `${message.title} (Buntzen Lake)`,
+      text: messageText(message),
+      attachments: message.attachment
+        ? [
+            {
+              filename: path.basename(message.attachment),
+              path: message.attachment,
+            },
+          ]
+        : [],
+    });
+  }
+}
+
+/**
+ * Posts to an incoming webhook in Slack, Discord, Teams or plain JSON form
+ * Discord gets the attachment uploaded; the others get its path
+ */
+class WebhookChannel extends NotifyChannel {
+  get label() {
+    return `${this.options.format} webhook`;
+  }
+
+  async send(message) {
+    const { url, format } = this.options;
+    if (!url) {
+      throw new Error("NOTIFY_WEBHOOK_URL must be set for webhooks");
+    }
+    const text = messageText(message);
+
+    switch (format) {
+      case "slack":
+        return this.post({
+          text: `*${message.title}*\n${text}`,
+          blocks: [
+            {
+              type: "section",
+              text: { type: "mrkdwn", text: `*${message.title}*\n${text}` },
+            },
+            ...(message.attachment
+              ? [
+                  {
+                    type: "context",
+                    elements: [
+                      { type: "mrkdwn", text: `File: ${message.attachment}` },
+                    ],
+                  },
+                ]
+              : []),
+          ],
+        });
+
+      case "discord":
+        return this.postDiscord(message, text);
+
+      case "teams":
+        return this.post({
+          "@type": "MessageCard",
+          "@context": "https://schema.org/extensions",
+          summary: message.title,
+          title: message.title,
+          text: message.text || message.title,
+          sections: [
+            {
+              facts: [
+                ...message.fields,
+                ...(message.attachment ? [["File", message.attachment]] : []),
+              ].map(([name, value]) => ({ name, value: String(value) })),
+            },
+          ],
+        });
+
+      case "json":
+        return this.post({
+          event: message.event,
+          title: message.title,
+          text: message.text,
+          fields: Object.fromEntries(message.fields),
+          attachment: message.attachment,
+        });
+
+      default:
+        throw new Error(
+          `Unknown webhook format: ${format} (expected slack, discord, teams or json)`
+        );
+    }
+  }
+
+  post(payload) {
+    return request(this.options.url, {
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+  }
+
+  postDiscord(message, text) {
+    const payload = {
+      embeds: [{ title: message.title, description: text }],
+    };
+    if (!message.attachment) {
+      return this.post(payload);
+    }
+
+    const boundary = `----buntzen${Date.now().toString(16)}`;
+    const body = Buffer.concat([
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="payload_json"\r\n` +
+          `Content-Type: application/json\r\n\r\n${JSON.stringify(
+            payload
+          )}\r\n` +
+          `--${boundary}\r\nContent-Disposition: form-data; name="files[0]"; filename="${path.basename(
+            message.attachment
+          )}"\r\nContent-Type: application/octet-stream\r\n\r\n`
+      ),
+      fs.readFileSync(message.attachment),
+      Buffer.from(`\r\n--${boundary}--\r\n`),
+    ]);
+    return request(this.options.url, {
+      headers: {
+        "Content-Type": `multipart/form-data; boundary=${boundary}`,
+        "Content-Length": body.length,
+      },
+      body,
+    });
+  }
+}
+
+/**
+ * Push notification through ntfy (with the attachment) or Gotify
+ */
+class PushChannel extends NotifyChannel {
+  get label() {
+    return this.options.service;
+  }
+
+  async send(message) {
+    const { service, url, topic, token } = this.options;
+    if (!url) {
+      throw new Error("NOTIFY_PUSH_URL must be set for push notifications");
+    }
+    const text = messageText(message);
+    const priority = message.event === EVENTS.BOOKED ? 3 : 4;
+
+    if (service === "gotify") {
+      return request(`${url.replace(/\/$/, "")}/message`, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Gotify-Key": token,
+        },
+        body: JSON.stringify({ title: message.title, message: text, priority }),
+      });
+    }
+    if (service !== "ntfy") {
+      throw new Error(
+        `Unknown push service: ${service} (expected ntfy or gotify)`
+      );
+    }
+    if (!topic) {
+      throw new Error("NOTIFY_PUSH_TOPIC must be set for ntfy");
+    }
+
+    const headers = {
+      // Header values must be plain ASCII
+      Title: message.title.replace(/[^\x20-\x7e]/g, "").trim(),
+      Priority: String(priority),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    };
+    const target = `${url.replace(/\/$/, "")}/${topic}`;
+    if (!message.attachment) {
+      return request(target, { headers, body: text });
+    }
+    return request(target, {
+      method: "PUT",
+      headers: {
+        ...headers,
+        Filename: path.basename(message.attachment),
+        Message: text.replace(/\n/g, "\\n").replace(/[^\x20-\x7e]/g, ""),
+      },
+      body: fs.readFileSync(message.attachment),
+    });
+  }
+}
+
+/**
+ * Notification on the desktop of the machine running the bot
+ * Uses notify-send on Linux, osascript on macOS and PowerShell on Windows
+ */
+class DesktopChannel extends NotifyChannel {
+  async send(message) {
+    const text = messageText(message);
+    const [command, args] = {
+      darwin: [
+        "osascript",
+        [
+          "-e",
+          `display notification ${JSON.stringify(
+            text
+          )} with title ${JSON.stringify(message.title)}`,
+        ],
+      ],
+      win32: [
+        "powershell",
+        [
+          "-NoProfile",
+          "-Command",
+          `Add-Type -AssemblyName System.Windows.Forms; $n = New-Object System.Windows.Forms.NotifyIcon; $n.Icon = [System.Drawing.SystemIcons]::Information; $n.Visible = $true; $n.ShowBalloonTip(10000, '${message.title.replace(
+            /'/g,
+            "''"
+          )}', '${text.replace(/'/g, "''")}', 'Info'); Start-Sleep 10`,
+        ],
+      ],
+    }[process.platform] || ["notify-send", [message.title, text]];
+
+    await new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: config.notifyTimeout }, (error) =>
+        error ? reject(error) : resolve()
+      );
+    });
+  }
+}
+
+const CHANNELS = {
+  email: EmailChannel,
+  webhook: WebhookChannel,
+  push: PushChannel,
+  desktop: DesktopChannel,
+};
+
+/**
+ * Sends booking outcomes to a profile's channels
+ */
+class Notifier {
+  /**
+   * @param {Array<NotifyChannel>} channels - Channels to send to
+   * @param {Array<string>} events - Events to send (empty for all)
+   */
+  constructor(channels = [], events = []) {
+    this.channels = channels;
+    this.events = events;
+  }
+
+  /**
+   * Whether an event is sent at all
+   * @param {string} event - One of EVENTS
+   * @returns {boolean} True if some channel will get it
+   */
+  wants(event) {
+    return (
+      this.channels.length > 0 &&
+      (this.events.length === 0 || this.events.includes(event))
+    );
+  }
+
+  /**
+   * Send an event to every channel
+   * @param {string} event - One of EVENTS
+   * @param {Object} details - See buildMessage()
+   * @returns {Promise<Array<Object>>} { channel, ok, error } per channel
+   */
+  async notify(event, details = {}) {
+    if (!this.wants(event)) {
+      return [];
+    }
+
+    const message = buildMessage(event, details);
+    return Promise.all(
+      this.channels.map(async (channel) => {
+        try {
+          await channel.send(message);
+          logger.logInfo(`Notification sent (${channel.label}): ${event}`);
+          return { channel: channel.label, ok: true, error: null };
+        } catch (error) {
+          logger.logWarning(
+            `Notification failed (${channel.label}): ${error.message}`
+          );
+          return { channel: channel.label, ok: false, error: error.message };
+        }
+      })
+    );
+  }
+}
+
+/**
+ * Create the notifier for a profile
+ * @param {Object} settings - { channels, events }, usually profile.notify
+ * @returns {Notifier} Notifier
+ */
+const createNotifier = (settings = {}) => {
+  const channels = (settings.channels || []).map((entry) => {
+    const options = typeof entry === "string" ? { type: entry } : entry;
+    const Channel = CHANNELS[options.type];
+    if (!Channel) {
+      throw new Error(
+        `Unknown notification channel: ${options.type} (expected ${Object.keys(
+          CHANNELS
+        ).join(", ")})`
+      );
+    }
+    return new Channel({ ...config.notify[options.type], ...options });
+  });
+
+  const events = settings.events || [];
+  for (const event of events) {
+    if (!Object.values(EVENTS).includes(event)) {
+      throw new Error(
+        `Unknown notification event: ${event} (expected ${Object.values(
+          EVENTS
+        ).join(", ")})`
+      );
+    }
+  }
+
+  return new Notifier(channels, events);
+};
+
+module.exports = {
+  EVENTS,
+  NotifyChannel,
+  EmailChannel,
+  WebhookChannel,
+  PushChannel,
+  DesktopChannel,
+  CHANNELS,
+  Notifier,
+  buildMessage,
+  createNotifier,
+};
@@ -0,0 +1,453 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const readline = require("readline");
+const logger = require("./logger");
+const config = require("./config");
+const utils = require("./utils");
+const { OtpTimeoutError } = require("./errors");
+
+/**
+ * One-time verification code (OTP) providers
+ * The portal texts a code to the profile's phone after the phone number is
+ * entered. A provider gets that code to the bot so it can type it in itself:
+ *
+ *   manual  the user types the code into the browser (default)
+ *   file    a file or named pipe the bot watches for the code
+ *   http    a local endpoint an SMS-forwarding phone app can POST to
+ *   imap    a mailbox that SMS messages are forwarded to
+ *   stdin   the code is typed into the terminal
+ */
+
+/**
+ * Pull a verification code out of a message
+ * Prefers a number following the word "code", then any standalone number
+ * of the expected length
+ * @param {string} text - Message text
+ * @param {number} length - Expected number of digits
+ * @returns {string|null} Code, or null if none found
+ */
+const extractCode = (text, length = config.otpLength) => {
+  if (!text) {
+    return null;
+  }
+  const near = String(text).match(
+    new RegExp(
+      `(?:code|verification|otp)\\D{0,40}?(\\d{${length}})(?!\\d)`,
+      "i"
+    )
+  );
+  if (near) {
+    return near[1];
+  }
+  const standalone = String(text).match(
+    new RegExp(`(?<!\\d)(\\d{${length}})(?!\\d)`)
+  );
+  return standalone ? standalone[1] : null;
+};
+
+/**
+ * Base class for OTP providers
+ * Providers are started before the code is requested, so codes that arrive
+ * quickly are not missed, and asked for a code received after a given time
+ */
+class OtpProvider {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Whether the bot should type the code itself
+   * @returns {boolean} False for the manual provider
+   */
+  get automatic() {
+    return true;
+  }
+
+  /**
+   * Start listening for codes
+   */
+  async start() {}
+
+  /**
+   * Wait for a code received after `since`
+   * Providers that deliver codes take { since: Date, timeout: ms }
+   * @returns {Promise<string>} Verification code
+   */
+  async waitForCode() {
+    throw new Error(`${this.constructor.name} does not provide codes`);
+  }
+
+  /**
+   * Stop listening and release resources
+   */
+  async stop() {}
+}
+
+/**
+ * Leaves the code to the user, who types it into the browser
+ */
+class ManualOtpProvider extends OtpProvider {
+  get automatic() {
+    return false;
+  }
+}
+
+/**
+ * Watches a file (or named pipe) for the code
+ * Write the code, or the whole SMS text, to the file
+ */
+class FileOtpProvider extends OtpProvider {
+  constructor(options = {}) {
+    super(options);
+    this.file = options.file || config.otpFile;
+  }
+
+  async start() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    logger.logInfo(`Waiting for verification codes in ${this.file}`);
+  }
+
+  async waitForCode({ since, timeout }) {
+    const deadline = Date.now() + timeout;
+
+    if (fs.existsSync(this.file) && fs.statSync(this.file).isFIFO()) {
+      return this.readPipe(deadline);
+    }
+
+    while (Date.now() < deadline) {
+      if (fs.existsSync(this.file)) {
+        const stats = fs.statSync(this.file);
+        if (stats.mtime >= since) {
+          const code = extractCode(fs.readFileSync(this.file, "utf8"));
+          if (code) {
+            // Clear it so the same code isn't used twice
+            fs.writeFileSync(this.file, "");
+            return code;
+          }
+        }
+      }
+      await utils.delay(1000);
+    }
+
+    throw new OtpTimeoutError(`No verification code written to ${this.file}`);
+  }
+
+  /**
+   * Read lines from a named pipe until one holds a code
+   * @param {number} deadline - Time (ms since epoch) to give up at
+   * @returns {Promise<string>} Verification code
+   */
+  readPipe(deadline) {
+    return new Promise((resolve, reject) => {
+      const stream = fs.createReadStream(this.file, { encoding: "utf8" });
+      const lines = readline.createInterface({ input: stream });
+      const timer = setTimeout(() => {
+        stream.destroy();
+        reject(
+          new OtpTimeoutError(`No verification code written to ${this.file}`)
+        );
+      }, Math.max(0, deadline - Date.now()));
+
+      lines.on("line", (line) => {
+        const code = extractCode(line);
+        if (code) {
+          clearTimeout(timer);
+          stream.destroy();
+          resolve(code);
+        }
+      });
+      stream.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+}
+
+/**
+ * Accepts codes POSTed by an SMS-forwarding phone app
+ * POST /otp with a JSON body ({ "code": "1234" } or { "message": "..." })
+ * or the SMS text as a plain body. Set OTP_HTTP_TOKEN to require
+ * `Authorization: Bearer <token>` (or `?token=<token>`).
+ */
+class HttpOtpProvider extends OtpProvider {
+  constructor(options = {}) {
+    super(options);
+    this.host = options.host || config.otpHttpHost;
+    this.port = options.port || config.otpHttpPort;
+    this.token =
+      options.token !== undefined ? options.token : config.otpHttpToken;
+    this.codes = [];
+    this.waiters = [];
+    this.server = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) =>
+        this.handleRequest(req, res)
+      );
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        logger.logInfo(
+          `Waiting for verification codes on http://${this.host}:${this.port}/otp`
+        );
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Check the request carries the token, compared in constant time
+   * @param {Object} req - HTTP request
+   * @param {URL} url - Parsed request URL
+   * @returns {boolean} True if no token is set or the request has it
+   */
+  isAuthorized(req, url) {
+    if (!this.token) {
+      return true;
+    }
+    const match = /^Bearer (\S+)$/.exec(req.headers.authorization || "");
+    const given = Buffer.from(
+      match ? match[1] : url.searchParams.get("token") || ""
+    );
+    const expected = Buffer.from(String(this.token));
+    return (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    );
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    const authorized = this.isAuthorized(req, url);
+
+    if (req.method !== "POST" || url.pathname !== "/otp") {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!authorized) {
+      res.writeHead(401).end();
+      return;
+    }
+
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      let text = body;
+      try {
+        const parsed = JSON.parse(body);
+        text = parsed.code || parsed.message || parsed.text || body;
+      } catch (error) {
+        // Plain-text body
+      }
+
+      const code = extractCode(String(text));
+      if (!code) {
+        res.writeHead(422, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ ok: false, error: "No code found" }));
+        return;
+      }
+
+      this.receive(code);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  }
+
+  /**
+   * Hand a received code to a waiting caller, or keep it for the next one
+   * @param {string} code - Verification code
+   */
+  receive(code) {
+    logger.logSuccess("Verification code received over HTTP");
+    const receivedAt = new Date();
+    const waiter = this.waiters.find((w) => receivedAt >= w.since);
+    if (waiter) {
+      this.waiters.splice(this.waiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(code);
+    } else {
+      this.codes.push({ code, receivedAt });
+    }
+  }
+
+  waitForCode({ since, timeout }) {
+    const index = this.codes.findIndex((entry) => entry.receivedAt >= since);
+    if (index !== -1) {
+      return Promise.resolve(this.codes.splice(index, 1)[0].code);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { since, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new OtpTimeoutError("No verification code received over HTTP"));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+/**
+ * Reads codes from a mailbox that SMS messages are forwarded to
+ */
+class ImapOtpProvider extends OtpProvider {
+  constructor(options = {}) {
+    super(options);
+    this.settings = { ...config.imap, ...options };
+    this.client = null;
+  }
+
+  async start() {
+    const { ImapFlow } = require("imapflow");
+    const { host, port, secure, user, password } = this.settings;
+    if (!host || !user) {
+      throw new Error(
+        "IMAP_HOST and IMAP_USER must be set for the imap OTP provider"
+      );
+    }
+
+    this.client = new ImapFlow({
+      host,
+      port,
+      secure,
+      auth: { user, pass: password },
+      logger: false,
+    });
+    await this.client.connect();
+    logger.logInfo(`Waiting for verification codes in ${user}@${host}`);
+  }
+
+  async waitForCode({ since, timeout }) {
+    const deadline = Date.now() + timeout;
+    const { mailbox, from, pollInterval } = this.settings;
+
+    while (Date.now() < deadline) {
+      const lock = await this.client.getMailboxLock(mailbox);
+      try {
+        const query = { since };
+        if (from) {
+          query.from = from;
+        }
+        const uids = await this.client.search(query, { uid: true });
+
+        // Newest first, and only messages that arrived after the request
+        for (const uid of uids.reverse()) {
+          const message = await this.client.fetchOne(
+            uid,
+            { source: true, internalDate: true, envelope: true },
+            { uid: true }
+          );
+          if (message.internalDate < since) {
+            continue;
+          }
+          const code = extractCode(
+            `${message.envelope.subject || ""}\n${message.source.toString()}`
+          );
+          if (code) {
+            logger.logSuccess("Verification code found in mailbox");
+            return code;
+          }
+        }
+      } finally {
+        lock.release();
+      }
+      await utils.delay(pollInterval);
+    }
+
+    throw new OtpTimeoutError("No verification code arrived in the mailbox");
+  }
+
+  async stop() {
+    if (this.client) {
+      await this.client.logout().catch(() => {});
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Prompts for the code in the terminal
+ */
+class StdinOtpProvider extends OtpProvider {
+  waitForCode({ timeout }) {
+    return new Promise((resolve, reject) => {
+      const prompt = readline.createInterface({
+        input: process.stdin,
+        output: process.stderr,
+      });
+      const timer = setTimeout(() => {
+        prompt.close();
+        reject(new OtpTimeoutError("No verification code entered"));
+      }, timeout);
+
+      const ask = () => {
+        prompt.question("📱 Enter the verification code: ", (answer) => {
+          const code = extractCode(answer);
+          if (!code) {
+            ask();
+            return;
+          }
+          clearTimeout(timer);
+          prompt.close();
+          resolve(code);
+        });
+      };
+      ask();
+    });
+  }
+}
+
+const PROVIDERS = {
+  manual: ManualOtpProvider,
+  file: FileOtpProvider,
+  http: HttpOtpProvider,
+  imap: ImapOtpProvider,
+  stdin: StdinOtpProvider,
+};
+
+/**
+ * Create the OTP provider for a profile
+ * @param {Object} settings - { provider, ...provider options }, usually profile.otp
+ * @returns {OtpProvider} Provider instance
+ */
+const createOtpProvider = (settings = {}) => {
+  const name = settings.provider || config.otpProvider;
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(
+      `Unknown OTP provider: ${name} (expected ${Object.keys(PROVIDERS).join(
+        ", "
+      )})`
+    );
+  }
+  return new Provider(settings);
+};
+
+module.exports = {
+  OtpProvider,
+  ManualOtpProvider,
+  FileOtpProvider,
+  HttpOtpProvider,
+  ImapOtpProvider,
+  StdinOtpProvider,
+  PROVIDERS,
+  extractCode,
+  createOtpProvider,
+};
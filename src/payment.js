@@ -0,0 +1,253 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("./config");
+const { PaymentDeclinedError } = require("./errors");
+
+/**
+ * Payment card details for paid-season checkouts
+ * The card is read from CARD_* environment variables, or from a local
+ * secrets file encrypted with PAYMENT_SECRETS_KEY (AES-256-GCM, key derived
+ * with scrypt). Card details are only ever typed into the payment form:
+ * errors and log messages refer to the card by its last four digits.
+ */
+
+const ENV_VARS = {
+  number: "CARD_NUMBER",
+  expiry: "CARD_EXPIRY",
+  cvc: "CARD_CVC",
+  name: "CARD_NAME",
+  postalCode: "CARD_POSTAL_CODE",
+};
+
+/**
+ * Derive the file key from the passphrase
+ * @param {string} passphrase - PAYMENT_SECRETS_KEY
+ * @param {Buffer} salt - Salt stored with the file
+ * @returns {Buffer} 32-byte key
+ */
+const deriveKey = (passphrase, salt) => crypto.scryptSync(passphrase, salt, 32);
+
+/**
+ * Encrypt secrets for the secrets file
+ * @param {Object} secrets - Data to encrypt
+ * @param {string} passphrase - PAYMENT_SECRETS_KEY
+ * @returns {Object} { version, salt, iv, tag, data }, base64 encoded
+ */
+const encryptSecrets = (secrets, passphrase) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, salt),
+    iv
+  );
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(secrets), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    version: 1,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+};
+
+/**
+ * Decrypt the contents of a secrets file
+ * @param {Object} blob - Result of encryptSecrets()
+ * @param {string} passphrase - PAYMENT_SECRETS_KEY
+ * @returns {Object} Decrypted secrets
+ */
+const decryptSecrets = (blob, passphrase) => {
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(passphrase, Buffer.from(blob.salt, "base64")),
+      Buffer.from(blob.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(blob.tag, "base64"));
+    return JSON.parse(
+      Buffer.concat([
+        decipher.update(Buffer.from(blob.data, "base64")),
+        decipher.final(),
+      ]).toString("utf8")
+    );
+  } catch (error) {
+    throw new Error(
+      "Could not decrypt the payment secrets file (wrong PAYMENT_SECRETS_KEY?)"
+    );
+  }
+};
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} number - Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+const luhnValid = (number) => {
+  let sum = 0;
+  for (let index = 0; index < number.length; index++) {
+    let digit = Number(number[number.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return number.length >= 12 && sum % 10 === 0;
+};
+
+/**
+ * Tidy and check card details
+ * Error messages name the field that is wrong, never its value
+ * @param {Object} card - { number, expiry, cvc, name, postalCode }
+ * @returns {Object} Card with digits-only number and MM/YY expiry
+ */
+const normalizeCard = (card) => {
+  const number = String(card.number || "").replace(/[\s-]/g, "");
+  if (!/^\d+$/.test(number) || !luhnValid(number)) {
+    throw new Error("The payment card number is not valid");
+  }
+
+  const expiry = String(card.expiry || "").match(
+    /^(\d{1,2})\s*\/\s*(?:20)?(\d{2})$/
+  );
+  if (!expiry || Number(expiry[1]) < 1 || Number(expiry[1]) > 12) {
+    throw new Error("The payment card expiry must look like MM/YY");
+  }
+
+  const cvc = String(card.cvc || "").trim();
+  if (!/^\d{3,4}$/.test(cvc)) {
+    throw new Error("The payment card security code must be 3 or 4 digits");
+  }
+
+  return {
+    number,
+    expiry: `${expiry[1].padStart(2, "0")}/${expiry[2]}`,
+    cvc,
+    name: card.name ? String(card.name).trim() : "",
+    postalCode: card.postalCode ? String(card.postalCode).trim() : "",
+  };
+};
+
+/**
+ * Save a card to the encrypted secrets file
+ * @param {Object} card - { number, expiry, cvc, name, postalCode }
+ * @param {string} passphrase - PAYMENT_SECRETS_KEY
+ * @param {string} file - Secrets file
+ * @returns {Object} The card as saved
+ */
+const saveCard = (
+  card,
+  passphrase = config.paymentSecretsKey,
+  file = config.paymentSecretsFile
+) => {
+  if (!passphrase) {
+    throw new Error("Set PAYMENT_SECRETS_KEY to encrypt the payment card");
+  }
+  const normalized = normalizeCard(card);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    `${JSON.stringify(encryptSecrets({ card: normalized }, passphrase))}\n`,
+    { mode: 0o600 }
+  );
+  return normalized;
+};
+
+/**
+ * Load the payment card
+ * CARD_NUMBER in the environment takes precedence over the secrets file
+ * @param {Object} options - { file, passphrase, env }
+ * @returns {Object} { number, expiry, cvc, name, postalCode, source }
+ */
+const loadCard = (options = {}) => {
+  const env = options.env || process.env;
+  const file = options.file || config.paymentSecretsFile;
+  const passphrase = options.passphrase || config.paymentSecretsKey;
+
+  if (env[ENV_VARS.number]) {
+    const card = {};
+    for (const [field, name] of Object.entries(ENV_VARS)) {
+      card[field] = env[name];
+    }
+    return { ...normalizeCard(card), source: "environment" };
+  }
+
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No payment card set: set CARD_NUMBER, CARD_EXPIRY and CARD_CVC, or save one to ${file} with "payment save-card"`
+    );
+  }
+  if (!passphrase) {
+    throw new Error(`Set PAYMENT_SECRETS_KEY to read ${file}`);
+  }
+  const secrets = decryptSecrets(
+    JSON.parse(fs.readFileSync(file, "utf8")),
+    passphrase
+  );
+  return { ...normalizeCard(secrets.card || {}), source: file };
+};
+
+/**
+ * Describe a card without giving its details away
+ * @param {Object} card - Card from loadCard()
+ * @returns {string} e.g. "card ending 4242"
+ */
+const describeCard = (card) => `card ending ${card.number.slice(-4)}`;
+
+/**
+ * Read an amount like "$12.50" or "CA$ 1,012.00"
+ * @param {string} text - Amount text
+ * @returns {number|null} Amount, or null if the text has no amount
+ */
+const parseAmount = (text) => {
+  const match = String(text || "").match(/(\d[\d,]*(?:\.\d{1,2})?)/);
+  return match ? Number(match[1].replace(/,/g, "")) : null;
+};
+
+/**
+ * Check a charge is allowed before paying it
+ * @param {number|null} amount - Amount the payment page asks for
+ * @param {number} maxCharge - Most the bot may pay (0 = not set)
+ * @throws {PaymentDeclinedError} If the charge can't be read or is too high
+ */
+const checkCharge = (amount, maxCharge) => {
+  const limit = Number(maxCharge) || 0;
+  if (!limit) {
+    throw new PaymentDeclinedError(
+      "The portal is asking for payment but no MAX_CHARGE is set, so the bot won't pay",
+      { amount }
+    );
+  }
+  if (amount === null) {
+    throw new PaymentDeclinedError(
+      "Could not read the amount on the payment page",
+      { maxCharge: limit }
+    );
+  }
+  if (amount > limit) {
+    throw new PaymentDeclinedError(
+      `The portal is asking for $${amount.toFixed(
+        2
+      )}, more than the $${limit.toFixed(2)} maximum`,
+      { amount, maxCharge: limit }
+    );
+  }
+};
+
+module.exports = {
+  ENV_VARS,
+  encryptSecrets,
+  decryptSecrets,
+  normalizeCard,
+  saveCard,
+  loadCard,
+  describeCard,
+  parseAmount,
+  checkCharge,
+};
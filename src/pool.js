@@ -0,0 +1,269 @@
+const fs = require("fs");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const config = require("./config");
+const logger = require("./logger");
+const utils = require("./utils");
+const journal = require("./journal");
+const artifacts = require("./artifacts");
+const { bookWithRetries } = require("./retry");
+const { ProfileLockedError } = require("./errors");
+
+/**
+ * Parallel booking for several profiles
+ * One browser is shared and every bot gets its own incognito context, so
+ * cookies, saved logins and carts don't mix. A concurrency limit caps how
+ * many bots run at once, and a lock file per profile stops two runs (two
+ * scheduler jobs, or a CLI run next to the scheduler) booking for the same
+ * profile at the same time.
+ */
+
+/**
+ * Get the directory that holds profile lock files
+ * @returns {string} Locks directory
+ */
+const locksDir = () => path.join(config.dataDir, "locks");
+
+/**
+ * Build the lock file path for a profile
+ * @param {string} profileName - Profile name
+ * @returns {string} Lock file path
+ */
+const lockPath = (profileName) =>
+  path.join(locksDir(), `${profileName.replace(/[^\w-]/g, "_")}.lock`);
+
+/**
+ * Read a profile's lock, ignoring one left behind by a process that died
+ * @param {string} profileName - Profile name
+ * @returns {Object|null} { pid, owner, lockedAt }, or null when unlocked
+ */
+const readLock = (profileName) => {
+  try {
+    const lock = JSON.parse(fs.readFileSync(lockPath(profileName), "utf8"));
+    return utils.isAlive(lock.pid) ? lock : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Lock a profile for a booking run
+ * @param {string} profileName - Profile name
+ * @param {string} owner - What holds the lock (job name or command)
+ * @returns {Function|null} Release function, or null if already locked
+ */
+const lockProfile = (profileName, owner) => {
+  const file = lockPath(profileName);
+  fs.mkdirSync(locksDir(), { recursive: true });
+
+  const contents = JSON.stringify({
+    pid: process.pid,
+    owner,
+    lockedAt: new Date().toISOString(),
+  });
+  try {
+    fs.writeFileSync(file, contents, { flag: "wx" });
+  } catch (error) {
+    if (error.code !== "EEXIST" || readLock(profileName)) {
+      return null;
+    }
+    // Stale lock from a process that is gone: take it over
+    fs.writeFileSync(file, contents);
+  }
+
+  let released = false;
+  return () => {
+    if (!released) {
+      released = true;
+      fs.rmSync(file, { force: true });
+    }
+  };
+};
+
+/**
+ * Launch a browser with the bot's settings
+ * @returns {Promise<Object>} Puppeteer browser
+ */
+const launchBrowser = () =>
+  puppeteer.launch({
+    headless: config.headless,
+    defaultViewport: { width: 1366, height: 768 },
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--disable-accelerated-2d-canvas",
+      "--no-first-run",
+      "--no-zygote",
+      "--disable-gpu",
+    ],
+  });
+
+/**
+ * One browser shared by several bots, each in its own context
+ */
+class BrowserPool {
+  constructor() {
+    this.browser = null;
+    this.launching = null;
+  }
+
+  /**
+   * Open a new incognito context, launching the browser on first use
+   * @returns {Promise<Object>} Puppeteer browser context
+   */
+  async newContext() {
+    if (!this.launching) {
+      this.launching = launchBrowser().then((browser) => {
+        this.browser = browser;
+        logger.logInfo("Launched the shared browser");
+        return browser;
+      });
+    }
+    const browser = await this.launching;
+    return browser.createIncognitoBrowserContext();
+  }
+
+  /**
+   * Close the shared browser
+   */
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.launching = null;
+      logger.logSuccess("Shared browser closed");
+    }
+  }
+}
+
+/**
+ * Run a task for each item, at most `concurrency` at a time
+ * @param {Array} items - Items to work on
+ * @param {number} concurrency - Most tasks running at once
+ * @param {Function} task - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+const runLimited = async (items, concurrency, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+};
+
+/**
+ * Book for several profiles at once
+ * Profiles locked by another run are skipped. A failure for one profile
+ * doesn't stop the others. Failed attempts are retried as the retry policy
+ * says, with a fresh bot each time, and the failure is only notified once
+ * the policy gives up. Each profile's booking is a journaled run, and old
+ * run bundles are pruned first.
+ * @param {Array<Object>} profiles - Profiles to book for
+ * @param {Function} book - async (bot) => result, e.g. bot.bookParkingPass()
+ * @param {Object} options - { concurrency, kind, owner, botOptions,
+ *   maxRetries (1 for a single attempt), retryDelay }
+ * @returns {Promise<Array<Object>>} { profile, runId, bot, status, result,
+ *   error } per profile, status being "booked", "already_booked", "locked"
+ *   or "failed"
+ */
+const bookProfiles = async (profiles, book, options = {}) => {
+  // Required here because bot.js requires this module for launchBrowser
+  const { BuntzenLakeBot } = require("./bot");
+  const concurrency = options.concurrency || config.maxConcurrentBots;
+  const owner = options.owner || "run";
+  const browsers = new BrowserPool();
+  artifacts.pruneArtifacts();
+
+  const bookProfile = async (profile) => {
+    const release = lockProfile(profile.name, owner);
+    if (!release) {
+      const error = new ProfileLockedError(
+        profile.name,
+        readLock(profile.name)
+      );
+      logger.logWarning(`${error.message}, skipping it`);
+      return { profile, bot: null, status: "locked", error };
+    }
+
+    let bot = null;
+    try {
+      const result = await bookWithRetries(
+        profile,
+        () => {
+          bot = new BuntzenLakeBot(profile, {
+            ...options.botOptions,
+            browserPool: profiles.length > 1 ? browsers : null,
+            notifyFailures: false,
+          });
+          return book(bot);
+        },
+        options
+      );
+      return {
+        profile,
+        bot,
+        status: result ? "booked" : "already_booked",
+        result,
+      };
+    } catch (error) {
+      logger.logError(`Booking failed for profile: ${profile.name}`, error);
+      if (bot) {
+        await bot.notifyFailure(error);
+      }
+      return { profile, bot, status: "failed", error };
+    } finally {
+      release();
+    }
+  };
+
+  if (profiles.length > 1) {
+    logger.logStep(
+      `Booking for ${profiles.length} profiles, ${Math.min(
+        concurrency,
+        profiles.length
+      )} at a time`
+    );
+  }
+
+  try {
+    return await runLimited(profiles, concurrency, (profile) =>
+      journal.withRun(
+        {
+          kind: options.kind || "run",
+          profile: profile.name,
+          owner,
+          dryRun: Boolean(options.botOptions && options.botOptions.dryRun),
+        },
+        async (run) => {
+          const outcome = await bookProfile(profile);
+          run.outcome =
+            outcome.status === "booked" && outcome.bot.dryRun
+              ? "dry_run"
+              : outcome.status;
+          run.error = outcome.error || null;
+          return { runId: run.id, ...outcome };
+        }
+      )
+    );
+  } finally {
+    await browsers.close();
+  }
+};
+
+module.exports = {
+  launchBrowser,
+  BrowserPool,
+  lockProfile,
+  readLock,
+  runLimited,
+  bookProfiles,
+};
@@ -0,0 +1,330 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { parseSlotPreference } = require("./slots");
+
+/**
+ * Booking profiles for the Buntzen Lake parking bot
+ * A profile holds everything that belongs to one driver: phone number,
+ * vehicles and booking preferences. Vehicles are told apart by licence
+ * plate; the first one is booked unless another is chosen with --vehicle.
+ * Profiles are read from a JSON file:
+ *
+ * {
+ *   "profiles": {
+ *     "alex": {
+ *       "phoneNumber": "6045550101",
+ *       "vehicles": [{ "licensePlate": "ABC123", "make": "Tesla", "model": "Y" }],
+ *       "passType": "all_day",
+ *       "preferredDate": "next saturday",
+ *       "fallbackDates": ["next sunday"],
+ *       "dateRules": { "allowedDays": ["weekend"], "withinDays": 14 },
+ *       "slots": ["morning", "13:00"],
+ *       "allDayFallback": true,
+ *       "otp": { "provider": "file", "file": "data/otp-alex.txt" },
+ *       "payment": { "maxCharge": 10, "secretsFile": "data/payment-alex.enc" },
+ *       "notify": { "channels": ["desktop", { "type": "webhook", "format": "discord", "url": "..." }] }
+ *     }
+ *   }
+ * }
+ */
+
+const DEFAULT_PROFILE_NAME = "default";
+
+/**
+ * Reduce a licence plate to its letters and digits, upper case
+ * @param {string} plate - Licence plate as typed ("abc 123", "ABC-123")
+ * @returns {string} Plate key ("ABC123")
+ */
+const normalizePlate = (plate) =>
+  String(plate || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+/**
+ * Check whether a vehicle label from the portal shows a licence plate
+ * The plate has to be whole words of the label, so "AB12" doesn't match a
+ * car labelled "Tesla Y XAB123"
+ * @param {string} text - Label such as "Tesla Y ABC 123"
+ * @param {string} plate - Licence plate
+ * @returns {boolean} True if the label shows the plate
+ */
+const matchesPlate = (text, plate) => {
+  const key = normalizePlate(plate);
+  if (!key) {
+    return false;
+  }
+
+  // Plates may be shown with spaces or dashes, so also try runs of words
+  const words = String(text || "")
+    .split(/[\s,()|]+/)
+    .map(normalizePlate)
+    .filter(Boolean);
+  for (let start = 0; start < words.length; start++) {
+    let joined = "";
+    for (
+      let end = start;
+      end < words.length && joined.length < key.length;
+      end++
+    ) {
+      joined += words[end];
+      if (joined === key) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Find a profile's vehicle by licence plate
+ * @param {Object} profile - Profile
+ * @param {string} plate - Licence plate
+ * @returns {Object} Vehicle
+ */
+const findVehicle = (profile, plate) => {
+  const vehicle = profile.vehicles.find(
+    (candidate) =>
+      normalizePlate(candidate.licensePlate) === normalizePlate(plate)
+  );
+  if (!vehicle) {
+    const plates = profile.vehicles
+      .map((candidate) => candidate.licensePlate)
+      .filter(Boolean);
+    throw new Error(
+      `Profile "${profile.name}" has no vehicle with plate ${plate} (has ${
+        plates.join(", ") || "none"
+      })`
+    );
+  }
+  return vehicle;
+};
+
+/**
+ * Fill in missing vehicle fields with the defaults from the environment
+ * @param {Object} vehicle - Vehicle as written in the profiles file
+ * @returns {Object} Complete vehicle
+ */
+const normalizeVehicle = (vehicle = {}) => ({
+  licensePlate: vehicle.licensePlate || "",
+  province: vehicle.province || config.province,
+  color: vehicle.color || config.vehicleColor,
+  make: vehicle.make || config.vehicleMake,
+  model: vehicle.model || config.vehicleModel,
+});
+
+/**
+ * Build a complete profile from its definition in the profiles file
+ * @param {string} name - Profile name
+ * @param {Object} definition - Profile as written in the profiles file
+ * @returns {Object} Complete profile
+ */
+const normalizeProfile = (name, definition = {}) => {
+  const vehicles = (definition.vehicles || []).map(normalizeVehicle);
+  if (vehicles.length === 0) {
+    throw new Error(`Profile "${name}" has no vehicles`);
+  }
+  if (vehicles.some((vehicle) => !normalizePlate(vehicle.licensePlate))) {
+    throw new Error(`Profile "${name}" has a vehicle without a licence plate`);
+  }
+  if (!definition.phoneNumber) {
+    throw new Error(`Profile "${name}" has no phone number`);
+  }
+  const payment = { maxCharge: config.maxCharge, ...definition.payment };
+  const maxCharge = Number(payment.maxCharge);
+  if (!Number.isFinite(maxCharge) || maxCharge < 0) {
+    throw new Error(
+      `Profile "${name}" has an invalid payment.maxCharge: ${payment.maxCharge}`
+    );
+  }
+
+  return {
+    name,
+    phoneNumber: String(definition.phoneNumber),
+    vehicles,
+    passType: definition.passType || config.passType,
+    preferredDate: definition.preferredDate || "",
+    fallbackDates: definition.fallbackDates || [],
+    dateRules: { allowedDays: [], withinDays: 0, ...definition.dateRules },
+    slots: parseSlotPreference(definition.slots || config.slotPreference),
+    allDayFallback:
+      definition.allDayFallback === undefined
+        ? config.allDayFallback
+        : Boolean(definition.allDayFallback),
+    otp: { provider: config.otpProvider, ...definition.otp },
+    allowDuplicates:
+      definition.allowDuplicates === undefined
+        ? config.allowDuplicateBookings
+        : Boolean(definition.allowDuplicates),
+    payment: { ...payment, maxCharge },
+    notify: {
+      channels: config.notifyChannels,
+      events: config.notifyEvents,
+      ...definition.notify,
+    },
+  };
+};
+
+/**
+ * Build the profile described by the .env settings
+ * @returns {Object} Default profile
+ */
+const defaultProfile = () => ({
+  name: DEFAULT_PROFILE_NAME,
+  phoneNumber: config.phoneNumber,
+  vehicles: [
+    normalizeVehicle({
+      licensePlate: config.licensePlate,
+      province: config.province,
+      color: config.vehicleColor,
+      make: config.vehicleMake,
+      model: config.vehicleModel,
+    }),
+  ],
+  passType: config.passType,
+  preferredDate: config.preferredDate,
+  fallbackDates: config.fallbackDates,
+  dateRules: { ...config.dateRules },
+  slots: parseSlotPreference(config.slotPreference),
+  allDayFallback: config.allDayFallback,
+  otp: { provider: config.otpProvider },
+  allowDuplicates: config.allowDuplicateBookings,
+  payment: { maxCharge: config.maxCharge },
+  notify: { channels: config.notifyChannels, events: config.notifyEvents },
+});
+
+/**
+ * Describe where a profile's verification codes arrive
+ * @param {Object} otp - Profile's OTP settings
+ * @returns {string|null} Channel, or null when the code is typed into the
+ *   profile's own browser or terminal prompt
+ */
+const otpChannel = (otp) => {
+  switch (otp.provider) {
+    case "file":
+      return `file ${path.resolve(otp.file || config.otpFile)}`;
+    case "http":
+      return `HTTP port ${otp.port || config.otpHttpPort}`;
+    case "imap": {
+      const { user, host, mailbox, from } = { ...config.imap, ...otp };
+      return `mailbox ${user}@${host}/${mailbox}${from ? ` from ${from}` : ""}`;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Make sure no two profiles read their codes from the same place
+ * Profiles can be booked side by side, and a code texted to one phone must
+ * not be typed in for the other
+ * @param {Map<string, Object>} profiles - Profiles keyed by name
+ */
+const checkOtpChannels = (profiles) => {
+  const owners = new Map();
+  for (const profile of profiles.values()) {
+    const channel = otpChannel(profile.otp);
+    if (!channel) {
+      continue;
+    }
+    if (owners.has(channel)) {
+      throw new Error(
+        `Profiles "${owners.get(channel)}" and "${
+          profile.name
+        }" both read verification codes from ${channel}: give each its own otp.file, otp.port or otp.from`
+      );
+    }
+    owners.set(channel, profile.name);
+  }
+};
+
+/**
+ * Load all profiles from the profiles file
+ * Falls back to the single .env profile when no profiles file exists
+ * @param {string} file - Path to the profiles file
+ * @returns {Map<string, Object>} Profiles keyed by name
+ */
+const loadProfiles = (file = config.profilesFile) => {
+  const profiles = new Map();
+
+  if (!fs.existsSync(file)) {
+    profiles.set(DEFAULT_PROFILE_NAME, defaultProfile());
+    return profiles;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read profiles file ${file}: ${error.message}`);
+  }
+
+  for (const [name, definition] of Object.entries(parsed.profiles || {})) {
+    profiles.set(name, normalizeProfile(name, definition));
+  }
+
+  if (profiles.size === 0) {
+    throw new Error(`No profiles defined in ${file}`);
+  }
+  checkOtpChannels(profiles);
+
+  return profiles;
+};
+
+/**
+ * Get a single profile by name
+ * Without a name, returns the "default" profile or the only profile defined
+ * @param {string} name - Profile name
+ * @param {string} file - Path to the profiles file
+ * @returns {Object} Profile
+ */
+const getProfile = (name, file = config.profilesFile) => {
+  const profiles = loadProfiles(file);
+
+  if (!name) {
+    if (profiles.has(DEFAULT_PROFILE_NAME)) {
+      return profiles.get(DEFAULT_PROFILE_NAME);
+    }
+    if (profiles.size === 1) {
+      return profiles.values().next().value;
+    }
+    throw new Error(
+      `Several profiles defined, choose one with --profile (${Array.from(
+        profiles.keys()
+      ).join(", ")})`
+    );
+  }
+
+  if (!profiles.has(name)) {
+    throw new Error(`Unknown profile: ${name}`);
+  }
+  return profiles.get(name);
+};
+
+/**
+ * Get every profile
+ * @param {string} file - Path to the profiles file
+ * @returns {Array<Object>} Profiles
+ */
+const getAllProfiles = (file = config.profilesFile) =>
+  Array.from(loadProfiles(file).values());
+
+/**
+ * Resolve the profiles selected by the --profile / --all-profiles options
+ * @param {Object} options - Options with `profile` and `allProfiles`
+ * @returns {Array<Object>} Selected profiles
+ */
+const selectProfiles = (options = {}) =>
+  options.allProfiles ? getAllProfiles() : [getProfile(options.profile)];
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  normalizePlate,
+  matchesPlate,
+  findVehicle,
+  defaultProfile,
+  loadProfiles,
+  getProfile,
+  getAllProfiles,
+  selectProfiles,
+};
@@ -0,0 +1,132 @@
+const config = require("./config");
+const logger = require("./logger");
+const utils = require("./utils");
+const dates = require("./dates");
+const journal = require("./journal");
+const session = require("./session");
+const { LoginRequiredError, classifyError } = require("./errors");
+
+/**
+ * Retry policy for booking runs
+ * After a failed attempt, the error class decides what happens next:
+ * start again straight away, wait with exponential backoff, move on to the
+ * profile's next acceptable date, or give up (and notify). Attempts are
+ * capped by MAX_RETRIES and backoff starts at RETRY_DELAY.
+ */
+
+const ACTIONS = {
+  RETRY: "retry",
+  BACKOFF: "backoff",
+  FALLBACK_DATE: "fallback_date",
+  GIVE_UP: "give_up",
+};
+
+const RETRY_POLICY = {
+  // The date went while booking it; another acceptable date may be left
+  SoldOutError: ACTIONS.FALLBACK_DATE,
+  // A stale login; the next attempt logs in from scratch (unless nobody can
+  // type the code in, see handleOTPVerification in bot.js)
+  LoginRequiredError: ACTIONS.RETRY,
+  // Slow page or a blip on the portal's side
+  SelectorMissingError: ACTIONS.BACKOFF,
+  NetworkError: ACTIONS.BACKOFF,
+  // Retrying these can't help, or could pay twice
+  OtpTimeoutError: ACTIONS.GIVE_UP,
+  PortalChangedError: ACTIONS.GIVE_UP,
+  PaymentDeclinedError: ACTIONS.GIVE_UP,
+};
+
+/**
+ * Look up what to do after an error
+ * An error marked `retryable: false` gives up whatever its class
+ * @param {Error} error - Error from a booking attempt
+ * @returns {string} One of ACTIONS; unknown errors give up
+ */
+const policyFor = (error) => {
+  const failure = classifyError(error);
+  if (!failure || failure.retryable === false) {
+    return ACTIONS.GIVE_UP;
+  }
+  return RETRY_POLICY[failure.name] || ACTIONS.GIVE_UP;
+};
+
+/**
+ * Move a profile on to its next acceptable date after one sold out
+ * The profile's dates are rewritten in place, without the sold-out date
+ * @param {Object} profile - Profile being booked
+ * @param {string} soldOutDate - ISO date that sold out
+ * @returns {boolean} True if another date is left to try
+ */
+const useNextDate = (profile, soldOutDate) => {
+  if (!soldOutDate) {
+    return false;
+  }
+  const remaining = dates
+    .buildDateCandidates(profile)
+    .filter((date) => date !== soldOutDate);
+  if (remaining.length === 0) {
+    return false;
+  }
+
+  profile.preferredDate = remaining[0];
+  profile.fallbackDates = remaining.slice(1);
+  profile.dateRules = { ...profile.dateRules, withinDays: 0 };
+  return true;
+};
+
+/**
+ * Book for a profile, retrying as the policy says
+ * @param {Object} profile - Profile being booked (its dates may move on)
+ * @param {Function} attempt - async (attemptNumber) => result, with a fresh
+ *   bot each time
+ * @param {Object} options - { maxRetries, retryDelay }
+ * @returns {Promise<any>} Result of the attempt that succeeded
+ */
+const bookWithRetries = (profile, attempt, options = {}) =>
+  utils.retryWithBackoff(
+    attempt,
+    options.maxRetries || config.maxRetries,
+    options.retryDelay || config.retryDelay,
+    (error, backoff) => {
+      const failure = classifyError(error);
+      let action = policyFor(failure);
+      if (action === ACTIONS.FALLBACK_DATE) {
+        action = useNextDate(profile, failure.date)
+          ? ACTIONS.RETRY
+          : ACTIONS.GIVE_UP;
+      }
+      journal.record("retry_policy", {
+        error: journal.describeError(failure),
+        action,
+      });
+
+      switch (action) {
+        case ACTIONS.RETRY:
+          if (failure instanceof LoginRequiredError) {
+            session.clearSession(profile.name);
+          }
+          logger.logInfo(
+            failure.date && profile.preferredDate !== failure.date
+              ? `${failure.name}: trying ${dates.describeDate(
+                  profile.preferredDate
+                )} instead`
+              : `${failure.name}: trying again now`
+          );
+          return 0;
+        case ACTIONS.BACKOFF:
+          logger.logInfo(`${failure.name}: backing off before trying again`);
+          return backoff;
+        default:
+          logger.logInfo(`${failure.name}: not retrying`);
+          return null;
+      }
+    }
+  );
+
+module.exports = {
+  ACTIONS,
+  RETRY_POLICY,
+  policyFor,
+  useNextDate,
+  bookWithRetries,
+};
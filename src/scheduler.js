@@ -1,5 +1,10 @@
+const fs = require("fs");
+const path = require("path");
 const cron = require("node-cron");
-const { BuntzenLakeBot } = require("./bot");
+const { selectProfiles } = require("./profiles");
+const { bookProfiles } = require("./pool");
+const { SchedulerDaemon } = require("./daemon");
+const { exitCodeFor } = require("./errors");
 const logger = require("./logger");
 const config = require("./config");
 
@@ -8,25 +13,38 @@ const config = require("./config");
  * Allows running the bot at specific times or intervals
  */
 class BotScheduler {
-  constructor() {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {string} options.jobsFile - File the job definitions are saved to
+   */
+  constructor(options = {}) {
     this.scheduledJobs = new Map();
-    this.isRunning = false;
+    this.jobDefinitions = new Map();
+    // Jobs can overlap; profile locks keep them from booking the same profile
+    this.runningJobs = new Set();
+    this.restoring = false;
+    this.jobsFile =
+      options.jobsFile || path.join(config.dataDir, "scheduler-jobs.json");
   }
 
   /**
    * Schedule the bot to run at a specific time
    * @param {string} cronExpression - Cron expression for scheduling
    * @param {string} jobName - Name for the scheduled job
+   * @param {Object} options - Extra job options
+   * @param {boolean} options.paused - Register the job without starting it
+   * @param {string} options.profile - Profile to book for (default profile if unset)
+   * @param {boolean} options.allProfiles - Book for every profile
+   * @param {string} options.snipe - Release time (HH:MM) to snipe instead of
+   *   a plain run; the cron expression should fire during the warm-up
+   * @param {number} options.warmup - Minutes the sniper starts early
    * @returns {boolean} Success status
    */
-  scheduleJob(cronExpression, jobName = "default") {
+  scheduleJob(cronExpression, jobName = "default", options = {}) {
     try {
       logger.logStep(`Scheduling job: ${jobName} with cron: ${cronExpression}`);
 
-      // Validate cron expression
-      if (!cron.validate(cronExpression)) {
-        throw new Error(`Invalid cron expression: ${cronExpression}`);
-      }
+      BotScheduler.validateExpression(cronExpression);
 
       // Stop existing job if it exists
       if (this.scheduledJobs.has(jobName)) {
@@ -45,11 +63,26 @@ class BotScheduler {
         }
       );
 
-      // Store the job
+      // Store the job and its definition
       this.scheduledJobs.set(jobName, job);
+      this.jobDefinitions.set(jobName, {
+        name: jobName,
+        cronExpression,
+        paused: Boolean(options.paused),
+        profile: options.profile || null,
+        allProfiles: Boolean(options.allProfiles),
+        snipe: options.snipe || null,
+        warmup: options.warmup || null,
+        createdAt: options.createdAt || new Date().toISOString(),
+        lastRunAt: options.lastRunAt || null,
+        lastResult: options.lastResult || null,
+      });
+      this.saveJobs();
 
-      // Start the job
-      job.start();
+      // Start the job unless it was saved as paused
+      if (!options.paused) {
+        job.start();
+      }
 
       logger.logSuccess(`Job scheduled successfully: ${jobName}`);
       return true;
@@ -66,9 +99,7 @@ class BotScheduler {
    * @returns {boolean} Success status
    */
   scheduleDaily(time, jobName = "daily") {
-    const [hour, minute] = time.split(":");
-    const cronExpression = `${minute} ${hour} * * *`;
-    return this.scheduleJob(cronExpression, jobName);
+    return this.scheduleJob(BotScheduler.dailyExpression(time), jobName);
   }
 
   /**
@@ -78,8 +109,7 @@ class BotScheduler {
    * @returns {boolean} Success status
    */
   scheduleInterval(minutes, jobName = "interval") {
-    const cronExpression = `*/${minutes} * * * *`;
-    return this.scheduleJob(cronExpression, jobName);
+    return this.scheduleJob(BotScheduler.intervalExpression(minutes), jobName);
   }
 
   /**
@@ -90,10 +120,60 @@ class BotScheduler {
    * @returns {boolean} Success status
    */
   scheduleWeekly(days, time, jobName = "weekly") {
+    return this.scheduleJob(BotScheduler.weeklyExpression(days, time), jobName);
+  }
+
+  /**
+   * Check a cron expression before scheduling it
+   * @param {string} cronExpression - Cron expression
+   * @throws {Error} When node-cron can't run it
+   */
+  static validateExpression(cronExpression) {
+    if (!cron.validate(cronExpression)) {
+      throw new Error(`Invalid cron expression: ${cronExpression}`);
+    }
+  }
+
+  /**
+   * Build a cron expression for a daily run
+   * @param {string} time - Time in HH:MM format (24-hour)
+   * @returns {string} Cron expression
+   */
+  static dailyExpression(time) {
+    const [hour, minute] = time.split(":");
+    return `${minute} ${hour} * * *`;
+  }
+
+  /**
+   * Build a cron expression that starts a sniper ahead of a daily release
+   * @param {string} releaseTime - Release time in HH:MM format (24-hour)
+   * @param {number} warmupMinutes - How many minutes early to start
+   * @returns {string} Cron expression
+   */
+  static snipeExpression(releaseTime, warmupMinutes = config.sniperWarmup) {
+    const [hour, minute] = releaseTime.split(":").map(Number);
+    const start = (((hour * 60 + minute - warmupMinutes) % 1440) + 1440) % 1440;
+    return `${start % 60} ${Math.floor(start / 60)} * * *`;
+  }
+
+  /**
+   * Build a cron expression for a run every X minutes
+   * @param {number} minutes - Interval in minutes
+   * @returns {string} Cron expression
+   */
+  static intervalExpression(minutes) {
+    return `*/${minutes} * * * *`;
+  }
+
+  /**
+   * Build a cron expression for runs on specific days of the week
+   * @param {Array<number>} days - Array of days (0-6, where 0 is Sunday)
+   * @param {string} time - Time in HH:MM format
+   * @returns {string} Cron expression
+   */
+  static weeklyExpression(days, time) {
     const [hour, minute] = time.split(":");
-    const daysString = days.join(",");
-    const cronExpression = `${minute} ${hour} * * ${daysString}`;
-    return this.scheduleJob(cronExpression, jobName);
+    return `${minute} ${hour} * * ${days.join(",")}`;
   }
 
   /**
@@ -101,28 +181,115 @@ class BotScheduler {
    * @param {string} jobName - Name of the job to run
    */
   async runScheduledJob(jobName) {
-    if (this.isRunning) {
+    if (this.runningJobs.has(jobName)) {
       logger.logWarning(
-        `Bot is already running, skipping scheduled job: ${jobName}`
+        `Job is still running from last time, skipping: ${jobName}`
       );
       return;
     }
 
     try {
-      this.isRunning = true;
+      this.runningJobs.add(jobName);
       logger.logStep(`Running scheduled job: ${jobName}`);
 
-      const bot = new BuntzenLakeBot();
-      await bot.bookParkingPass();
+      // Resolve profiles at run time so edits to the profiles file apply
+      const definition = this.jobDefinitions.get(jobName);
+      const results = await bookProfiles(
+        selectProfiles(definition),
+        (bot) =>
+          definition.snipe
+            ? bot.snipeRelease({
+                releaseTime: definition.snipe,
+                warmup: definition.warmup,
+              })
+            : bot.bookParkingPass(),
+        {
+          kind: definition.snipe ? "snipe" : "scheduled",
+          owner: `job ${jobName}`,
+        }
+      );
+
+      // One profile failing doesn't stop the others from booking
+      const names = (status) =>
+        results
+          .filter((result) => result.status === status)
+          .map((result) => result.profile.name);
+      const failures = results
+        .filter((result) => result.status === "failed")
+        .map((result) => `${result.profile.name}: ${result.error.message}`);
+      if (failures.length > 0) {
+        throw new Error(failures.join("; "));
+      }
 
+      const notes = [
+        ["already booked", names("already_booked")],
+        ["locked by another run", names("locked")],
+      ]
+        .filter(([, skipped]) => skipped.length > 0)
+        .map(([reason, skipped]) => `${reason}: ${skipped.join(", ")}`);
+      this.recordRun(
+        jobName,
+        notes.length > 0 ? `success (${notes.join("; ")})` : "success"
+      );
       logger.logSuccess(`Scheduled job completed: ${jobName}`);
     } catch (error) {
+      this.recordRun(jobName, `failed: ${error.message}`);
       logger.logError(`Scheduled job failed: ${jobName}`, error);
     } finally {
-      this.isRunning = false;
+      this.runningJobs.delete(jobName);
+    }
+  }
+
+  /**
+   * Record the outcome of a job run in its saved definition
+   * @param {string} jobName - Name of the job that ran
+   * @param {string} result - Short description of the outcome
+   */
+  recordRun(jobName, result) {
+    const definition = this.jobDefinitions.get(jobName);
+    if (definition) {
+      definition.lastRunAt = new Date().toISOString();
+      definition.lastResult = result;
+      this.saveJobs();
     }
   }
 
+  /**
+   * Pause a scheduled job without removing it
+   * @param {string} jobName - Name of the job to pause
+   * @returns {boolean} Success status
+   */
+  pauseJob(jobName) {
+    const job = this.scheduledJobs.get(jobName);
+    if (!job) {
+      return false;
+    }
+
+    job.stop();
+    this.jobDefinitions.get(jobName).paused = true;
+    this.saveJobs();
+    logger.logSuccess(`Job paused: ${jobName}`);
+    return true;
+  }
+
+  /**
+   * Resume a paused job
+   * @param {string} jobName - Name of the job to resume
+   * @returns {boolean} Success status
+   */
+  resumeJob(jobName) {
+    const job = this.scheduledJobs.get(jobName);
+    if (!job) {
+      return false;
+    }
+
+    job.start();
+    this.jobDefinitions.get(jobName).paused = false;
+    this.saveJobs();
+    logger.logSuccess(`Job resumed: ${jobName}`);
+    return true;
+  }
+
   /**
    * Stop a specific scheduled job
    * @param {string} jobName - Name of the job to stop
@@ -134,6 +301,8 @@ class BotScheduler {
       if (job) {
         job.stop();
         this.scheduledJobs.delete(jobName);
+        this.jobDefinitions.delete(jobName);
+        this.saveJobs();
         logger.logSuccess(`Job stopped: ${jobName}`);
         return true;
       }
@@ -155,6 +324,8 @@ class BotScheduler {
         logger.logSuccess(`Job stopped: ${jobName}`);
       }
       this.scheduledJobs.clear();
+      this.jobDefinitions.clear();
+      this.saveJobs();
       return true;
     } catch (error) {
       logger.logError("Failed to stop all jobs", error);
@@ -162,6 +333,68 @@ class BotScheduler {
     }
   }
 
+  /**
+   * Stop all running cron tasks but keep their saved definitions,
+   * so they are reloaded the next time the scheduler starts
+   */
+  shutdown() {
+    for (const job of this.scheduledJobs.values()) {
+      job.stop();
+    }
+    this.scheduledJobs.clear();
+    logger.logSuccess("Scheduler shut down, job definitions kept on disk");
+  }
+
+  /**
+   * Save job definitions to disk
+   */
+  saveJobs() {
+    if (this.restoring) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.jobsFile), { recursive: true });
+      const jobs = Array.from(this.jobDefinitions.values());
+      fs.writeFileSync(this.jobsFile, JSON.stringify(jobs, null, 2));
+    } catch (error) {
+      logger.logError(`Failed to save jobs to ${this.jobsFile}`, error);
+    }
+  }
+
+  /**
+   * Reload job definitions saved by a previous scheduler process
+   * @returns {number|null} Number of jobs restored, or null when no jobs
+   *   were ever saved (an empty list means every job was stopped)
+   */
+  loadJobs() {
+    if (!fs.existsSync(this.jobsFile)) {
+      return null;
+    }
+
+    try {
+      const jobs = JSON.parse(fs.readFileSync(this.jobsFile, "utf8"));
+      let restored = 0;
+
+      // Don't rewrite the file until every saved job has been re-added
+      this.restoring = true;
+      for (const definition of jobs) {
+        const { name, cronExpression, ...options } = definition;
+        if (this.scheduleJob(cronExpression, name, options)) {
+          restored++;
+        }
+      }
+
+      logger.logSuccess(`Restored ${restored} job(s) from ${this.jobsFile}`);
+      return restored;
+    } catch (error) {
+      logger.logError(`Failed to load jobs from ${this.jobsFile}`, error);
+      return 0;
+    } finally {
+      this.restoring = false;
+    }
+  }
+
   /**
    * Get list of all scheduled jobs
    * @returns {Array<string>} Array of job names
@@ -181,10 +414,15 @@ class BotScheduler {
       return { exists: false, running: false };
     }
 
+    const definition = this.jobDefinitions.get(jobName);
     return {
       exists: true,
-      running: job.running,
-      scheduled: true,
+      running: this.runningJobs.has(jobName),
+      scheduled: !definition.paused,
+      paused: definition.paused,
+      cronExpression: definition.cronExpression,
+      lastRunAt: definition.lastRunAt,
+      lastResult: definition.lastResult,
     };
   }
 
@@ -194,17 +432,36 @@ class BotScheduler {
   startDefaultScheduler() {
     logger.logStep("Starting default scheduler");
 
-    // Schedule daily run at 8:00 AM (when passes typically become available)
-    this.scheduleDaily("08:00", "morning_booking");
-
-    // Schedule backup run at 8:30 AM
-    this.scheduleDaily("08:30", "backup_booking");
-
-    // Schedule evening check at 6:00 PM
-    this.scheduleDaily("18:00", "evening_check");
+    for (const { cronExpression, jobName } of BotScheduler.defaultJobs()) {
+      this.scheduleJob(cronExpression, jobName);
+    }
 
     logger.logSuccess("Default scheduler started");
   }
+
+  /**
+   * Get the default job definitions
+   * @returns {Array<Object>} Array of { cronExpression, jobName }
+   */
+  static defaultJobs() {
+    return [
+      // Daily run at 8:00 AM (when passes typically become available)
+      {
+        cronExpression: BotScheduler.dailyExpression("08:00"),
+        jobName: "morning_booking",
+      },
+      // Backup run at 8:30 AM
+      {
+        cronExpression: BotScheduler.dailyExpression("08:30"),
+        jobName: "backup_booking",
+      },
+      // Evening check at 6:00 PM
+      {
+        cronExpression: BotScheduler.dailyExpression("18:00"),
+        jobName: "evening_check",
+      },
+    ];
+  }
 }
 
 module.exports = BotScheduler;
@@ -212,24 +469,40 @@ module.exports = BotScheduler;
 // If this file is run directly, start the default scheduler
 if (require.main === module) {
   const scheduler = new BotScheduler();
+  const daemon = new SchedulerDaemon(scheduler);
 
   logger.logStep("Starting Buntzen Lake Bot Scheduler...");
   logger.logStep("Press Ctrl+C to stop the scheduler");
 
-  // Start the default scheduler
-  scheduler.startDefaultScheduler();
-
   // Keep the process running
-  process.on("SIGINT", () => {
+  process.on("SIGINT", async () => {
     logger.logStep("Shutting down scheduler...");
-    scheduler.stopAllJobs();
+    await daemon.stop();
     process.exit(0);
   });
 
-  logger.logSuccess("Scheduler is running. Jobs scheduled:");
-  const jobs = scheduler.getScheduledJobs();
-  jobs.forEach((jobName) => {
-    const status = scheduler.getJobStatus(jobName);
-    logger.logStep(`- ${jobName}: ${status.running ? "Running" : "Scheduled"}`);
-  });
+  // Listen for status, stop, pause and resume from the CLI. The port is
+  // taken before any job is armed, so a second scheduler fails cleanly
+  daemon
+    .start()
+    .then(() => {
+      // Reload saved jobs, or start the default scheduler on first run
+      if (scheduler.loadJobs() === null) {
+        scheduler.startDefaultScheduler();
+      }
+
+      logger.logSuccess("Scheduler is running. Jobs scheduled:");
+      const jobs = scheduler.getScheduledJobs();
+      jobs.forEach((jobName) => {
+        const status = scheduler.getJobStatus(jobName);
+        logger.logStep(
+          `- ${jobName}: ${status.paused ? "Paused" : "Scheduled"}`
+        );
+      });
+    })
+    .catch((error) => {
+      logger.logError("Failed to start scheduler", error);
+      scheduler.shutdown();
+      process.exit(exitCodeFor(error));
+    });
 }
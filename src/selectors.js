@@ -0,0 +1,498 @@
+const config = require("./config");
+const utils = require("./utils");
+const journal = require("./journal");
+const { SelectorMissingError } = require("./errors");
+
+/**
+ * Selector registry for the Buntzen Lake parking bot
+ * Each element the bot works with has one entry with an ordered fallback
+ * chain. The first link that matches wins, so when the portal changes its
+ * markup a later link can still find the element, and `selectors doctor`
+ * shows which link matched before a booking depends on it.
+ *
+ * Chain links are one of:
+ *   ".css, .selector"                     CSS selector
+ *   { css: "input[type=tel]", min: 4 }    CSS with a minimum match count
+ *   { xpath: "//a[contains(., 'Go')]" }   XPath expression
+ *   { text: "next", tags: "a,button" }    element whose text contains this
+ *
+ * CSS and XPath may hold placeholders like {productId}, filled in from the
+ * `params` option.
+ */
+
+const S = config.selectors;
+
+const REGISTRY = {
+  // Landing page
+  infoPopup: {
+    stage: "landing",
+    chain: [S.infoPopup, ".popup.modal-in"],
+  },
+  goToPassesBtn: {
+    stage: "landing",
+    chain: [
+      { xpath: "//a[contains(text(), 'Go To Pass')]" },
+      "a.themeBtn.button.popup-close",
+      ".popup-close",
+      { text: "Go To Pass", tags: "a,button,.themeBtn" },
+    ],
+  },
+
+  // Pass list and pass page
+  passCard: {
+    stage: "pass_list",
+    chain: [S.passCard, ".cardRow > div"],
+  },
+  selectedCard: {
+    stage: "pass_page",
+    chain: [
+      ".gridCard:has(#scheduler_{productId}, #cardBtn_{productId})",
+      ".cardRow > div:has(#scheduler_{productId}, #cardBtn_{productId})",
+    ],
+  },
+  passScheduler: {
+    stage: "pass_page",
+    chain: ["#scheduler_{productId}", ".scheduler"],
+  },
+  dateMain: {
+    stage: "pass_page",
+    chain: [S.dateMain, ".datelist"],
+  },
+  dateButton: {
+    stage: "pass_page",
+    chain: [S.dateSelector, ".datelist button", "[data-date]"],
+  },
+  dateNextBtn: {
+    stage: "pass_page",
+    chain: [S.dateNextBtn],
+  },
+  datePrevBtn: {
+    stage: "pass_page",
+    chain: [S.datePrevBtn],
+  },
+  timeSlot: {
+    stage: "time_slot",
+    chain: [S.timeSlot, "[data-slot]", "[data-start]"],
+  },
+  addToCartBtn: {
+    stage: "pass_page",
+    chain: [
+      "#cardBtn_{productId}",
+      S.addToCartBtn,
+      { text: "Add to Cart", tags: "a,button" },
+    ],
+  },
+
+  // Login
+  signInLink: {
+    stage: "landing",
+    chain: [S.signInLink, { text: "Sign in", tags: "a,button" }],
+  },
+  loginForm: {
+    stage: "login",
+    chain: [S.loginForm],
+  },
+  phoneInput: {
+    stage: "login",
+    chain: [
+      S.phoneInput,
+      'input[name="number"]',
+      'input[type="number"]',
+      'input[placeholder*="Enter number"]',
+      'input[id*="phone" i], input[placeholder*="phone" i]',
+    ],
+  },
+  nextBtn: {
+    stage: "login",
+    chain: [{ text: "next", tags: "a,button" }, ".cardfooter .themeBtn.button"],
+  },
+
+  // Verification code
+  otpInputs: {
+    stage: "otp",
+    chain: [
+      { css: S.otpInputs, min: 4 },
+      { css: 'input[type="tel"]', min: 4 },
+      { css: 'input[maxlength="1"]', min: 4 },
+      'input[aria-label*="verification"], input[aria-label*="Digit"]',
+      'input[maxlength="1"], input[type="tel"]',
+    ],
+  },
+  otpSubmitBtn: {
+    stage: "otp",
+    chain: [
+      S.otpSubmitBtn,
+      ".themeBtn.button",
+      'button[type="submit"]',
+      "a.themeBtn.button",
+    ],
+  },
+  resendCodeBtn: {
+    stage: "otp",
+    chain: [{ text: "resend", tags: "a,button,span" }],
+  },
+
+  // Vehicle
+  vehicleSelector: {
+    stage: "vehicle",
+    chain: [
+      S.vehicleSelector,
+      ".smartSelectCustom",
+      ".item-link.smart-select",
+      "[id*='selectVehicle']",
+    ],
+  },
+  vehicleSmartSelectLink: {
+    stage: "vehicle",
+    chain: [
+      ".smartSelectCustom .item-link.smart-select",
+      ".item-link.smart-select",
+    ],
+  },
+  vehiclePopup: {
+    stage: "vehicle_popup",
+    chain: [S.vehicleSelect, ".smart-select-page"],
+  },
+  vehicleSearchInput: {
+    stage: "vehicle_popup",
+    chain: [S.vehicleSearchInput, '.smart-select-page input[type="search"]'],
+  },
+  vehicleItem: {
+    stage: "vehicle_popup",
+    chain: [".item-title"],
+  },
+  addVehicleBtn: {
+    stage: "vehicle_popup",
+    chain: [S.addVehicleBtn, 'option[value="new_vehicle"]'],
+  },
+
+  // Cart and checkout
+  cartItem: {
+    stage: "cart",
+    chain: [S.cartItem, ".viewCart li"],
+  },
+  checkoutBtn: {
+    stage: "cart",
+    chain: [S.checkoutBtn, { text: "Checkout", tags: "a,button" }],
+  },
+  cartCloseBtn: {
+    stage: "cart",
+    chain: [S.cartCloseBtn, ".viewCart_closeCart .button"],
+  },
+
+  // My Passes page
+  myPassesLink: {
+    stage: "my_passes",
+    chain: [S.myPassesLink, { text: "My Passes", tags: "a,button" }],
+  },
+  myPassItem: {
+    stage: "my_passes",
+    chain: [S.myPassItem, ".passHistory li"],
+  },
+
+  // Payment page (paid season); card fields may sit in a payment iframe
+  paymentForm: {
+    stage: "payment",
+    chain: [S.paymentForm, { text: "Card number", tags: "label,span" }],
+  },
+  paymentAmount: {
+    stage: "payment",
+    chain: [S.paymentAmount, ".paymentPage .orderTotal"],
+  },
+  cardNumberInput: {
+    stage: "payment",
+    chain: [
+      S.cardNumberInput,
+      "#cardNumber",
+      'input[placeholder*="Card number"]',
+    ],
+  },
+  cardExpiryInput: {
+    stage: "payment",
+    chain: [S.cardExpiryInput, "#cardExpiry", 'input[placeholder*="MM"]'],
+  },
+  cardCvcInput: {
+    stage: "payment",
+    chain: [S.cardCvcInput, "#cardCvc", 'input[placeholder*="CVC"]'],
+  },
+  cardNameInput: {
+    stage: "payment",
+    chain: [S.cardNameInput, "#cardName"],
+  },
+  cardPostalInput: {
+    stage: "payment",
+    chain: [S.cardPostalInput, "#cardPostal"],
+  },
+  payBtn: {
+    stage: "payment",
+    chain: [S.payBtn, { text: "Pay", tags: "a,button" }],
+  },
+  paymentError: {
+    stage: "payment",
+    chain: [S.paymentError, '.paymentPage [role="alert"]'],
+  },
+  paymentChallenge: {
+    stage: "payment",
+    chain: [S.paymentChallenge],
+  },
+
+  confirmation: {
+    stage: "confirmation",
+    chain: [S.confirmation, { text: "Thank you", tags: "h1,h2,h3" }],
+  },
+};
+
+/**
+ * Fill {placeholders} in a selector
+ * @param {string} selector - Selector with placeholders
+ * @param {Object} params - Values by placeholder name
+ * @returns {string|null} Selector, or null if a placeholder has no value
+ */
+const fillParams = (selector, params = {}) => {
+  let missing = false;
+  const filled = selector.replace(/\{(\w+)\}/g, (_, key) => {
+    if (params[key] === undefined || params[key] === null) {
+      missing = true;
+      return "";
+    }
+    return String(params[key]);
+  });
+  return missing ? null : filled;
+};
+
+/**
+ * Turn a chain link into { kind, expression, min }
+ * @param {string|Object} link - Chain link
+ * @param {Object} params - Placeholder values
+ * @returns {Object|null} Normalised link, or null if it can't be used
+ */
+const normalizeLink = (link, params) => {
+  if (typeof link === "string") {
+    link = { css: link };
+  }
+  const min = link.min || 1;
+
+  if (link.css) {
+    const css = fillParams(link.css, params);
+    return css && { kind: "css", expression: css, min };
+  }
+  if (link.xpath) {
+    const xpath = fillParams(link.xpath, params);
+    return xpath && { kind: "xpath", expression: xpath, min };
+  }
+  if (link.text) {
+    // Case-insensitive text match, compiled to XPath
+    const tags = (link.tags || "*")
+      .split(",")
+      .map((tag) => tag.trim())
+      .map((tag) =>
+        tag.startsWith(".")
+          ? `contains(concat(' ', normalize-space(@class), ' '), ' ${tag.slice(
+              1
+            )} ')`
+          : tag === "*"
+          ? "true()"
+          : `self::${tag}`
+      )
+      .join(" or ");
+    const text = link.text.toLowerCase().replace(/'/g, "");
+    return {
+      kind: "text",
+      expression: `//*[(${tags}) and contains(translate(normalize-space(.), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), '${text}')]`,
+      label: `text "${link.text}"`,
+      min,
+    };
+  }
+  return null;
+};
+
+/**
+ * Describe a chain link for logs and reports
+ * @param {Object} link - Normalised link
+ * @returns {string} Description
+ */
+const describeLink = (link) => link.label || `${link.kind} ${link.expression}`;
+
+/**
+ * Find the elements a normalised link matches
+ * @param {Object} page - Puppeteer page
+ * @param {Object} link - Normalised link
+ * @param {string} scope - CSS selector of the element to search in ("" for the page)
+ * @returns {Promise<Array>} Element handles
+ */
+const queryLink = async (page, link, scope) => {
+  if (link.kind === "css") {
+    return page.$$(utils.scopeSelector(scope, link.expression));
+  }
+
+  let root = page;
+  let expression = link.expression;
+  if (scope) {
+    root = await page.$(scope);
+    if (!root) {
+      return [];
+    }
+    // Make the expression relative to the scope element
+    expression = `.${expression}`;
+  }
+  return root.$x(expression);
+};
+
+/**
+ * Keep only the handles that are visible
+ * @param {Array} handles - Element handles
+ * @returns {Promise<Array>} Visible handles
+ */
+const onlyVisible = async (handles) => {
+  const visible = [];
+  for (const handle of handles) {
+    const box = await handle.boundingBox().catch(() => null);
+    if (box && box.width > 0 && box.height > 0) {
+      visible.push(handle);
+    }
+  }
+  return visible;
+};
+
+/**
+ * Walk an element's fallback chain and return the first link that matches
+ * @param {Object} page - Puppeteer page
+ * @param {string} name - Registry entry name
+ * @param {Object} options - { scope, params, visible }
+ * @returns {Promise<Object|null>} { name, handles, handle, link, selector, index, fallback }
+ */
+const find = async (page, name, options = {}) => {
+  const entry = REGISTRY[name];
+  if (!entry) {
+    throw new Error(`Unknown selector: ${name}`);
+  }
+
+  const links = entry.chain.map((link) => normalizeLink(link, options.params));
+  for (let index = 0; index < links.length; index++) {
+    const link = links[index];
+    if (!link) {
+      continue;
+    }
+
+    let handles = [];
+    try {
+      handles = await queryLink(page, link, options.scope || "");
+    } catch (error) {
+      // An invalid or unsupported selector is just a link that can't match
+      continue;
+    }
+    if (options.visible) {
+      handles = await onlyVisible(handles);
+    }
+
+    if (handles.length >= link.min) {
+      const match = {
+        name,
+        handles,
+        handle: handles[0],
+        link: describeLink(link),
+        // CSS selector that matched, for callers that scope other lookups
+        selector: link.kind === "css" ? link.expression : null,
+        index,
+        fallback: index > 0,
+      };
+      journal.selectorMatched(match);
+      return match;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Wait until an element's chain matches
+ * @param {Object} page - Puppeteer page
+ * @param {string} name - Registry entry name
+ * @param {Object} options - { scope, params, visible, timeout }
+ * @returns {Promise<Object>} Match, see find()
+ */
+const waitFor = async (page, name, options = {}) => {
+  const deadline = Date.now() + (options.timeout || 10000);
+
+  while (true) {
+    const match = await find(page, name, options);
+    if (match) {
+      return match;
+    }
+    if (Date.now() >= deadline) {
+      throw new SelectorMissingError(
+        `Element not found: ${name} (tried ${describeChain(
+          name,
+          options.params
+        )})`,
+        { selector: name }
+      );
+    }
+    await utils.delay(250);
+  }
+};
+
+/**
+ * Find an element and click it
+ * Falls back to a DOM click for elements Puppeteer can't click directly
+ * @param {Object} page - Puppeteer page
+ * @param {string} name - Registry entry name
+ * @param {Object} options - { scope, params, visible, timeout }
+ * @returns {Promise<Object>} Match that was clicked
+ */
+const click = async (page, name, options = {}) => {
+  const match = await waitFor(page, name, { visible: true, ...options });
+  try {
+    await match.handle.click();
+  } catch (error) {
+    await page.evaluate((el) => el.click(), match.handle);
+  }
+  return match;
+};
+
+/**
+ * List an element's chain links
+ * @param {string} name - Registry entry name
+ * @param {Object} params - Placeholder values
+ * @returns {string} Links, separated by " | "
+ */
+const describeChain = (name, params) =>
+  REGISTRY[name].chain
+    .map((link) => normalizeLink(link, params))
+    .filter(Boolean)
+    .map(describeLink)
+    .join(" | ");
+
+/**
+ * Check every element of some stages against the current page
+ * @param {Object} page - Puppeteer page
+ * @param {Array<string>} stages - Stages to check
+ * @param {Object} options - { scope, params }, as for find()
+ * @returns {Promise<Array<Object>>} { element, stage, status, matched, count }
+ */
+const checkStages = async (page, stages, options = {}) => {
+  const results = [];
+  for (const [name, entry] of Object.entries(REGISTRY)) {
+    if (!stages.includes(entry.stage)) {
+      continue;
+    }
+    const match = await find(page, name, options);
+    results.push({
+      element: name,
+      stage: entry.stage,
+      status: !match ? "missing" : match.fallback ? "fallback" : "ok",
+      matched: match ? `#${match.index + 1} ${match.link}` : "",
+      count: match ? match.handles.length : 0,
+    });
+  }
+  return results;
+};
+
+module.exports = {
+  REGISTRY,
+  find,
+  waitFor,
+  click,
+  describeChain,
+  checkStages,
+};
@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+/**
+ * Saved portal sessions for the Buntzen Lake parking bot
+ * After a successful login the portal's cookies and localStorage are saved,
+ * one file per profile, and put back into the next browser so repeat runs
+ * skip the phone number and SMS code steps until the session expires
+ */
+
+/**
+ * Get the directory that holds saved sessions
+ * @returns {string} Sessions directory
+ */
+const sessionsDir = () => path.join(config.dataDir, "sessions");
+
+/**
+ * Get the session file of a profile
+ * @param {string} profileName - Profile name
+ * @returns {string} Path to the session file
+ */
+const sessionFile = (profileName) =>
+  path.join(sessionsDir(), `${profileName}.json`);
+
+/**
+ * Read a profile's saved session
+ * @param {string} profileName - Profile name
+ * @returns {Object|null} { profile, savedAt, cookies, localStorage }, or null if none
+ */
+const loadSession = (profileName) => {
+  const file = sessionFile(profileName);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read session file ${file}: ${error.message}`);
+  }
+};
+
+/**
+ * Save the browser's cookies and the page's localStorage for a profile
+ * @param {Object} page - Puppeteer page, on the portal
+ * @param {string} profileName - Profile name
+ * @returns {Promise<Object>} Saved session
+ */
+const saveSession = async (page, profileName) => {
+  const cookies = await page.cookies();
+  const storage = await page.evaluate(() => ({
+    origin: window.location.origin,
+    entries: Object.fromEntries(
+      Object.keys(window.localStorage).map((key) => [
+        key,
+        window.localStorage.getItem(key),
+      ])
+    ),
+  }));
+
+  const session = {
+    profile: profileName,
+    savedAt: new Date().toISOString(),
+    cookies,
+    localStorage: { [storage.origin]: storage.entries },
+  };
+
+  fs.mkdirSync(sessionsDir(), { recursive: true });
+  // Session cookies are as good as a login, keep them private
+  fs.writeFileSync(sessionFile(profileName), JSON.stringify(session, null, 2), {
+    mode: 0o600,
+  });
+  return session;
+};
+
+/**
+ * Put a profile's saved session back into a fresh page
+ * Cookies are set straight away; localStorage is written by a script that
+ * runs before the portal's own scripts on the first page load
+ * @param {Object} page - Puppeteer page, before navigating to the portal
+ * @param {string} profileName - Profile name
+ * @returns {Promise<Object|null>} Restored session, or null if none was saved
+ */
+const restoreSession = async (page, profileName) => {
+  const session = loadSession(profileName);
+  if (!session) {
+    return null;
+  }
+
+  if (session.cookies && session.cookies.length > 0) {
+    await page.setCookie(...session.cookies);
+  }
+
+  const storage = session.localStorage || {};
+  if (Object.keys(storage).length > 0) {
+    await page.evaluateOnNewDocument((saved) => {
+      const entries = saved[window.location.origin];
+      // Only once per tab, so the portal's own updates aren't overwritten
+      if (!entries || window.sessionStorage.getItem("__sessionRestored")) {
+        return;
+      }
+      for (const [key, value] of Object.entries(entries)) {
+        window.localStorage.setItem(key, value);
+      }
+      window.sessionStorage.setItem("__sessionRestored", "1");
+    }, storage);
+  }
+
+  return session;
+};
+
+/**
+ * Delete a profile's saved session
+ * @param {string} profileName - Profile name
+ * @returns {boolean} Whether a session was deleted
+ */
+const clearSession = (profileName) => {
+  const file = sessionFile(profileName);
+  if (!fs.existsSync(file)) {
+    return false;
+  }
+  fs.unlinkSync(file);
+  return true;
+};
+
+/**
+ * List saved sessions
+ * @returns {Array<Object>} { profile, savedAt, cookies } per saved session
+ */
+const listSessions = () => {
+  if (!fs.existsSync(sessionsDir())) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(sessionsDir())
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      const session = loadSession(path.basename(file, ".json"));
+      return {
+        profile: session.profile,
+        savedAt: session.savedAt,
+        cookies: (session.cookies || []).length,
+      };
+    });
+};
+
+module.exports = {
+  sessionFile,
+  loadSession,
+  saveSession,
+  restoreSession,
+  clearSession,
+  listSessions,
+};
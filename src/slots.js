@@ -0,0 +1,149 @@
+/**
+ * Time slot helpers for half-day passes
+ * A slot preference is a ranked list of "morning", "afternoon" or start
+ * times ("9:00", "13:00", "1pm"). Slot start times are handled as HH:MM
+ * strings (24-hour).
+ */
+
+const PERIODS = {
+  morning: "morning",
+  am: "morning",
+  afternoon: "afternoon",
+  pm: "afternoon",
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Parse a time like "9", "9:30", "09:30", "1pm" or "1:30 PM"
+ * @param {string} text - Time text
+ * @returns {string|null} HH:MM, or null if the text isn't a time
+ */
+const parseTime = (text) => {
+  const match = String(text)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) {
+    return null;
+  }
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3] && match[3][0];
+  if (meridiem === "p" && hour < 12) hour += 12;
+  if (meridiem === "a" && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+/**
+ * Normalise a slot preference into a ranked list
+ * @param {string|Array<string>} preference - "morning,13:00" or ["am", "1pm"]
+ * @returns {Array<string>} "morning", "afternoon" or HH:MM entries, best first
+ */
+const parseSlotPreference = (preference) => {
+  const entries = Array.isArray(preference)
+    ? preference
+    : String(preference || "").split(",");
+
+  return entries
+    .map((entry) => String(entry).trim().toLowerCase())
+    .filter(Boolean)
+    .map((entry) => {
+      if (PERIODS[entry]) {
+        return PERIODS[entry];
+      }
+      const time = parseTime(entry);
+      if (!time) {
+        throw new Error(
+          `Unknown time slot: "${entry}" (expected morning, afternoon or a start time like 13:00)`
+        );
+      }
+      return time;
+    });
+};
+
+/**
+ * Read the start time from a slot label like "Morning 8:00 AM - 1:00 PM"
+ * @param {string} text - Slot label
+ * @returns {string|null} HH:MM, or null if the label has no time
+ */
+const parseSlotStart = (text) => {
+  const match = String(text || "").match(
+    /(\d{1,2}(?::\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.)?)/i
+  );
+  return match ? parseTime(match[1]) : null;
+};
+
+/**
+ * Which half of the day a slot is in
+ * @param {Object} slot - { start, label }
+ * @returns {string|null} "morning", "afternoon", or null if unknown
+ */
+const slotPeriod = (slot) => {
+  if (slot.start) {
+    return slot.start < "12:00" ? "morning" : "afternoon";
+  }
+  const label = (slot.label || "").toLowerCase();
+  if (/\b(morning|am)\b/.test(label)) return "morning";
+  if (/\b(afternoon|pm)\b/.test(label)) return "afternoon";
+  return null;
+};
+
+/**
+ * Check whether a slot matches one preference entry
+ * @param {Object} slot - { start, label }
+ * @param {string} entry - "morning", "afternoon" or HH:MM
+ * @returns {boolean} True if it matches
+ */
+const matchesPreference = (slot, entry) =>
+  entry === "morning" || entry === "afternoon"
+    ? slotPeriod(slot) === entry
+    : slot.start === entry;
+
+/**
+ * Order the available slots by preference
+ * Slots matching the first preference come first, then the second, and so
+ * on; slots that match no preference follow in start-time order, as the
+ * last fallback
+ * @param {Array<Object>} slots - { start, label, soldOut }
+ * @param {Array<string>} preference - Result of parseSlotPreference
+ * @returns {Array<Object>} Available slots, best first
+ */
+const rankSlots = (slots, preference = []) => {
+  const available = slots
+    .filter((slot) => !slot.soldOut)
+    // Slots without a readable start time go last
+    .sort((a, b) => (a.start || "99").localeCompare(b.start || "99"));
+
+  const ranked = [];
+  for (const entry of preference) {
+    for (const slot of available) {
+      if (matchesPreference(slot, entry) && !ranked.includes(slot)) {
+        ranked.push(slot);
+      }
+    }
+  }
+  return [...ranked, ...available.filter((slot) => !ranked.includes(slot))];
+};
+
+/**
+ * Describe a slot for logs
+ * @param {Object} slot - { start, label }
+ * @returns {string} Description
+ */
+const describeSlot = (slot) =>
+  slot.label || (slot.start ? `${slot.start} slot` : "time slot");
+
+module.exports = {
+  parseTime,
+  parseSlotPreference,
+  parseSlotStart,
+  slotPeriod,
+  matchesPreference,
+  rankSlots,
+  describeSlot,
+};
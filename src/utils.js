@@ -1,4 +1,7 @@
+const fs = require("fs");
+const path = require("path");
 const logger = require("./logger");
+const journal = require("./journal");
 
 /**
  * Utility functions for the Buntzen Lake parking bot
@@ -84,7 +87,10 @@ const fillInput = async (page, selector, text) => {
   try {
     await waitForElementVisible(page, selector);
     await page.focus(selector);
-    await page.clear(selector);
+    // Clear whatever the field holds before typing
+    await page.$eval(selector, (el) => {
+      el.value = "";
+    });
     await page.type(selector, text);
     logger.logSuccess(`Filled input ${selector} with: ${text}`);
     return true;
@@ -146,6 +152,65 @@ const getElementText = async (page, selector) => {
   }
 };
 
+/**
+ * Split a selector list on its top-level commas
+ * Commas inside brackets, :has(...) or :is(...) and quoted strings belong
+ * to their selector and are left alone
+ * @param {string} selector - Selector, may be a comma-separated list
+ * @returns {Array<string>} Selectors in the list
+ */
+const splitSelectorList = (selector) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+
+  for (let index = 0; index < selector.length; index++) {
+    const char = selector[index];
+    if (quote) {
+      if (char === "\\") {
+        current += char + (selector[++index] || "");
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+};
+
+/**
+ * Scope a selector to a container, including every part of a selector list
+ * When both are lists, every selector is scoped to every container
+ * @param {string} scope - Selector of the container ("" for the whole page)
+ * @param {string} selector - Selector, may be a comma-separated list
+ * @returns {string} Scoped selector
+ */
+const scopeSelector = (scope, selector) => {
+  if (!scope) {
+    return selector;
+  }
+  return splitSelectorList(scope)
+    .flatMap((container) =>
+      splitSelectorList(selector).map((part) => `${container} ${part}`)
+    )
+    .join(", ");
+};
+
 /**
  * Wait for page to load completely
  * @param {Object} page - Puppeteer page object
@@ -162,6 +227,7 @@ const waitForPageLoad = async (page) => {
 
 /**
  * Take a screenshot for debugging
+ * Inside a run it goes into the run's bundle, otherwise into screenshots/
  * @param {Object} page - Puppeteer page object
  * @param {string} filename - Name of the screenshot file
  * @returns {Promise<string>} Promise that resolves with the file path
@@ -169,9 +235,15 @@ const waitForPageLoad = async (page) => {
 const takeScreenshot = async (page, filename) => {
   try {
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const filepath = `screenshots/${filename}_${timestamp}.png`;
+    const run = journal.currentRun();
+    const dir = run
+      ? path.join(journal.runDir(run.id), "screenshots")
+      : "screenshots";
+    const filepath = path.join(dir, `${filename}_${timestamp}.png`);
+    fs.mkdirSync(dir, { recursive: true });
     await page.screenshot({ path: filepath, fullPage: true });
     logger.logSuccess(`Screenshot saved: ${filepath}`);
+    journal.record("screenshot", { name: filename, path: filepath });
     return filepath;
   } catch (error) {
     logger.logError(`Failed to take screenshot: ${error.message}`);
@@ -179,22 +251,55 @@ const takeScreenshot = async (page, filename) => {
   }
 };
 
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process id
+ * @returns {boolean} True if it is
+ */
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+};
+
 /**
  * Retry a function with exponential backoff
- * @param {Function} fn - Function to retry
+ * @param {Function} fn - Function to retry, called with the attempt number
  * @param {number} maxRetries - Maximum number of retry attempts
  * @param {number} baseDelay - Base delay between retries
+ * @param {Function} decide - (error, backoff, attempt) => ms to wait before
+ *   the next attempt, or null to give up; waits the backoff by default
  * @returns {Promise<any>} Promise that resolves with the function result
  */
-const retryWithBackoff = async (fn, maxRetries = 3, baseDelay = 1000) => {
+const retryWithBackoff = async (
+  fn,
+  maxRetries = 3,
+  baseDelay = 1000,
+  decide = (error, backoff) => backoff
+) => {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      return await fn();
+      return await fn(attempt);
     } catch (error) {
       if (attempt === maxRetries) {
         throw error;
       }
-      const delay = baseDelay * Math.pow(2, attempt - 1);
+      const delay = await decide(
+        error,
+        baseDelay * Math.pow(2, attempt - 1),
+        attempt
+      );
+      if (delay === null || delay === undefined) {
+        throw error;
+      }
+      journal.record("retry", {
+        attempt,
+        delayMs: delay,
+        error: journal.describeError(error),
+      });
       logger.logWarning(
         `Attempt ${attempt} failed, retrying in ${delay}ms: ${error.message}`
       );
@@ -212,7 +317,10 @@ module.exports = {
   selectOption,
   elementExists,
   getElementText,
+  splitSelectorList,
+  scopeSelector,
   waitForPageLoad,
   takeScreenshot,
   retryWithBackoff,
+  isAlive,
 };
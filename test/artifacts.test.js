@@ -0,0 +1,30 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(
+  path.join(os.tmpdir(), "artifacts-test-")
+);
+
+const journal = require("../src/journal");
+const artifacts = require("../src/artifacts");
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe("listBundles", () => {
+  it("lists run folders and skips stray files next to them", () => {
+    const dir = journal.runDir("20260704-070000-abcd");
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "journal.jsonl"), "{}\n");
+    fs.writeFileSync(path.join(journal.runsDir(), ".DS_Store"), "");
+    fs.writeFileSync(path.join(journal.runsDir(), "notes.txt"), "keep");
+
+    const bundles = artifacts.listBundles();
+    expect(bundles.map((bundle) => bundle.runId)).toEqual([
+      "20260704-070000-abcd",
+    ]);
+    expect(bundles[0].bytes).toBe(3);
+  });
+});
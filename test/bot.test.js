@@ -0,0 +1,102 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bot-test-"));
+
+const utils = require("../src/utils");
+const profiles = require("../src/profiles");
+const { BuntzenLakeBot } = require("../src/bot");
+const { SoldOutError, DuplicateBookingError } = require("../src/errors");
+
+/**
+ * Pass card as read by readPassCards, with a click we can watch
+ * @param {string} name - Pass name shown on the card
+ * @param {number} productId - Product id
+ * @returns {Object} Card
+ */
+const passCard = (name, productId) => ({
+  name,
+  productId,
+  handle: { click: jest.fn() },
+});
+
+const ALL_DAY = passCard("All Day Pass", 12196);
+const HALF_DAY = passCard("Half Day Pass", 12197);
+
+/**
+ * Bot for a profile with some settings changed, without a browser
+ * @param {Object} overrides - Profile fields to change
+ * @returns {Object} BuntzenLakeBot
+ */
+const botFor = (overrides = {}) =>
+  new BuntzenLakeBot({ ...profiles.defaultProfile(), ...overrides });
+
+beforeEach(() => {
+  jest.spyOn(utils, "delay").mockResolvedValue();
+  jest.spyOn(utils, "takeScreenshot").mockResolvedValue(null);
+  ALL_DAY.handle.click.mockClear();
+  HALF_DAY.handle.click.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe("selectPassType", () => {
+  it("clicks the card of the pass type asked for", async () => {
+    const bot = botFor({ passType: "half_day" });
+    bot.readPassCards = async () => [ALL_DAY, HALF_DAY];
+
+    await bot.selectPassType();
+    expect(HALF_DAY.handle.click).toHaveBeenCalled();
+    expect(bot.productId).toBe(12197);
+  });
+
+  it("stops when the pass type isn't listed", async () => {
+    const bot = botFor({ passType: "half_day", allDayFallback: false });
+    bot.readPassCards = async () => [ALL_DAY];
+
+    await expect(bot.selectPassType()).rejects.toThrow(SoldOutError);
+    expect(ALL_DAY.handle.click).not.toHaveBeenCalled();
+  });
+
+  it("books an all-day pass only when the profile allows it", async () => {
+    const bot = botFor({ passType: "half_day", allDayFallback: true });
+    bot.readPassCards = async () => [ALL_DAY];
+
+    await bot.selectPassType();
+    expect(ALL_DAY.handle.click).toHaveBeenCalled();
+    expect(bot.passType).toBe("all_day");
+  });
+});
+
+describe("checkNotBookedAlready", () => {
+  const date = "2026-07-04";
+
+  it("reads My Passes when told the run is signed in", async () => {
+    const bot = botFor({ allowDuplicates: false });
+    bot.vehicle = { licensePlate: "ABC123" };
+    bot.selectedDate = date;
+    bot.myPasses = [{ date, orderNumber: "BL-1", text: "Tesla Y ABC 123" }];
+
+    await expect(bot.checkNotBookedAlready({ signedIn: true })).rejects.toThrow(
+      DuplicateBookingError
+    );
+  });
+
+  it("lets another vehicle's pass through", async () => {
+    const bot = botFor({ allowDuplicates: false });
+    bot.vehicle = { licensePlate: "XYZ789" };
+    bot.selectedDate = date;
+    bot.myPasses = [{ date, orderNumber: "BL-1", text: "Tesla Y ABC 123" }];
+
+    await expect(
+      bot.checkNotBookedAlready({ signedIn: true })
+    ).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,156 @@
+const dates = require("../src/dates");
+
+// Monday 2026-10-19, 11:00 in Vancouver
+const NOW = new Date("2026-10-19T18:00:00Z");
+
+describe("today", () => {
+  it("uses Vancouver's date, not UTC's", () => {
+    expect(dates.today(NOW)).toBe("2026-10-19");
+    // 22:00 in Vancouver is already the next day in UTC
+    expect(dates.today(new Date("2026-10-20T05:00:00Z"))).toBe("2026-10-19");
+  });
+});
+
+describe("instantAt", () => {
+  it("turns a Vancouver wall-clock time into an instant", () => {
+    expect(new Date(dates.instantAt("2026-10-19", "07:00")).toISOString()).toBe(
+      "2026-10-19T14:00:00.000Z"
+    );
+  });
+
+  it("lands right just after the spring DST change", () => {
+    expect(new Date(dates.instantAt("2026-03-08", "03:00")).toISOString()).toBe(
+      "2026-03-08T10:00:00.000Z"
+    );
+  });
+});
+
+describe("resolveDate", () => {
+  it.each([
+    ["2026-11-02", "2026-11-02"],
+    ["10/25", "2026-10-25"],
+    ["10/01", "2027-10-01"],
+    ["5", "2026-11-05"],
+    ["today", "2026-10-19"],
+    ["tomorrow", "2026-10-20"],
+    ["monday", "2026-10-19"],
+    ["next monday", "2026-10-26"],
+    ["saturday", "2026-10-24"],
+    ["+2d", "2026-10-21"],
+    ["+1w", "2026-10-26"],
+  ])("resolves %s to %s", (expression, expected) => {
+    expect(dates.resolveDate(expression, NOW)).toBe(expected);
+  });
+
+  it("moves 02/29 on to the next leap year", () => {
+    expect(dates.resolveDate("02/29", NOW)).toBe("2028-02-29");
+    expect(dates.resolveDate("02/29", new Date("2028-03-05T18:00:00Z"))).toBe(
+      "2032-02-29"
+    );
+  });
+
+  it("rejects dates that don't exist", () => {
+    expect(() => dates.resolveDate("02/30", NOW)).toThrow(
+      "Invalid date: 02/30"
+    );
+    expect(() => dates.resolveDate("2026-02-30", NOW)).toThrow(
+      "Invalid date: 2026-02-30"
+    );
+  });
+
+  it("rejects expressions it doesn't know", () => {
+    expect(() => dates.resolveDate("someday", NOW)).toThrow(
+      'Unrecognised date "someday"'
+    );
+  });
+});
+
+describe("parseWeekdays", () => {
+  it("reads names, plurals, short names and groups", () => {
+    expect(dates.parseWeekdays("weekend")).toEqual([0, 6]);
+    expect(dates.parseWeekdays(["weekdays"])).toEqual([1, 2, 3, 4, 5]);
+    expect(dates.parseWeekdays("sun, tues, saturdays")).toEqual([0, 2, 6]);
+  });
+
+  it("rejects unknown day names", () => {
+    expect(() => dates.parseWeekdays("sunxyz")).toThrow(
+      "Unknown day name: sunxyz"
+    );
+    expect(() => dates.parseWeekdays("sa")).toThrow("Unknown day name: sa");
+  });
+});
+
+describe("isAllowedDay", () => {
+  it("allows any day without a rule", () => {
+    expect(dates.isAllowedDay({}, "2026-10-19")).toBe(true);
+    expect(dates.isAllowedDay({ dateRules: { allowedDays: [] } }, null)).toBe(
+      true
+    );
+  });
+
+  it("checks the date against the rule", () => {
+    const preferences = { dateRules: { allowedDays: "weekend" } };
+    expect(dates.isAllowedDay(preferences, "2026-10-24")).toBe(true);
+    expect(dates.isAllowedDay(preferences, "2026-10-19")).toBe(false);
+    expect(dates.isAllowedDay(preferences, null)).toBe(false);
+  });
+});
+
+describe("buildDateCandidates", () => {
+  it("ranks the preferred date, the fallbacks, then the window", () => {
+    expect(
+      dates.buildDateCandidates(
+        {
+          preferredDate: "saturday",
+          fallbackDates: ["sunday", "saturday"],
+          dateRules: { allowedDays: "weekend", withinDays: 7 },
+        },
+        NOW
+      )
+    ).toEqual(["2026-10-24", "2026-10-25"]);
+  });
+
+  it("returns no dates when the profile sets none", () => {
+    expect(dates.buildDateCandidates({}, NOW)).toEqual([]);
+  });
+
+  it("fails when every date set is past", () => {
+    expect(() =>
+      dates.buildDateCandidates({ preferredDate: "2026-10-01" }, NOW)
+    ).toThrow("No acceptable date left in 2026-10-01");
+  });
+
+  it("fails when allowedDays drops every date set", () => {
+    expect(() =>
+      dates.buildDateCandidates(
+        {
+          preferredDate: "2026-10-21",
+          dateRules: { allowedDays: "weekend" },
+        },
+        NOW
+      )
+    ).toThrow("and on a sunday/saturday");
+  });
+});
+
+describe("datesFromDayNumbers", () => {
+  it("rolls the month over when the day number goes down", () => {
+    expect(
+      dates.datesFromDayNumbers(["30", "31", "1", "Mon", "2"], "2026-10-30")
+    ).toEqual(["2026-10-30", "2026-10-31", "2026-11-01", null, "2026-11-02"]);
+  });
+});
+
+describe("parseDateAttribute", () => {
+  it("reads ISO dates and long labels", () => {
+    expect(dates.parseDateAttribute("day-2026-08-17")).toBe("2026-08-17");
+    expect(dates.parseDateAttribute("Monday, August 17, 2026")).toBe(
+      "2026-08-17"
+    );
+  });
+
+  it("returns null without a full date", () => {
+    expect(dates.parseDateAttribute("17")).toBeNull();
+    expect(dates.parseDateAttribute("")).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+const utils = require("../src/utils");
+const { SCREENS, pickScreen, BookingFlow } = require("../src/flow");
+const {
+  LoginRequiredError,
+  PortalChangedError,
+  DuplicateBookingError,
+} = require("../src/errors");
+
+/**
+ * Bot double whose page shows the given marker sets in turn (the last one
+ * stays up), with every handler a jest mock
+ */
+const fakeBot = (screens, overrides = {}) => {
+  const shown = [...screens];
+  return {
+    page: {
+      evaluate: jest.fn(async () =>
+        shown.length > 1 ? shown.shift() : shown[0]
+      ),
+    },
+    profile: { name: "test" },
+    dryRun: false,
+    sessionRestored: false,
+    timeStep: jest.fn((name, fn) => fn()),
+    handleInfoPopup: jest.fn(),
+    selectPassType: jest.fn(),
+    handleLogin: jest.fn(),
+    handleOTPVerification: jest.fn(),
+    persistSession: jest.fn(),
+    selectVehicle: jest.fn(),
+    selectDateFromNewPicker: jest.fn(),
+    addToCart: jest.fn(),
+    checkNotBookedAlready: jest.fn(),
+    emptyCart: jest.fn(),
+    finishDryRun: jest.fn(),
+    completeCheckout: jest.fn(),
+    recordReceipt: jest.fn(),
+    ...overrides,
+  };
+};
+
+beforeEach(() => {
+  jest.spyOn(utils, "takeScreenshot").mockResolvedValue(null);
+  jest.spyOn(utils, "delay").mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("pickScreen", () => {
+  it("puts the confirmation in front of everything", () => {
+    expect(
+      pickScreen({ confirmation: true, otp: true, cart: true, passList: true })
+    ).toBe(SCREENS.CONFIRMATION);
+  });
+
+  it("puts the cart in front of the pass page under it", () => {
+    expect(pickScreen({ cart: true, datePicker: true, passList: true })).toBe(
+      SCREENS.CART
+    );
+  });
+
+  it("puts the OTP slide in front of the login form", () => {
+    expect(pickScreen({ otp: true, login: true })).toBe(SCREENS.OTP);
+  });
+
+  it("asks for a vehicle before the date until one is selected", () => {
+    const visible = { vehicleSelector: true, datePicker: true };
+    expect(pickScreen(visible)).toBe(SCREENS.VEHICLE_SELECT);
+    expect(pickScreen(visible, { vehicleSelected: true })).toBe(
+      SCREENS.DATE_PICKER
+    );
+  });
+
+  it("falls back to unknown", () => {
+    expect(pickScreen({})).toBe(SCREENS.UNKNOWN);
+  });
+});
+
+describe("BookingFlow", () => {
+  it("walks the portal's screens through to checkout", async () => {
+    const bot = fakeBot([
+      { infoPopup: true, passList: true },
+      { passList: true },
+      { datePicker: true },
+      { login: true },
+      { otp: true },
+      { vehicleSelector: true, datePicker: true },
+      { datePicker: true },
+      { cart: true },
+    ]);
+
+    await expect(new BookingFlow(bot).run()).resolves.toEqual([
+      SCREENS.INFO_POPUP,
+      SCREENS.PASS_LIST,
+      SCREENS.DATE_PICKER,
+      SCREENS.LOGIN,
+      SCREENS.OTP,
+      SCREENS.VEHICLE_SELECT,
+      SCREENS.DATE_PICKER,
+      SCREENS.CART,
+    ]);
+    expect(bot.selectVehicle).toHaveBeenCalledWith(undefined);
+    expect(bot.addToCart).toHaveBeenCalledTimes(2);
+    expect(bot.completeCheckout).toHaveBeenCalledTimes(1);
+    expect(bot.recordReceipt).not.toHaveBeenCalled();
+  });
+
+  it("stops at the cart on a dry run", async () => {
+    const bot = fakeBot([{ cart: true }], { dryRun: true });
+
+    await new BookingFlow(bot).run();
+    expect(bot.finishDryRun).toHaveBeenCalledTimes(1);
+    expect(bot.completeCheckout).not.toHaveBeenCalled();
+  });
+
+  it("checks for an existing pass again at the cart", async () => {
+    const bot = fakeBot([{ cart: true }], {
+      checkNotBookedAlready: jest.fn(async () => {
+        throw new DuplicateBookingError(
+          { date: "2026-07-04", plate: "ABC123" },
+          "My Passes"
+        );
+      }),
+    });
+
+    await expect(new BookingFlow(bot).run()).rejects.toThrow(
+      DuplicateBookingError
+    );
+    expect(bot.checkNotBookedAlready).toHaveBeenCalledWith({ signedIn: true });
+    expect(bot.emptyCart).toHaveBeenCalledTimes(1);
+    expect(bot.completeCheckout).not.toHaveBeenCalled();
+  });
+
+  it("saves the receipt when it lands on the confirmation", async () => {
+    const bot = fakeBot([{ confirmation: true }]);
+
+    await expect(new BookingFlow(bot).run()).resolves.toEqual([
+      SCREENS.CONFIRMATION,
+    ]);
+    expect(bot.recordReceipt).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up on a login that keeps coming back", async () => {
+    const bot = fakeBot([{ login: true }]);
+
+    await expect(new BookingFlow(bot, { maxVisits: 2 }).run()).rejects.toThrow(
+      LoginRequiredError
+    );
+    expect(bot.handleLogin).toHaveBeenCalledTimes(2);
+    expect(utils.takeScreenshot).toHaveBeenCalledWith(
+      bot.page,
+      "flow_loop_login"
+    );
+  });
+
+  it("reports a portal change when another screen keeps coming back", async () => {
+    const bot = fakeBot([{}]);
+
+    await expect(new BookingFlow(bot, { maxVisits: 2 }).run()).rejects.toThrow(
+      PortalChangedError
+    );
+  });
+
+  it("stops after maxSteps", async () => {
+    const bot = fakeBot([
+      { passList: true },
+      { infoPopup: true },
+      { datePicker: true },
+    ]);
+
+    await expect(
+      new BookingFlow(bot, { maxSteps: 3, maxVisits: 5 }).run()
+    ).rejects.toThrow("Booking flow did not finish after 3 steps");
+  });
+});
@@ -0,0 +1,76 @@
+const history = require("../src/history");
+
+/**
+ * History records for one date released at a time and sold out later
+ * @param {string} date - ISO date of the pass
+ * @param {string} releasedAt - ISO timestamp of the check that first saw it
+ * @param {string} soldOutAt - ISO timestamp of the check that saw it sold out
+ * @returns {Array<Object>} Records
+ */
+const dayRecords = (date, releasedAt, soldOutAt) => [
+  {
+    checkedAt: releasedAt,
+    passType: "All Day Pass",
+    date,
+    status: "available",
+  },
+  { checkedAt: soldOutAt, passType: "All Day Pass", date, status: "sold_out" },
+];
+
+// The first check only shows what was already listed
+const FIRST_CHECK = {
+  checkedAt: "2026-10-01T14:00:00Z",
+  passType: "All Day Pass",
+  date: "2026-10-02",
+  status: "available",
+};
+
+describe("buildReport", () => {
+  it("suggests a backup run ahead of the usual sell-out time", () => {
+    // Released 07:00, sold out 10:00 (Vancouver)
+    const report = history.buildReport([
+      FIRST_CHECK,
+      ...dayRecords(
+        "2026-10-10",
+        "2026-10-03T14:00:00Z",
+        "2026-10-03T17:00:00Z"
+      ),
+      ...dayRecords(
+        "2026-10-11",
+        "2026-10-04T14:00:00Z",
+        "2026-10-04T17:00:00Z"
+      ),
+    ]);
+
+    expect(report.releaseTime).toBe("07:00");
+    expect(report.sellOutTime).toBe("10:00");
+    expect(report.suggestedSchedule).toEqual([
+      {
+        jobName: "release_booking",
+        time: "07:00",
+        cronExpression: "00 07 * * *",
+      },
+      {
+        jobName: "before_sell_out_booking",
+        time: "09:30",
+        cronExpression: "30 09 * * *",
+      },
+    ]);
+  });
+
+  it("leaves the backup out when passes sell out right after release", () => {
+    // Released 07:00, sold out 07:20
+    const report = history.buildReport([
+      FIRST_CHECK,
+      ...dayRecords(
+        "2026-10-10",
+        "2026-10-03T14:00:00Z",
+        "2026-10-03T14:20:00Z"
+      ),
+    ]);
+
+    expect(report.suggestedSchedule.map((job) => job.jobName)).toEqual([
+      "release_booking",
+    ]);
+  });
+});
@@ -0,0 +1,188 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "mock-portal-test-"));
+process.env.DATA_DIR = DATA_DIR;
+process.env.HEADLESS = "true";
+
+const puppeteer = require("puppeteer");
+const config = require("../src/config");
+const dates = require("../src/dates");
+const bookings = require("../src/bookings");
+const profiles = require("../src/profiles");
+const { BuntzenLakeBot } = require("../src/bot");
+const { MockPortal } = require("../mock/server");
+
+const OTP_FILE = path.join(DATA_DIR, "otp-code.txt");
+
+/**
+ * Check that puppeteer has a browser to launch; outside CI the booking runs
+ * are skipped without one
+ * @returns {boolean} True if the Chrome puppeteer expects is installed (or
+ *   PUPPETEER_EXECUTABLE_PATH points at one)
+ */
+const hasBrowser = () => {
+  try {
+    return fs.existsSync(puppeteer.executablePath());
+  } catch (error) {
+    return false;
+  }
+};
+
+// CI has to show the whole booking works, so there a missing browser fails
+const describeBrowser =
+  hasBrowser() || process.env.CI ? describe : describe.skip;
+
+/**
+ * Build a profile that books tomorrow's all-day pass on the mock, reading
+ * codes from the file the mock "texts" them to
+ * @returns {Object} Profile
+ */
+const mockProfile = () => {
+  const file = path.join(DATA_DIR, "profiles.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      profiles: {
+        mock: {
+          phoneNumber: "6045550101",
+          vehicles: [{ licensePlate: "ABC123", make: "Tesla", model: "Y" }],
+          passType: "all_day",
+          preferredDate: "tomorrow",
+          otp: { provider: "file", file: OTP_FILE },
+          notify: { channels: [] },
+        },
+      },
+    })
+  );
+  return profiles.getProfile("mock", file);
+};
+
+let portal;
+let baseUrl;
+
+const control = async (action, body) => {
+  const response = await fetch(`${new URL(baseUrl).origin}/__mock/${action}`, {
+    method: body ? "POST" : "GET",
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return response.json();
+};
+
+beforeAll(async () => {
+  portal = new MockPortal({ port: 0, scenario: { otpFile: OTP_FILE } });
+  baseUrl = await portal.start();
+  config.baseUrl = baseUrl;
+});
+
+afterEach(() => {
+  portal.reset();
+});
+
+afterAll(async () => {
+  await portal.stop();
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe("mock portal", () => {
+  it("serves the pass page with tomorrow bookable", async () => {
+    const response = await fetch(baseUrl);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('"signedIn":false');
+
+    const { calendar } = await control("state");
+    expect(calendar[1]).toEqual({
+      date: dates.resolveDate("tomorrow"),
+      soldOut: false,
+      remaining: 25,
+    });
+  });
+
+  it("asks to sign in before showing My Passes", async () => {
+    const response = await fetch(`${baseUrl}/my-passes`);
+    expect(await response.text()).toContain("Sign in to see your passes.");
+  });
+
+  it("changes the scenario while it runs", async () => {
+    await control("scenario", { soldOut: "all", error: "page" });
+
+    expect((await fetch(baseUrl)).status).toBe(500);
+    const { calendar } = await control("state");
+    expect(calendar.every((day) => day.soldOut)).toBe(true);
+
+    await control("reset", {});
+    expect((await fetch(baseUrl)).status).toBe(200);
+  });
+
+  it("texts the code to the OTP file and signs in with it", async () => {
+    const api = (action, body, headers = {}) =>
+      fetch(`${baseUrl}/api/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+      });
+
+    await api("send-otp", { phone: "604 555 0101" });
+    expect(fs.readFileSync(OTP_FILE, "utf8")).toContain("1234");
+
+    expect((await api("verify-otp", { code: "0000" })).status).toBe(401);
+    const verified = await api("verify-otp", { code: "1234" });
+    const cookie = verified.headers.get("set-cookie").split(";")[0];
+
+    const date = dates.resolveDate("tomorrow");
+    const cart = await api(
+      "cart",
+      { date, productId: 12196, vehicle: { licensePlate: "ABC123" } },
+      { Cookie: cookie }
+    );
+    expect((await cart.json()).cart).toHaveLength(1);
+
+    const checkout = await (
+      await api("checkout", {}, { Cookie: cookie })
+    ).json();
+    expect(checkout.order.orderNumber).toBe("BL-100001");
+
+    const passes = await fetch(`${baseUrl}/my-passes`, {
+      headers: { Cookie: cookie },
+    });
+    expect(await passes.text()).toContain(`data-date="${date}"`);
+  });
+});
+
+describeBrowser("booking through the mock portal", () => {
+  jest.setTimeout(180000);
+
+  beforeAll(() => {
+    if (!hasBrowser()) {
+      throw new Error(
+        "No Chrome for puppeteer to launch: run `npx puppeteer browsers install chrome` or set PUPPETEER_EXECUTABLE_PATH"
+      );
+    }
+  });
+
+  it("stops a dry run at the cart and empties it", async () => {
+    const bot = new BuntzenLakeBot(mockProfile(), { dryRun: true });
+
+    await expect(bot.bookParkingPass()).resolves.toBe(true);
+    expect(bot.dryRunReport.outcome).toBe("stopped_before_checkout");
+    expect(bot.dryRunReport.cart).toHaveLength(1);
+    expect(bot.dryRunReport.cartEmptied).toBe(true);
+    expect((await control("state")).orders).toHaveLength(0);
+  });
+
+  it("books tomorrow's pass and keeps the receipt", async () => {
+    const date = dates.resolveDate("tomorrow");
+    const bot = new BuntzenLakeBot(mockProfile());
+
+    await expect(bot.bookParkingPass()).resolves.toBe(true);
+    const { orders } = await control("state");
+    expect(orders).toHaveLength(1);
+    expect(orders[0].items[0]).toMatchObject({
+      date,
+      vehicle: expect.objectContaining({ licensePlate: "ABC123" }),
+    });
+    expect(bookings.findBookings({ date, plate: "ABC123" })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,51 @@
+const otp = require("../src/otp");
+
+describe("extractCode", () => {
+  it("prefers the number after the word code", () => {
+    expect(otp.extractCode("Buntzen Lake 2026: your code is 4821", 4)).toBe(
+      "4821"
+    );
+    expect(otp.extractCode("No digits here", 4)).toBeNull();
+  });
+});
+
+describe("HttpOtpProvider", () => {
+  /**
+   * Request as the provider sees it
+   * @param {string} path - Path and query
+   * @param {Object} headers - Request headers
+   * @returns {Array} [req, url] for isAuthorized
+   */
+  const request = (path, headers = {}) => [
+    { headers },
+    new URL(path, "http://localhost"),
+  ];
+
+  it("takes the token as a bearer header or a query parameter", () => {
+    const provider = new otp.HttpOtpProvider({ token: "s3cret" });
+
+    expect(
+      provider.isAuthorized(
+        ...request("/otp", { authorization: "Bearer s3cret" })
+      )
+    ).toBe(true);
+    expect(provider.isAuthorized(...request("/otp?token=s3cret"))).toBe(true);
+  });
+
+  it("turns away a missing or wrong token, whatever its length", () => {
+    const provider = new otp.HttpOtpProvider({ token: "s3cret" });
+
+    expect(provider.isAuthorized(...request("/otp"))).toBe(false);
+    expect(
+      provider.isAuthorized(
+        ...request("/otp", { authorization: "Bearer s3cres" })
+      )
+    ).toBe(false);
+    expect(provider.isAuthorized(...request("/otp?token=s3"))).toBe(false);
+  });
+
+  it("lets everything through without a token", () => {
+    const provider = new otp.HttpOtpProvider({ token: "" });
+    expect(provider.isAuthorized(...request("/otp"))).toBe(true);
+  });
+});
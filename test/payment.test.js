@@ -0,0 +1,28 @@
+const payment = require("../src/payment");
+const { PaymentDeclinedError } = require("../src/errors");
+
+describe("parseAmount", () => {
+  it("reads the amount from the payment page text", () => {
+    expect(payment.parseAmount("Total: $1,234.50 CAD")).toBe(1234.5);
+    expect(payment.parseAmount("Free")).toBeNull();
+  });
+});
+
+describe("checkCharge", () => {
+  it("allows a charge up to the maximum", () => {
+    expect(() => payment.checkCharge(10, 10)).not.toThrow();
+    expect(() => payment.checkCharge(4.5, "10")).not.toThrow();
+  });
+
+  it.each([
+    [12, 10, "more than the $10.00 maximum"],
+    [12, "10", "more than the $10.00 maximum"],
+    [null, 10, "Could not read the amount"],
+    [5, 0, "no MAX_CHARGE is set"],
+  ])("refuses to pay %s with a %p maximum", (amount, maxCharge, message) => {
+    expect(() => payment.checkCharge(amount, maxCharge)).toThrow(
+      PaymentDeclinedError
+    );
+    expect(() => payment.checkCharge(amount, maxCharge)).toThrow(message);
+  });
+});
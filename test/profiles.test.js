@@ -0,0 +1,179 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const profiles = require("../src/profiles");
+
+const writeProfiles = (dir, definitions) => {
+  const file = path.join(dir, "profiles.json");
+  fs.writeFileSync(file, JSON.stringify({ profiles: definitions }));
+  return file;
+};
+
+const ALEX = {
+  phoneNumber: "6045550101",
+  vehicles: [
+    { licensePlate: "ABC 123", make: "Tesla", model: "Y" },
+    { licensePlate: "XYZ-789" },
+  ],
+  dateRules: { allowedDays: ["weekend"] },
+  otp: { provider: "file", file: "data/otp-alex.txt" },
+};
+
+const SAM = {
+  ...ALEX,
+  phoneNumber: "6045550102",
+  otp: { provider: "file", file: "data/otp-sam.txt" },
+};
+
+describe("normalizePlate", () => {
+  it("keeps upper-case letters and digits", () => {
+    expect(profiles.normalizePlate("abc 123")).toBe("ABC123");
+    expect(profiles.normalizePlate("XYZ-789")).toBe("XYZ789");
+    expect(profiles.normalizePlate(null)).toBe("");
+  });
+});
+
+describe("matchesPlate", () => {
+  it("finds the plate in a vehicle label", () => {
+    expect(profiles.matchesPlate("Tesla Y ABC123", "abc-123")).toBe(true);
+    expect(profiles.matchesPlate("Tesla Y (ABC 123)", "ABC123")).toBe(true);
+  });
+
+  it("only matches whole words", () => {
+    expect(profiles.matchesPlate("Tesla Y XAB123", "AB12")).toBe(false);
+    expect(profiles.matchesPlate("Tesla Y ABC1234", "ABC123")).toBe(false);
+    expect(profiles.matchesPlate("Tesla Y ABC123", "")).toBe(false);
+  });
+});
+
+describe("loadProfiles", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("falls back to the .env profile without a profiles file", () => {
+    const loaded = profiles.loadProfiles(path.join(dir, "missing.json"));
+    expect([...loaded.keys()]).toEqual([profiles.DEFAULT_PROFILE_NAME]);
+  });
+
+  it("fills in the defaults", () => {
+    const alex = profiles
+      .loadProfiles(writeProfiles(dir, { alex: ALEX }))
+      .get("alex");
+
+    expect(alex.name).toBe("alex");
+    expect(alex.vehicles).toHaveLength(2);
+    expect(alex.vehicles[1].province).toBeDefined();
+    expect(alex.dateRules).toEqual({ allowedDays: ["weekend"], withinDays: 0 });
+    expect(alex.otp).toEqual({ provider: "file", file: "data/otp-alex.txt" });
+  });
+
+  it.each([
+    [{ ...ALEX, vehicles: [] }, 'Profile "alex" has no vehicles'],
+    [
+      { ...ALEX, vehicles: [{ make: "Tesla" }] },
+      'Profile "alex" has a vehicle without a licence plate',
+    ],
+    [{ ...ALEX, phoneNumber: "" }, 'Profile "alex" has no phone number'],
+    [
+      { ...ALEX, payment: { maxCharge: "ten" } },
+      'Profile "alex" has an invalid payment.maxCharge: ten',
+    ],
+    [
+      { ...ALEX, payment: { maxCharge: -5 } },
+      'Profile "alex" has an invalid payment.maxCharge: -5',
+    ],
+  ])("rejects an incomplete profile", (definition, message) => {
+    expect(() =>
+      profiles.loadProfiles(writeProfiles(dir, { alex: definition }))
+    ).toThrow(message);
+  });
+
+  it("reads maxCharge as a number", () => {
+    const alex = profiles
+      .loadProfiles(
+        writeProfiles(dir, { alex: { ...ALEX, payment: { maxCharge: "10" } } })
+      )
+      .get("alex");
+    expect(alex.payment.maxCharge).toBe(10);
+  });
+
+  it("rejects a file without profiles", () => {
+    const file = writeProfiles(dir, {});
+    expect(() => profiles.loadProfiles(file)).toThrow(
+      `No profiles defined in ${file}`
+    );
+  });
+
+  it("rejects a file that isn't JSON", () => {
+    const file = path.join(dir, "profiles.json");
+    fs.writeFileSync(file, "{ profiles:");
+    expect(() => profiles.loadProfiles(file)).toThrow(
+      `Could not read profiles file ${file}`
+    );
+  });
+
+  it.each([
+    [{ provider: "file", file: "data/otp-alex.txt" }, "file"],
+    [{ provider: "http" }, "HTTP port"],
+    [{ provider: "imap", host: "mail.test", user: "sms" }, "mailbox"],
+  ])("rejects two profiles reading codes from one %o", (otp, channel) => {
+    const file = writeProfiles(dir, {
+      alex: { ...ALEX, otp },
+      sam: { ...SAM, otp },
+    });
+    expect(() => profiles.loadProfiles(file)).toThrow(
+      `Profiles "alex" and "sam" both read verification codes from ${channel}`
+    );
+  });
+
+  it("lets profiles with their own OTP channels load together", () => {
+    const file = writeProfiles(dir, {
+      alex: { ...ALEX, otp: { provider: "http", port: 47322 } },
+      sam: { ...SAM, otp: { provider: "http", port: 47323 } },
+      jo: { ...SAM, otp: { provider: "manual" } },
+      kim: { ...SAM, otp: { provider: "manual" } },
+    });
+    expect(profiles.loadProfiles(file).size).toBe(4);
+  });
+
+  it("picks a profile by name, or the only one", () => {
+    const file = writeProfiles(dir, { alex: ALEX });
+    expect(profiles.getProfile("alex", file).name).toBe("alex");
+    expect(profiles.getProfile(undefined, file).name).toBe("alex");
+    expect(() => profiles.getProfile("sam", file)).toThrow(
+      "Unknown profile: sam"
+    );
+  });
+
+  it("asks for a name when several profiles are defined", () => {
+    const file = writeProfiles(dir, { alex: ALEX, sam: SAM });
+    expect(() => profiles.getProfile(undefined, file)).toThrow(
+      "Several profiles defined, choose one with --profile (alex, sam)"
+    );
+    expect(profiles.getAllProfiles(file).map((p) => p.name)).toEqual([
+      "alex",
+      "sam",
+    ]);
+  });
+});
+
+describe("findVehicle", () => {
+  const profile = { name: "alex", vehicles: ALEX.vehicles };
+
+  it("finds a vehicle however the plate is typed", () => {
+    expect(profiles.findVehicle(profile, "xyz789")).toBe(ALEX.vehicles[1]);
+  });
+
+  it("lists the plates it has when none match", () => {
+    expect(() => profiles.findVehicle(profile, "QQQ111")).toThrow(
+      'Profile "alex" has no vehicle with plate QQQ111 (has ABC 123, XYZ-789)'
+    );
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "retry-test-"));
+
+const dates = require("../src/dates");
+const retry = require("../src/retry");
+const {
+  SoldOutError,
+  LoginRequiredError,
+  NetworkError,
+  OtpTimeoutError,
+  PaymentDeclinedError,
+} = require("../src/errors");
+
+const { ACTIONS } = retry;
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe("policyFor", () => {
+  it.each([
+    [new SoldOutError("Sold out"), ACTIONS.FALLBACK_DATE],
+    [new LoginRequiredError("Logged out"), ACTIONS.RETRY],
+    [new NetworkError("Reset"), ACTIONS.BACKOFF],
+    [new OtpTimeoutError("No code"), ACTIONS.GIVE_UP],
+    [new PaymentDeclinedError("Declined"), ACTIONS.GIVE_UP],
+    [new Error("Something else"), ACTIONS.GIVE_UP],
+  ])("maps %s to %s", (error, action) => {
+    expect(retry.policyFor(error)).toBe(action);
+  });
+
+  it("classifies plain errors first", () => {
+    expect(retry.policyFor(new Error("net::ERR_CONNECTION_RESET"))).toBe(
+      ACTIONS.BACKOFF
+    );
+    expect(retry.policyFor(new Error("This date is sold out"))).toBe(
+      ACTIONS.FALLBACK_DATE
+    );
+  });
+
+  it("gives up on errors marked not retryable", () => {
+    expect(
+      retry.policyFor(new LoginRequiredError("No OTP", { retryable: false }))
+    ).toBe(ACTIONS.GIVE_UP);
+  });
+});
+
+describe("useNextDate", () => {
+  it("moves the profile on to its next date", () => {
+    const profile = { preferredDate: "+1d", fallbackDates: ["+2d", "+3d"] };
+    expect(retry.useNextDate(profile, dates.resolveDate("+1d"))).toBe(true);
+    expect(profile.preferredDate).toBe(dates.resolveDate("+2d"));
+    expect(profile.fallbackDates).toEqual([dates.resolveDate("+3d")]);
+  });
+
+  it("reports when no date is left", () => {
+    const profile = { preferredDate: "+1d" };
+    expect(retry.useNextDate(profile, dates.resolveDate("+1d"))).toBe(false);
+    expect(retry.useNextDate(profile, null)).toBe(false);
+  });
+});
+
+describe("bookWithRetries", () => {
+  const options = { maxRetries: 3, retryDelay: 1 };
+
+  it("tries the next date after a sold-out date", async () => {
+    const profile = {
+      name: "test",
+      preferredDate: "+1d",
+      fallbackDates: ["+2d"],
+    };
+    const attempt = jest.fn(async () => {
+      if (profile.preferredDate === "+1d") {
+        throw new SoldOutError("Sold out", { date: dates.resolveDate("+1d") });
+      }
+      return profile.preferredDate;
+    });
+
+    await expect(
+      retry.bookWithRetries(profile, attempt, options)
+    ).resolves.toBe(dates.resolveDate("+2d"));
+    expect(attempt).toHaveBeenCalledTimes(2);
+  });
+
+  it("backs off after a network error", async () => {
+    const attempt = jest
+      .fn()
+      .mockRejectedValueOnce(new NetworkError("Reset"))
+      .mockResolvedValue("booked");
+
+    await expect(
+      retry.bookWithRetries({ name: "test" }, attempt, options)
+    ).resolves.toBe("booked");
+    expect(attempt).toHaveBeenCalledTimes(2);
+  });
+
+  it("gives up on a declined payment", async () => {
+    const attempt = jest
+      .fn()
+      .mockRejectedValue(new PaymentDeclinedError("Declined"));
+
+    await expect(
+      retry.bookWithRetries({ name: "test" }, attempt, options)
+    ).rejects.toThrow(PaymentDeclinedError);
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops after maxRetries attempts", async () => {
+    const attempt = jest.fn().mockRejectedValue(new NetworkError("Reset"));
+
+    await expect(
+      retry.bookWithRetries({ name: "test" }, attempt, options)
+    ).rejects.toThrow(NetworkError);
+    expect(attempt).toHaveBeenCalledTimes(3);
+  });
+});
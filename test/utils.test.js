@@ -0,0 +1,47 @@
+const utils = require("../src/utils");
+
+describe("splitSelectorList", () => {
+  it("splits a selector list on its commas", () => {
+    expect(utils.splitSelectorList(".a, .b,.c")).toEqual([".a", ".b", ".c"]);
+  });
+
+  it("keeps commas inside parentheses, brackets and quotes", () => {
+    expect(
+      utils.splitSelectorList(
+        '.gridCard:has(.btn.active, .selected), [data-x="a,b"], .c'
+      )
+    ).toEqual([
+      ".gridCard:has(.btn.active, .selected)",
+      '[data-x="a,b"]',
+      ".c",
+    ]);
+    expect(utils.splitSelectorList("[title='it\\'s, ok'], .d")).toEqual([
+      "[title='it\\'s, ok']",
+      ".d",
+    ]);
+  });
+});
+
+describe("scopeSelector", () => {
+  it("returns the selector as is without a scope", () => {
+    expect(utils.scopeSelector("", ".a, .b")).toBe(".a, .b");
+  });
+
+  it("scopes every part of a selector list", () => {
+    expect(utils.scopeSelector("#scheduler_1", ".a, .b")).toBe(
+      "#scheduler_1 .a, #scheduler_1 .b"
+    );
+  });
+
+  it("scopes every part to every container", () => {
+    expect(utils.scopeSelector(".x, .y", ".a, .b")).toBe(
+      ".x .a, .x .b, .y .a, .y .b"
+    );
+  });
+
+  it("leaves :has() lists whole", () => {
+    expect(utils.scopeSelector(".dateMain", ".gridCard:has(.btn, .sel)")).toBe(
+      ".dateMain .gridCard:has(.btn, .sel)"
+    );
+  });
+});